@@ -31,6 +31,13 @@ global.window = {
 global.localStorage = localStorageMock;
 global.btoa = str => Buffer.from(str).toString('base64');
 global.atob = str => Buffer.from(str, 'base64').toString();
+
+// jsdom lacks WebCrypto's subtle API and the text codecs, borrow them from Node
+const { webcrypto } = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
 global.console = {
   warn: jest.fn(),
   log: jest.fn(),
@@ -0,0 +1,97 @@
+/**
+ * Storage adapters used by the registry to persist raw strings.
+ *
+ * An adapter is a plain object with four methods:
+ * - getItem(key) returns the stored string or null
+ * - setItem(key, value) stores a string
+ * - removeItem(key) removes a key
+ * - keys() returns an array of all stored keys
+ *
+ * Adapters whose data is shared between tabs also have a subscribe(listener)
+ * method. The listener is called with (key, newValue) when another tab changes
+ * a key, and with (null, null) when another tab clears the whole storage.
+ * It returns a function that removes the listener.
+ */
+
+/**
+ * Creates an adapter around a Web Storage object (localStorage, sessionStorage).
+ * The storage is looked up on every call so it can be replaced at runtime.
+ * @param {Function} getStorage - Returns the Storage object to use
+ * @param {Object} [options] - Optional settings
+ * @param {boolean} [options.shared] - True if the storage is shared between tabs,
+ *   adds a subscribe() method listening to "storage" events
+ * @returns {Object} Storage adapter
+ */
+export function createWebStorageAdapter(getStorage, options = {}) {
+  const adapter = {
+    getItem: function(key) {
+      return getStorage().getItem(key);
+    },
+    setItem: function(key, value) {
+      getStorage().setItem(key, value);
+    },
+    removeItem: function(key) {
+      getStorage().removeItem(key);
+    },
+    keys: function() {
+      const storage = getStorage();
+      const keys = [];
+      for (let i = 0; i < storage.length; i++) {
+        keys.push(storage.key(i));
+      }
+      return keys;
+    }
+  };
+
+  if (options.shared) {
+    adapter.subscribe = function(listener) {
+      if (typeof window === 'undefined' || typeof window.addEventListener !== 'function') {
+        return () => {};
+      }
+
+      const onStorage = event => {
+        if (event.storageArea && event.storageArea !== getStorage()) {
+          return;
+        }
+        listener(event.key, event.newValue);
+      };
+      window.addEventListener('storage', onStorage);
+      return () => window.removeEventListener('storage', onStorage);
+    };
+  }
+
+  return adapter;
+}
+
+/**
+ * Creates an adapter that keeps values in memory for the lifetime of the page
+ * @param {Object} [initial] - Optional initial key/value pairs
+ * @returns {Object} Storage adapter
+ */
+export function createMemoryAdapter(initial) {
+  const store = new Map(Object.entries(initial || {}));
+  return {
+    getItem: function(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+    setItem: function(key, value) {
+      store.set(key, String(value));
+    },
+    removeItem: function(key) {
+      store.delete(key);
+    },
+    keys: function() {
+      return Array.from(store.keys());
+    }
+  };
+}
+
+/**
+ * Adapter for the global localStorage (the default)
+ */
+export const localStorageAdapter = createWebStorageAdapter(() => localStorage, { shared: true });
+
+/**
+ * Adapter for the global sessionStorage, values are kept per tab
+ */
+export const sessionStorageAdapter = createWebStorageAdapter(() => sessionStorage);
@@ -0,0 +1,76 @@
+// adapters.test.js
+import { createWebStorageAdapter, createMemoryAdapter, localStorageAdapter, sessionStorageAdapter } from './adapters.js';
+
+describe('Adapters', () => {
+  describe('createMemoryAdapter', () => {
+    test('should store, read and remove values', () => {
+      const adapter = createMemoryAdapter();
+      adapter.setItem('key1', 'value1');
+      
+      expect(adapter.getItem('key1')).toBe('value1');
+      
+      adapter.removeItem('key1');
+      expect(adapter.getItem('key1')).toBeNull();
+    });
+    
+    test('should list stored keys', () => {
+      const adapter = createMemoryAdapter({ key1: 'value1' });
+      adapter.setItem('key2', 'value2');
+      
+      expect(adapter.keys()).toEqual(['key1', 'key2']);
+    });
+    
+    test('should keep empty strings', () => {
+      const adapter = createMemoryAdapter();
+      adapter.setItem('key1', '');
+      
+      expect(adapter.getItem('key1')).toBe('');
+    });
+    
+    test('should not share values between adapters', () => {
+      const adapter1 = createMemoryAdapter();
+      const adapter2 = createMemoryAdapter();
+      adapter1.setItem('key1', 'value1');
+      
+      expect(adapter2.getItem('key1')).toBeNull();
+    });
+  });
+  
+  describe('createWebStorageAdapter', () => {
+    test('should delegate to the storage object', () => {
+      const storage = {
+        getItem: jest.fn(() => 'value1'),
+        setItem: jest.fn(),
+        removeItem: jest.fn(),
+        length: 2,
+        key: jest.fn(index => ['key1', 'key2'][index])
+      };
+      const adapter = createWebStorageAdapter(() => storage);
+      
+      expect(adapter.getItem('key1')).toBe('value1');
+      adapter.setItem('key1', 'value1');
+      adapter.removeItem('key1');
+      
+      expect(storage.getItem).toHaveBeenCalledWith('key1');
+      expect(storage.setItem).toHaveBeenCalledWith('key1', 'value1');
+      expect(storage.removeItem).toHaveBeenCalledWith('key1');
+      expect(adapter.keys()).toEqual(['key1', 'key2']);
+    });
+  });
+  
+  describe('localStorageAdapter and sessionStorageAdapter', () => {
+    beforeEach(() => {
+      localStorage.clear();
+      sessionStorage.clear();
+    });
+    
+    test('should write to their own storage area', () => {
+      localStorageAdapter.setItem('key1', 'local');
+      sessionStorageAdapter.setItem('key1', 'session');
+      
+      expect(localStorage.getItem('key1')).toBe('local');
+      expect(sessionStorage.getItem('key1')).toBe('session');
+      expect(localStorageAdapter.keys()).toEqual(['key1']);
+    });
+  });
+});
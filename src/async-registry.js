@@ -0,0 +1,126 @@
+import { getNamespace, createNamespacedKey, getNamespacePrefix } from './namespace.js';
+import { importSecret, seal, open } from './crypto.js';
+import { getExpirationTime, hasExpired } from './storage.js';
+import { createIndexedDBAdapter } from './idb.js';
+import { jsonEncode } from './utils.js';
+
+/**
+ * Promise-based counterpart of Registry, backed by IndexedDB by default so it
+ * also works in Web Workers and Service Workers.
+ *
+ * Each key is stored as a single record { value, expires } where value is kept
+ * with the structured clone algorithm, so Blob, ArrayBuffer and other cloneable
+ * values round-trip without going through JSON.
+ */
+class AsyncRegistry {
+  /**
+   * Creates a new AsyncRegistry instance
+   * @param {string} [namespace] - Optional namespace for isolating stored values
+   * @param {Object} [options] - Optional settings
+   * @param {string|CryptoKey} [options.secret] - Secret used to seal values with
+   *   AES-GCM. Sealed values must be JSON serializable.
+   * @param {Object} [options.storage] - Asynchronous storage adapter, defaults to IndexedDB
+   */
+  constructor(namespace, options = {}) {
+    // Generate the namespace
+    const namespaceFinal = getNamespace(namespace);
+
+    // Storage adapter all records are written to
+    const storage = options.storage || createIndexedDBAdapter();
+
+    // Import the secret once, sealing and opening wait for it
+    const cryptoKey = typeof options.secret === 'undefined' ? null : importSecret(options.secret);
+
+    /**
+     * Opens a sealed value. Values are bound to this namespace and their key,
+     * values sealed before namespaces were bound to their key only.
+     * @param {string} sealedValue - The sealed value
+     * @param {CryptoKey} k - Imported secret
+     * @param {string} key - The original key
+     * @returns {Promise<any>} The value
+     */
+    function openValue(sealedValue, k, key) {
+      return open(sealedValue, k, jsonEncode([namespaceFinal, key])).catch(e => open(sealedValue, k, key).catch(() => {
+        throw e;
+      }));
+    }
+
+    /**
+     * Sets a value in the registry
+     * @param {string} key - The key to store the value under
+     * @param {any} value - The value to store
+     * @param {number} [expires] - Optional expiration time in seconds
+     * @returns {Promise<void>}
+     */
+    this.set = function(key, value, expires) {
+      // Create namespaced key
+      const namespacedKey = createNamespacedKey(key, namespaceFinal);
+      const expiresAt = typeof expires === 'number' ? getExpirationTime(expires) : null;
+      const storedValue = value === undefined ? null : value;
+
+      if (cryptoKey !== null) {
+        return cryptoKey
+          .then(k => seal(storedValue, k, jsonEncode([namespaceFinal, key])))
+          .then(sealedValue => storage.setItem(namespacedKey, { value: sealedValue, expires: expiresAt }));
+      }
+
+      return storage.setItem(namespacedKey, { value: storedValue, expires: expiresAt });
+    };
+
+    /**
+     * Gets a value from the registry
+     * @param {string} key - The key to retrieve
+     * @returns {Promise<any>} The stored value or null if not found/expired
+     */
+    this.get = function(key) {
+      // Create namespaced key
+      const namespacedKey = createNamespacedKey(key, namespaceFinal);
+
+      return storage.getItem(namespacedKey).then(record => {
+        if (record === null) {
+          return null;
+        }
+
+        // Remove expired records when they are read
+        if (record.expires !== null && hasExpired(record.expires)) {
+          return storage.removeItem(namespacedKey).then(() => null);
+        }
+
+        if (cryptoKey !== null) {
+          return cryptoKey.then(k => openValue(record.value, k, key));
+        }
+
+        return record.value;
+      });
+    };
+
+    /**
+     * Removes a value from the registry
+     * @param {string} key - The key to remove
+     * @returns {Promise<void>}
+     */
+    this.remove = function(key) {
+      // Create namespaced key
+      const namespacedKey = createNamespacedKey(key, namespaceFinal);
+
+      return storage.removeItem(namespacedKey);
+    };
+
+    /**
+     * Removes all values in the current namespace
+     * @returns {Promise<void>}
+     */
+    this.empty = function() {
+      const namespacePrefix = getNamespacePrefix(namespaceFinal);
+
+      return storage.keys().then(keys => {
+        const removals = keys
+          .filter(key => key.startsWith(namespacePrefix))
+          .map(key => storage.removeItem(key));
+        return Promise.all(removals);
+      }).then(() => undefined);
+    };
+  }
+}
+
+export default AsyncRegistry;
@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+// async-registry.test.js
+import { indexedDB } from 'fake-indexeddb';
+import AsyncRegistry from './async-registry.js';
+import { createIndexedDBAdapter } from './idb.js';
+import { RegistryDecryptionError } from './errors.js';
+import { importSecret, seal } from './crypto.js';
+
+// Use the in-memory IndexedDB implementation
+global.indexedDB = indexedDB;
+
+// Mock window.location for namespace generation
+global.window = {
+  location: {
+    protocol: 'https:',
+    hostname: 'example.com',
+    port: '',
+    origin: 'https://example.com'
+  }
+};
+
+describe('AsyncRegistry', () => {
+  let storage;
+  let databaseCount = 0;
+  
+  beforeEach(() => {
+    // Use a fresh database for every test
+    databaseCount++;
+    storage = createIndexedDBAdapter({ name: 'async-registry-' + databaseCount });
+  });
+  
+  afterEach(() => storage.close());
+  
+  describe('AsyncRegistry.set and AsyncRegistry.get', () => {
+    test('should store and retrieve a value', async () => {
+      const registry = new AsyncRegistry('test', { storage: storage });
+      await registry.set('key1', 'value1');
+      expect(await registry.get('key1')).toBe('value1');
+    });
+    
+    test('should store and retrieve an object', async () => {
+      const registry = new AsyncRegistry('test', { storage: storage });
+      const testObj = { name: 'Test', value: 123 };
+      await registry.set('key2', testObj);
+      expect(await registry.get('key2')).toEqual(testObj);
+    });
+    
+    test('should resolve null for missing and undefined values', async () => {
+      const registry = new AsyncRegistry('test', { storage: storage });
+      await registry.set('key3', undefined);
+      expect(await registry.get('key3')).toBeNull();
+      expect(await registry.get('missing')).toBeNull();
+    });
+    
+    test('should store binary values without JSON conversion', async () => {
+      const registry = new AsyncRegistry('test', { storage: storage });
+      await registry.set('bytes', new Uint8Array([1, 2, 3]));
+      await registry.set('buffer', new Uint8Array([4, 5]).buffer);
+      
+      const bytes = await registry.get('bytes');
+      expect(bytes).toBeInstanceOf(Uint8Array);
+      expect(Array.from(bytes)).toEqual([1, 2, 3]);
+      expect(await registry.get('buffer')).toBeInstanceOf(ArrayBuffer);
+    });
+  });
+  
+  describe('AsyncRegistry.remove and AsyncRegistry.empty', () => {
+    test('should remove a stored value', async () => {
+      const registry = new AsyncRegistry('test', { storage: storage });
+      await registry.set('key5', 'value5');
+      await registry.remove('key5');
+      expect(await registry.get('key5')).toBeNull();
+    });
+    
+    test('should not affect values in other namespaces', async () => {
+      const registry1 = new AsyncRegistry('test1', { storage: storage });
+      const registry2 = new AsyncRegistry('test2', { storage: storage });
+      await registry1.set('key8', 'value8');
+      await registry2.set('key9', 'value9');
+      
+      await registry1.empty();
+      
+      expect(await registry1.get('key8')).toBeNull();
+      expect(await registry2.get('key9')).toBe('value9');
+    });
+  });
+  
+  describe('Expiration functionality', () => {
+    test('should respect expiration time', async () => {
+      const now = Date.now();
+      const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+      
+      const registry = new AsyncRegistry('test', { storage: storage });
+      await registry.set('key10', 'value10', 1);
+      expect(await registry.get('key10')).toBe('value10');
+      
+      dateSpy.mockReturnValue(now + 2000);
+      expect(await registry.get('key10')).toBeNull();
+      expect(await storage.keys()).toEqual([]);
+      
+      dateSpy.mockRestore();
+    });
+  });
+  
+  describe('Secret-based encryption', () => {
+    test('should seal values with the secret', async () => {
+      const registry = new AsyncRegistry('secure', { storage: storage, secret: 's3cret' });
+      await registry.set('token', 'abc123');
+      
+      const keys = await storage.keys();
+      expect((await storage.getItem(keys[0])).value).not.toContain('abc123');
+      expect(await registry.get('token')).toBe('abc123');
+    });
+    
+    test('should reject values read with a different secret', async () => {
+      await new AsyncRegistry('secure', { storage: storage, secret: 'right' }).set('token', 'abc123');
+      
+      const registry = new AsyncRegistry('secure', { storage: storage, secret: 'wrong' });
+      await expect(registry.get('token')).rejects.toBeInstanceOf(RegistryDecryptionError);
+    });
+    
+    test('should reject values copied from another namespace', async () => {
+      await new AsyncRegistry('secure', { storage: storage, secret: 's3cret' }).set('token', 'abc123');
+      const keys = await storage.keys();
+      const record = await storage.getItem(keys[0]);
+      
+      const registry = new AsyncRegistry('other', { storage: storage, secret: 's3cret' });
+      await storage.setItem(keys[0].replace(btoa('@secure'), btoa('@other')), record);
+      await expect(registry.get('token')).rejects.toBeInstanceOf(RegistryDecryptionError);
+    });
+    
+    test('should open values sealed for their key only', async () => {
+      const registry = new AsyncRegistry('secure', { storage: storage, secret: 's3cret' });
+      await registry.set('token', 'placeholder');
+      const keys = await storage.keys();
+      await storage.setItem(keys[0], { value: await seal('abc123', await importSecret('s3cret'), 'token'), expires: null });
+      
+      expect(await registry.get('token')).toBe('abc123');
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import { serialize, deserialize } from './serializer.js';
+
+/**
+ * How values are turned into bytes before they are encrypted.
+ *
+ * Values are serialized to JSON, encoded as UTF-8 and, for large values,
+ * compressed with LZW. The cipher then works on the bytes and the result is
+ * stored as base64, a third larger than the bytes themselves. The original
+ * shift cipher stored a JSON array with one number per character instead,
+ * several times the size of the value; entries record their encoding so
+ * those are still read.
+ */
+
+// Encoding ids, "codes" is the JSON array of the original cipher
+export const ENCODING_CODES = 'codes';
+export const ENCODING_BASE64 = 'base64';
+
+// Compression id recorded with compressed values
+export const COMPRESSION_LZ = 'lz';
+
+// Values of at least this many bytes are compressed when compression is on
+export const COMPRESS_THRESHOLD = 512;
+
+// LZW codes 0 to 255 are single bytes, 256 clears the dictionary
+const CLEAR_CODE = 256;
+const FIRST_CODE = 257;
+const MAX_CODE = 65536;
+const MIN_WIDTH = 9;
+
+/**
+ * Returns the number of bits codes are written with while the dictionary
+ * holds a number of codes
+ * @param {number} codeCount - Number of codes in use
+ * @returns {number} Code width in bits
+ */
+function getCodeWidth(codeCount) {
+  return Math.max(MIN_WIDTH, Math.ceil(Math.log2(codeCount)));
+}
+
+/**
+ * Compresses bytes with LZW, using codes of 9 to 16 bits
+ * @param {Uint8Array} bytes - Bytes to compress
+ * @returns {Uint8Array} Compressed bytes
+ */
+export function compress(bytes) {
+  const output = [];
+  let buffer = 0;
+  let bufferBits = 0;
+  const write = (code, width) => {
+    buffer |= code << bufferBits;
+    bufferBits += width;
+    while (bufferBits >= 8) {
+      output.push(buffer & 0xFF);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  if (bytes.length > 0) {
+    let dictionary = new Map();
+    let nextCode = FIRST_CODE;
+    let prefix = bytes[0];
+
+    for (let i = 1; i < bytes.length; i++) {
+      const entry = prefix * 256 + bytes[i];
+      const code = dictionary.get(entry);
+      if (typeof code !== 'undefined') {
+        prefix = code;
+        continue;
+      }
+
+      write(prefix, getCodeWidth(nextCode));
+      if (nextCode < MAX_CODE) {
+        dictionary.set(entry, nextCode++);
+      } else {
+        // A full dictionary starts over
+        write(CLEAR_CODE, getCodeWidth(nextCode));
+        dictionary = new Map();
+        nextCode = FIRST_CODE;
+      }
+      prefix = bytes[i];
+    }
+    write(prefix, getCodeWidth(nextCode));
+  }
+
+  if (bufferBits > 0) {
+    output.push(buffer & 0xFF);
+  }
+  return new Uint8Array(output);
+}
+
+/**
+ * Decompresses bytes written by compress()
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @returns {Uint8Array} Original bytes
+ * @throws {Error} If the bytes were not written by compress()
+ */
+export function decompress(bytes) {
+  const output = [];
+  let position = 0;
+  let buffer = 0;
+  let bufferBits = 0;
+  const read = width => {
+    while (bufferBits < width) {
+      if (position >= bytes.length) {
+        return -1;
+      }
+      buffer |= bytes[position++] << bufferBits;
+      bufferBits += 8;
+    }
+    const code = buffer & ((1 << width) - 1);
+    buffer >>>= width;
+    bufferBits -= width;
+    return code;
+  };
+
+  // The dictionary lags one code behind the compressor, codeCount does not
+  let dictionary = [];
+  let codeCount = FIRST_CODE;
+  let previous = null;
+
+  for (;;) {
+    const code = read(getCodeWidth(codeCount));
+    if (code === -1) {
+      break;
+    }
+    if (code === CLEAR_CODE) {
+      dictionary = [];
+      codeCount = FIRST_CODE;
+      previous = null;
+      continue;
+    }
+
+    let entry;
+    if (code < 256) {
+      entry = [code];
+    } else if (code - FIRST_CODE < dictionary.length) {
+      entry = dictionary[code - FIRST_CODE];
+    } else if (code - FIRST_CODE === dictionary.length && previous !== null) {
+      entry = previous.concat(previous[0]);
+    } else {
+      throw new Error('Invalid compressed data');
+    }
+
+    if (previous !== null) {
+      dictionary.push(previous.concat(entry[0]));
+    }
+    for (let i = 0; i < entry.length; i++) {
+      output.push(entry[i]);
+    }
+    previous = entry;
+    if (codeCount < MAX_CODE) {
+      codeCount++;
+    }
+  }
+
+  return new Uint8Array(output);
+}
+
+/**
+ * Turns a value into the bytes to encrypt
+ * @param {any} value - The value
+ * @param {boolean|number} [compression] - true to compress values of at least
+ *   COMPRESS_THRESHOLD bytes, a number to set the threshold, false for none
+ * @returns {Object} The bytes and the compression id, null if not compressed
+ */
+export function encodeValue(value, compression) {
+  const bytes = new TextEncoder().encode(serialize(value === undefined ? null : value));
+  const threshold = typeof compression === 'number' ? compression : (compression === true ? COMPRESS_THRESHOLD : null);
+  if (threshold === null || bytes.length < threshold) {
+    return { bytes: bytes, compression: null };
+  }
+
+  // Values that do not shrink are kept as they are
+  const compressed = compress(bytes);
+  if (compressed.length >= bytes.length) {
+    return { bytes: bytes, compression: null };
+  }
+  return { bytes: compressed, compression: COMPRESSION_LZ };
+}
+
+/**
+ * Turns decrypted bytes back into a value
+ * @param {Uint8Array} bytes - Bytes returned by encodeValue()
+ * @param {string|null} compression - Compression id recorded with the value
+ * @returns {any} The value
+ */
+export function decodeValue(bytes, compression) {
+  if (compression !== null && compression !== COMPRESSION_LZ) {
+    throw new Error('Unknown compression: ' + compression);
+  }
+  const plain = compression === COMPRESSION_LZ ? decompress(bytes) : bytes;
+  return deserialize(new TextDecoder().decode(plain));
+}
@@ -0,0 +1,73 @@
+// codec.test.js
+import { COMPRESS_THRESHOLD, compress, decompress, encodeValue, decodeValue } from './codec.js';
+
+describe('Codec', () => {
+  const toBytes = str => new TextEncoder().encode(str);
+  const roundTrip = bytes => Array.from(decompress(compress(bytes)));
+  
+  describe('compress', () => {
+    test('should restore the original bytes', () => {
+      const json = JSON.stringify(Array.from({ length: 200 }, (_, i) => ({ id: i, name: 'user' + i })));
+      
+      expect(roundTrip(new Uint8Array(0))).toEqual([]);
+      expect(roundTrip(Uint8Array.of(7))).toEqual([7]);
+      expect(roundTrip(toBytes('aaaaaaaaaaaaaaaa'))).toEqual(Array.from(toBytes('aaaaaaaaaaaaaaaa')));
+      expect(roundTrip(toBytes(json))).toEqual(Array.from(toBytes(json)));
+    });
+    
+    test('should shrink repetitive data', () => {
+      const bytes = toBytes(JSON.stringify(Array.from({ length: 200 }, () => ({ status: 'active', role: 'member' }))));
+      
+      expect(compress(bytes).length).toBeLessThan(bytes.length / 5);
+    });
+    
+    test('should start over when the dictionary is full', () => {
+      // Random bytes over a small alphabet fill the 65536 codes quickly
+      let seed = 1;
+      const bytes = Uint8Array.from({ length: 200000 }, () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % 4;
+      });
+      
+      expect(roundTrip(bytes)).toEqual(Array.from(bytes));
+    });
+    
+    test('should reject data it did not write', () => {
+      expect(() => decompress(Uint8Array.of(255, 255, 255))).toThrow('Invalid compressed data');
+    });
+  });
+  
+  describe('encodeValue', () => {
+    const large = { text: 'lorem ipsum '.repeat(100) };
+    
+    test('should not compress without compression', () => {
+      expect(encodeValue(large).compression).toBeNull();
+      expect(encodeValue(large, false).compression).toBeNull();
+    });
+    
+    test('should compress values above the threshold', () => {
+      expect(encodeValue({ text: 'short' }, true).compression).toBeNull();
+      expect(encodeValue(large, true).compression).toBe('lz');
+      expect(encodeValue('a'.repeat(20), 10).compression).toBe('lz');
+      expect(encodeValue('a'.repeat(COMPRESS_THRESHOLD), true).compression).toBe('lz');
+    });
+    
+    test('should keep values that do not shrink', () => {
+      expect(encodeValue('abcdefghijklmnop', 1).compression).toBeNull();
+    });
+    
+    test('should decode values with their compression', () => {
+      const date = new Date(0);
+      
+      [large, 'text', 42, null, [date]].forEach(value => {
+        const encoded = encodeValue(value, 1);
+        expect(decodeValue(encoded.bytes, encoded.compression)).toEqual(value);
+      });
+      expect(decodeValue(encodeValue(undefined).bytes, null)).toBeNull();
+    });
+    
+    test('should reject unknown compressions', () => {
+      expect(() => decodeValue(toBytes('1'), 'zstd')).toThrow('Unknown compression: zstd');
+    });
+  });
+});
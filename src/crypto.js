@@ -1,4 +1,9 @@
-import { jsonEncode, jsonDecode } from './utils.js';
+import { jsonEncode, jsonDecode, bytesToBase64, base64ToBytes } from './utils.js';
+import { serialize, deserialize } from './serializer.js';
+import { RegistryDecryptionError } from './errors.js';
+import { sha256 } from './hmac.js';
+
+const IV_LENGTH = 12;
 
 /**
  * Encrypts a value using the original Registry encryption algorithm
@@ -12,8 +17,8 @@ export function encrypt(value, key) {
     return "__NULL__";
   }
   
-  // Convert value to JSON string
-  const jsonString = jsonEncode(value);
+  // Convert value to JSON string, keeping types JSON cannot represent
+  const jsonString = serialize(value);
   const passLen = key.length;
   
   const result = [];
@@ -33,31 +38,214 @@ export function encrypt(value, key) {
  * @returns {any} - Decrypted value
  */
 export function decrypt(encryptedStr, key) {
+  try {
+    return decryptCodes(encryptedStr, key);
+  } catch (e) {
+    console.error('Error decrypting value:', e);
+    return null;
+  }
+}
+
+/**
+ * Decrypts a value like decrypt(), but throws instead of logging
+ * @param {string} encryptedStr - Encrypted string
+ * @param {string} key - Encryption key (password)
+ * @returns {any} - Decrypted value
+ * @throws {Error} - If the string was not written by encrypt()
+ */
+export function decryptCodes(encryptedStr, key) {
   // Special case for null values
   if (encryptedStr === "__NULL__") {
     return null;
   }
   
+  const codesArr = jsonDecode(encryptedStr);
+  const passLen = key.length;
+  
+  const result = [];
+  for (let i = 0; i < codesArr.length; i++) {
+    const passOffset = i % passLen;
+    const calAscii = codesArr[i] - key.charCodeAt(passOffset);
+    result.push(calAscii);
+  }
+
+  let str = "";
+  for (let i = 0; i < result.length; i++) {
+    const ch = String.fromCharCode(result[i]);
+    str += ch;
+  }
+
+  return deserialize(str);
+}
+
+/**
+ * Applies the original Registry cipher to bytes: every byte is shifted by a
+ * byte of the key. Produces a fraction of the output of encrypt().
+ * @param {Uint8Array} bytes - Bytes to encrypt
+ * @param {string} key - Encryption key (password)
+ * @returns {string} - Base64 encoded encrypted bytes
+ */
+export function encryptBytes(bytes, key) {
+  const keyBytes = new TextEncoder().encode(key);
+  const result = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    const shift = keyBytes.length > 0 ? keyBytes[i % keyBytes.length] : 0;
+    result[i] = (bytes[i] + shift) & 0xFF;
+  }
+  return bytesToBase64(result);
+}
+
+/**
+ * Reverses encryptBytes
+ * @param {string} encryptedStr - Base64 encoded encrypted bytes
+ * @param {string} key - Encryption key (password)
+ * @returns {Uint8Array} - Decrypted bytes
+ */
+export function decryptBytes(encryptedStr, key) {
+  const keyBytes = new TextEncoder().encode(key);
+  const bytes = base64ToBytes(encryptedStr);
+  for (let i = 0; i < bytes.length; i++) {
+    const shift = keyBytes.length > 0 ? keyBytes[i % keyBytes.length] : 0;
+    bytes[i] = (bytes[i] - shift) & 0xFF;
+  }
+  return bytes;
+}
+
+/**
+ * Returns the WebCrypto SubtleCrypto implementation
+ * @returns {SubtleCrypto} - SubtleCrypto instance
+ */
+function getSubtle() {
+  if (typeof globalThis.crypto === 'undefined' || typeof globalThis.crypto.subtle === 'undefined') {
+    throw new Error('WebCrypto is not supported in this environment');
+  }
+  return globalThis.crypto.subtle;
+}
+
+/**
+ * Turns a caller-supplied secret into an AES-GCM key. Strings are hashed
+ * with SHA-256 to get a 256-bit key, CryptoKey instances are used as is.
+ * @param {string|CryptoKey} secret - Secret string or AES-GCM CryptoKey
+ * @returns {Promise<CryptoKey>} - Key usable with seal/open
+ */
+export async function importSecret(secret) {
+  if (typeof secret !== 'string') {
+    return secret;
+  }
+
+  const subtle = getSubtle();
+  const digest = await subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  return subtle.importKey('raw', digest, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Returns a short id of a secret, recorded with the values it sealed so the
+ * key that opens them can be found while secrets are rotated
+ * @param {string|CryptoKey} secret - Secret string or AES-GCM CryptoKey
+ * @returns {string|null} - Id of the secret, null for CryptoKey instances
+ */
+export function getKeyId(secret) {
+  if (typeof secret !== 'string') {
+    return null;
+  }
+  return bytesToBase64(sha256(new TextEncoder().encode('registry-key-id:' + secret))).slice(0, 8);
+}
+
+/**
+ * Derives an AES-GCM key from a passphrase with PBKDF2-SHA256
+ * @param {string} passphrase - Passphrase entered by the user
+ * @param {Uint8Array} salt - Random salt, stored next to the values
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} - Key usable with seal/open
+ */
+export async function deriveKey(passphrase, salt, iterations) {
+  const subtle = getSubtle();
+  const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Generates random bytes, for salts
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} - Random bytes
+ */
+export function randomBytes(length) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Seals bytes with AES-GCM using a random IV
+ * @param {Uint8Array} plaintext - Bytes to seal
+ * @param {CryptoKey} cryptoKey - AES-GCM key
+ * @param {string} [associatedData] - Data bound to the ciphertext (e.g. the key name)
+ * @returns {Promise<string>} - Base64 encoded IV followed by ciphertext and auth tag
+ */
+export async function sealBytes(plaintext, cryptoKey, associatedData = "") {
+  const subtle = getSubtle();
+  const iv = randomBytes(IV_LENGTH);
+
+  const ciphertext = new Uint8Array(await subtle.encrypt(
+    { name: 'AES-GCM', iv: iv, additionalData: new TextEncoder().encode(associatedData) },
+    cryptoKey,
+    plaintext
+  ));
+
+  const sealed = new Uint8Array(IV_LENGTH + ciphertext.length);
+  sealed.set(iv, 0);
+  sealed.set(ciphertext, IV_LENGTH);
+  return bytesToBase64(sealed);
+}
+
+/**
+ * Opens bytes sealed with sealBytes()
+ * @param {string} sealedStr - Sealed string
+ * @param {CryptoKey} cryptoKey - AES-GCM key
+ * @param {string} [associatedData] - Data the bytes were sealed with
+ * @returns {Promise<Uint8Array>} - Original bytes
+ * @throws {RegistryDecryptionError} If the value was tampered with or the key is wrong
+ */
+export async function openBytes(sealedStr, cryptoKey, associatedData = "") {
+  const subtle = getSubtle();
+
   try {
-    const codesArr = jsonDecode(encryptedStr);
-    const passLen = key.length;
-    
-    const result = [];
-    for (let i = 0; i < codesArr.length; i++) {
-      const passOffset = i % passLen;
-      const calAscii = codesArr[i] - key.charCodeAt(passOffset);
-      result.push(calAscii);
-    }
-
-    let str = "";
-    for (let i = 0; i < result.length; i++) {
-      const ch = String.fromCharCode(result[i]);
-      str += ch;
-    }
-
-    return jsonDecode(str);
+    const sealed = base64ToBytes(sealedStr);
+    return new Uint8Array(await subtle.decrypt(
+      { name: 'AES-GCM', iv: sealed.subarray(0, IV_LENGTH), additionalData: new TextEncoder().encode(associatedData) },
+      cryptoKey,
+      sealed.subarray(IV_LENGTH)
+    ));
   } catch (e) {
-    console.error('Error decrypting value:', e);
-    return null;
+    throw new RegistryDecryptionError('Unable to decrypt value: it was tampered with or sealed with a different secret');
   }
 }
+
+/**
+ * Seals a value with AES-GCM using a random IV
+ * @param {any} value - Value to seal
+ * @param {CryptoKey} cryptoKey - AES-GCM key
+ * @param {string} [associatedData] - Data bound to the ciphertext (e.g. the key name)
+ * @returns {Promise<string>} - Base64 encoded IV followed by ciphertext and auth tag
+ */
+export async function seal(value, cryptoKey, associatedData = "") {
+  const plaintext = new TextEncoder().encode(serialize(value === undefined ? null : value));
+  return sealBytes(plaintext, cryptoKey, associatedData);
+}
+
+/**
+ * Opens a value sealed with seal()
+ * @param {string} sealedStr - Sealed string
+ * @param {CryptoKey} cryptoKey - AES-GCM key
+ * @param {string} [associatedData] - Data the value was sealed with
+ * @returns {Promise<any>} - Original value
+ * @throws {RegistryDecryptionError} If the value was tampered with or the key is wrong
+ */
+export async function open(sealedStr, cryptoKey, associatedData = "") {
+  const plaintext = await openBytes(sealedStr, cryptoKey, associatedData);
+  return deserialize(new TextDecoder().decode(plaintext));
+}
@@ -1,5 +1,6 @@
 // crypto.test.js
-import { encrypt, decrypt } from './crypto.js';
+import { encrypt, decrypt, decryptCodes, encryptBytes, decryptBytes, importSecret, getKeyId, deriveKey, randomBytes, seal, open, sealBytes, openBytes } from './crypto.js';
+import { RegistryDecryptionError } from './errors.js';
 
 describe('Crypto', () => {
   describe('encrypt', () => {
@@ -148,5 +149,121 @@ describe('Crypto', () => {
       const decrypted = decrypt(encrypted, decryptKey);
       expect(decrypted).not.toBe(value);
     });
+    
+    test('should throw on invalid data with decryptCodes', () => {
+      expect(decryptCodes(encrypt({ a: 1 }, 'key1'), 'key1')).toEqual({ a: 1 });
+      expect(() => decryptCodes('not codes', 'key1')).toThrow();
+    });
+  });
+});
+
+describe('Byte encryption', () => {
+  test('should shift bytes by the key and restore them', () => {
+    const bytes = new TextEncoder().encode('{"name":"Ada","city":"Zürich"}');
+    const encrypted = encryptBytes(bytes, 'key1');
+    
+    expect(encrypted).toMatch(/^[A-Za-z0-9+/]+=*$/);
+    expect(Array.from(decryptBytes(encrypted, 'key1'))).toEqual(Array.from(bytes));
+    expect(Array.from(decryptBytes(encrypted, 'key2'))).not.toEqual(Array.from(bytes));
+  });
+  
+  test('should leave bytes unshifted with an empty key', () => {
+    const bytes = Uint8Array.of(1, 2, 255);
+    
+    expect(Array.from(decryptBytes(encryptBytes(bytes, ''), ''))).toEqual([1, 2, 255]);
+  });
+  
+  test('should seal and open bytes', async () => {
+    const cryptoKey = await importSecret('s3cret');
+    const bytes = Uint8Array.of(0, 128, 255);
+    const sealed = await sealBytes(bytes, cryptoKey, 'key1');
+    
+    expect(Array.from(await openBytes(sealed, cryptoKey, 'key1'))).toEqual([0, 128, 255]);
+    expect(await open(await seal('value', cryptoKey, 'key1'), cryptoKey, 'key1')).toBe('value');
+    await expect(openBytes(sealed, cryptoKey, 'key2')).rejects.toBeInstanceOf(RegistryDecryptionError);
+  });
+});
+
+describe('Key ids', () => {
+  test('should give every secret a short stable id', () => {
+    expect(getKeyId('s3cret')).toHaveLength(8);
+    expect(getKeyId('s3cret')).toBe(getKeyId('s3cret'));
+    expect(getKeyId('s3cret')).not.toBe(getKeyId('other'));
+    expect(getKeyId('s3cret')).not.toContain('s3cret');
+  });
+  
+  test('should not give CryptoKey instances an id', async () => {
+    expect(getKeyId(await importSecret('s3cret'))).toBeNull();
+  });
+});
+
+describe('Passphrase keys', () => {
+  test('should derive the same key from the same passphrase and salt', async () => {
+    const salt = randomBytes(16);
+    const key1 = await deriveKey('correct horse', salt, 1000);
+    const key2 = await deriveKey('correct horse', salt, 1000);
+    
+    expect(await open(await seal('value', key1), key2)).toBe('value');
+  });
+  
+  test('should derive different keys for other passphrases or salts', async () => {
+    const salt = randomBytes(16);
+    const sealed = await seal('value', await deriveKey('correct horse', salt, 1000));
+    
+    await expect(open(sealed, await deriveKey('wrong horse', salt, 1000))).rejects.toBeInstanceOf(RegistryDecryptionError);
+    await expect(open(sealed, await deriveKey('correct horse', randomBytes(16), 1000))).rejects.toBeInstanceOf(RegistryDecryptionError);
+  });
+  
+  test('should return random bytes', () => {
+    expect(randomBytes(16)).toHaveLength(16);
+    expect(Array.from(randomBytes(16))).not.toEqual(Array.from(randomBytes(16)));
+  });
+});
+
+describe('AES-GCM sealing', () => {
+  test('should seal and open a value with the same secret', async () => {
+    const cryptoKey = await importSecret('s3cret');
+    const sealed = await seal({ token: 'abc', n: 1 }, cryptoKey, 'session');
+    
+    // Sealed value should not expose the plaintext
+    expect(sealed).not.toContain('abc');
+    expect(await open(sealed, cryptoKey, 'session')).toEqual({ token: 'abc', n: 1 });
+  });
+  
+  test('should use a random IV for every seal', async () => {
+    const cryptoKey = await importSecret('s3cret');
+    const sealed1 = await seal('value', cryptoKey);
+    const sealed2 = await seal('value', cryptoKey);
+    
+    expect(sealed1).not.toBe(sealed2);
+  });
+  
+  test('should accept a CryptoKey', async () => {
+    const cryptoKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const imported = await importSecret(cryptoKey);
+    
+    expect(imported).toBe(cryptoKey);
+    expect(await open(await seal('value', imported), imported)).toBe('value');
+  });
+  
+  test('should reject a value opened with the wrong secret', async () => {
+    const sealed = await seal('value', await importSecret('right'));
+    
+    await expect(open(sealed, await importSecret('wrong'))).rejects.toBeInstanceOf(RegistryDecryptionError);
+  });
+  
+  test('should reject a tampered value', async () => {
+    const cryptoKey = await importSecret('s3cret');
+    const sealed = await seal('value', cryptoKey);
+    const tampered = (sealed[20] === 'A' ? 'B' : 'A');
+    
+    await expect(open(sealed.slice(0, 20) + tampered + sealed.slice(21), cryptoKey)).rejects.toBeInstanceOf(RegistryDecryptionError);
+  });
+  
+  test('should reject a value sealed for another key name', async () => {
+    const cryptoKey = await importSecret('s3cret');
+    const sealed = await seal('value', cryptoKey, 'key1');
+    
+    await expect(open(sealed, cryptoKey, 'key2')).rejects.toBeInstanceOf(RegistryDecryptionError);
   });
 });
@@ -0,0 +1,103 @@
+import { RegistryError } from './errors.js';
+
+/**
+ * Every value is stored in a small envelope recording how and when it was
+ * written, so the cipher or the serializer can change without breaking
+ * existing values:
+ *
+ *   { "v": 1, "c": "aes-gcm", "e": "base64", "z": "lz", "d": "<encrypted value>",
+ *     "ct": 1700000000000, "ut": 1700000000000, "ttl": 3600 }
+ *
+ * "e" is the encoding of the encrypted value and "z" its compression, if
+ * any. Sealed values record the id of the secret that sealed them in "k",
+ * see getKeyId(). Envelopes written before encodings were recorded have neither: their
+ * shift values hold the JSON array of the original cipher.
+ *
+ * Values written before envelopes existed are plain JSON strings holding the
+ * encrypted value. They read as format version 0 with no cipher id; the
+ * original cipher stored a JSON array of codes, sealed values are base64.
+ */
+
+// Format version written by this code
+export const ENVELOPE_VERSION = 1;
+
+// Cipher ids, "shift" is the original obfuscation, "aes-gcm" is used with a secret
+export const CIPHER_SHIFT = 'shift';
+export const CIPHER_AES_GCM = 'aes-gcm';
+
+/**
+ * Wraps an encrypted value in an envelope
+ * @param {string} data - Encrypted value
+ * @param {string} cipher - Cipher id that encrypted the value
+ * @param {Object|null} previous - Envelope of the value being replaced, keeps
+ *   its creation time
+ * @param {number} [ttl] - Seconds the value was set to live for, defaults to
+ *   the TTL of the replaced value
+ * @param {Object} [format] - How the value was encoded
+ * @param {string} [format.encoding] - Encoding id, see codec.js
+ * @param {string|null} [format.compression] - Compression id, null if not compressed
+ * @param {string|null} [format.keyId] - Id of the secret that sealed the value
+ * @returns {Object} Envelope to store
+ */
+export function createEnvelope(data, cipher, previous, ttl, format = {}) {
+  const now = Date.now();
+  const envelope = {
+    v: ENVELOPE_VERSION,
+    c: cipher
+  };
+  if (format.keyId) {
+    envelope.k = format.keyId;
+  }
+  if (format.encoding) {
+    envelope.e = format.encoding;
+  }
+  if (format.compression) {
+    envelope.z = format.compression;
+  }
+  Object.assign(envelope, {
+    d: data,
+    ct: previous !== null && previous.createdAt !== null ? previous.createdAt : now,
+    ut: now
+  });
+  if (typeof ttl === 'number') {
+    envelope.ttl = ttl;
+  } else if (previous !== null && previous.ttl !== null) {
+    // The expiration of the replaced value is kept too
+    envelope.ttl = previous.ttl;
+  }
+  return envelope;
+}
+
+/**
+ * Reads a stored envelope
+ * @param {any} stored - Stored value, as returned by getValue()
+ * @returns {Object|null} Envelope with version, cipher, keyId, encoding,
+ *   compression, data, createdAt, updatedAt and ttl, or null if nothing is stored
+ * @throws {RegistryError} If the value was written by a newer format version
+ */
+export function parseEnvelope(stored) {
+  if (stored === null || typeof stored === 'undefined') {
+    return null;
+  }
+
+  // Legacy entries are the bare encrypted value
+  if (typeof stored === 'string') {
+    return { version: 0, cipher: null, keyId: null, encoding: null, compression: null, data: stored, createdAt: null, updatedAt: null, ttl: null };
+  }
+
+  if (typeof stored !== 'object' || typeof stored.v !== 'number' || stored.v > ENVELOPE_VERSION) {
+    throw new RegistryError('Unsupported entry format: ' + (stored && stored.v));
+  }
+
+  return {
+    version: stored.v,
+    cipher: stored.c,
+    keyId: typeof stored.k === 'string' ? stored.k : null,
+    encoding: typeof stored.e === 'string' ? stored.e : null,
+    compression: typeof stored.z === 'string' ? stored.z : null,
+    data: stored.d,
+    createdAt: typeof stored.ct === 'number' ? stored.ct : null,
+    updatedAt: typeof stored.ut === 'number' ? stored.ut : null,
+    ttl: typeof stored.ttl === 'number' ? stored.ttl : null
+  };
+}
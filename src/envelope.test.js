@@ -0,0 +1,93 @@
+// envelope.test.js
+import { ENVELOPE_VERSION, CIPHER_SHIFT, createEnvelope, parseEnvelope } from './envelope.js';
+import { RegistryError } from './errors.js';
+
+describe('Envelope', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(5000);
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('createEnvelope', () => {
+    test('should record the format, cipher and timestamps', () => {
+      expect(createEnvelope('data', CIPHER_SHIFT, null, 60)).toEqual({
+        v: ENVELOPE_VERSION,
+        c: 'shift',
+        d: 'data',
+        ct: 5000,
+        ut: 5000,
+        ttl: 60
+      });
+    });
+    
+    test('should leave out the TTL of values that do not expire', () => {
+      expect(createEnvelope('data', CIPHER_SHIFT, null)).not.toHaveProperty('ttl');
+    });
+    
+    test('should keep the creation time and TTL of the replaced value', () => {
+      const previous = { version: 1, cipher: 'shift', data: 'old', createdAt: 1000, updatedAt: 2000, ttl: 30 };
+      const envelope = createEnvelope('data', CIPHER_SHIFT, previous);
+      
+      expect(envelope.ct).toBe(1000);
+      expect(envelope.ut).toBe(5000);
+      expect(envelope.ttl).toBe(30);
+    });
+    
+    test('should record the encoding and compression', () => {
+      const envelope = createEnvelope('data', CIPHER_SHIFT, null, undefined, { encoding: 'base64', compression: 'lz' });
+      
+      expect(envelope).toMatchObject({ e: 'base64', z: 'lz' });
+      expect(parseEnvelope(envelope)).toMatchObject({ encoding: 'base64', compression: 'lz' });
+      expect(createEnvelope('data', CIPHER_SHIFT, null, undefined, { encoding: 'base64', compression: null })).not.toHaveProperty('z');
+    });
+    test('should record the id of the sealing secret', () => {
+      const envelope = createEnvelope('data', 'aes-gcm', null, undefined, { encoding: 'base64', keyId: 'abcd1234' });
+      
+      expect(envelope.k).toBe('abcd1234');
+      expect(parseEnvelope(envelope).keyId).toBe('abcd1234');
+      expect(createEnvelope('data', CIPHER_SHIFT, null)).not.toHaveProperty('k');
+    });
+  });
+  
+  describe('parseEnvelope', () => {
+    test('should read envelopes', () => {
+      expect(parseEnvelope(createEnvelope('data', CIPHER_SHIFT, null, 60))).toEqual({
+        version: ENVELOPE_VERSION,
+        cipher: 'shift',
+        keyId: null,
+        encoding: null,
+        compression: null,
+        data: 'data',
+        createdAt: 5000,
+        updatedAt: 5000,
+        ttl: 60
+      });
+    });
+    
+    test('should read legacy values as format 0', () => {
+      expect(parseEnvelope('[1,2,3]')).toEqual({
+        version: 0,
+        cipher: null,
+        keyId: null,
+        encoding: null,
+        compression: null,
+        data: '[1,2,3]',
+        createdAt: null,
+        updatedAt: null,
+        ttl: null
+      });
+    });
+    
+    test('should return null when nothing is stored', () => {
+      expect(parseEnvelope(null)).toBeNull();
+    });
+    
+    test('should reject newer or unknown formats', () => {
+      expect(() => parseEnvelope({ v: ENVELOPE_VERSION + 1, d: 'data' })).toThrow(RegistryError);
+      expect(() => parseEnvelope(42)).toThrow('Unsupported entry format');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Base class for all errors raised by the registry
+ */
+export class RegistryError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+  }
+}
+
+/**
+ * Raised when a sealed value cannot be decrypted, either because it was
+ * tampered with or because it was sealed with a different secret
+ */
+export class RegistryDecryptionError extends RegistryError {}
+
+/**
+ * Raised when a namespace was written by a newer schema version than the
+ * registry opening it, see the version and downgrade options
+ */
+export class RegistryVersionError extends RegistryError {
+  /**
+   * @param {number} storedVersion - Schema version found in storage
+   * @param {number} version - Schema version of the registry
+   */
+  constructor(storedVersion, version) {
+    super('Stored schema version ' + storedVersion + ' is newer than version ' + version);
+    this.storedVersion = storedVersion;
+    this.version = version;
+  }
+}
+
+/**
+ * Raised by reads and writes of a passphrase protected registry that has
+ * not been unlocked, see unlock()
+ */
+export class RegistryLockedError extends RegistryError {}
+
+/**
+ * Raised in strict mode when a stored entry cannot be read: it is not valid
+ * JSON, uses an unknown format, or its data does not decrypt or decode
+ */
+export class RegistryCorruptEntryError extends RegistryError {
+  /**
+   * @param {string|null} key - Key of the entry, null for registry metadata
+   * @param {Error} [cause] - The error reading the entry
+   */
+  constructor(key, cause) {
+    super((key !== null ? 'Entry ' + key : 'Registry metadata') + ' is corrupt' + (cause ? ': ' + cause.message : ''));
+    this.key = key;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Raised in strict mode when an entry fails the integrity check, see
+ * options.integrity. Tampered entries are removed like in non-strict mode.
+ */
+export class RegistryIntegrityError extends RegistryCorruptEntryError {
+  /**
+   * @param {string} key - Key of the entry
+   */
+  constructor(key) {
+    super(key, new Error('it failed the integrity check'));
+  }
+}
+
+/**
+ * Raised in strict mode when a value does not fit in storage, after the
+ * eviction policy made what room it could
+ */
+export class RegistryQuotaError extends RegistryError {
+  /**
+   * @param {string} key - Key being written
+   * @param {Error} cause - The quota error of the storage
+   */
+  constructor(key, cause) {
+    super('Storage quota exceeded writing ' + key);
+    this.key = key;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Raised in strict mode when the storage cannot be used at all, for instance
+ * when localStorage is disabled or blocked
+ */
+export class RegistryStorageUnavailableError extends RegistryError {
+  /**
+   * @param {Error} cause - The error of the storage
+   */
+  constructor(cause) {
+    super('Storage is not available: ' + cause.message);
+    this.cause = cause;
+  }
+}
+
+// Minifiers rename classes, so each error carries its name as a literal
+RegistryError.prototype.name = 'RegistryError';
+RegistryDecryptionError.prototype.name = 'RegistryDecryptionError';
+RegistryVersionError.prototype.name = 'RegistryVersionError';
+RegistryLockedError.prototype.name = 'RegistryLockedError';
+RegistryCorruptEntryError.prototype.name = 'RegistryCorruptEntryError';
+RegistryIntegrityError.prototype.name = 'RegistryIntegrityError';
+RegistryQuotaError.prototype.name = 'RegistryQuotaError';
+RegistryStorageUnavailableError.prototype.name = 'RegistryStorageUnavailableError';
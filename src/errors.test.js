@@ -0,0 +1,30 @@
+// errors.test.js
+import {
+  RegistryError,
+  RegistryDecryptionError,
+  RegistryVersionError,
+  RegistryLockedError,
+  RegistryCorruptEntryError,
+  RegistryIntegrityError,
+  RegistryQuotaError,
+  RegistryStorageUnavailableError
+} from './errors.js';
+
+describe('Errors', () => {
+  test('should name each error literally', () => {
+    expect(new RegistryError('message').name).toBe('RegistryError');
+    expect(new RegistryDecryptionError('message').name).toBe('RegistryDecryptionError');
+    expect(new RegistryVersionError(2, 1).name).toBe('RegistryVersionError');
+    expect(new RegistryLockedError('message').name).toBe('RegistryLockedError');
+    expect(new RegistryCorruptEntryError('key1').name).toBe('RegistryCorruptEntryError');
+    expect(new RegistryIntegrityError('key1').name).toBe('RegistryIntegrityError');
+    expect(new RegistryQuotaError('key1', new Error('full')).name).toBe('RegistryQuotaError');
+    expect(new RegistryStorageUnavailableError(new Error('blocked')).name).toBe('RegistryStorageUnavailableError');
+  });
+  
+  test('should not take names from classes, which minifiers rename', () => {
+    class Mangled extends RegistryLockedError {}
+    expect(new Mangled('message').name).toBe('RegistryLockedError');
+    expect(String(new RegistryQuotaError('key1', new Error('full')))).toBe('RegistryQuotaError: Storage quota exceeded writing key1');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Creates a minimal event emitter
+ * @param {Function} [onError] - Called with the errors of throwing handlers,
+ *   instead of logging them
+ * @returns {Object} Emitter with on, off and emit methods
+ */
+export function createEmitter(onError) {
+  const handlers = {};
+
+  /**
+   * Removes a handler
+   * @param {string} type - Event type
+   * @param {Function} handler - Handler to remove
+   */
+  function off(type, handler) {
+    if (!handlers[type]) {
+      return;
+    }
+    handlers[type] = handlers[type].filter(h => h !== handler);
+  }
+
+  return {
+    /**
+     * Adds a handler
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with the event object
+     * @returns {Function} Removes the handler again
+     */
+    on: function(type, handler) {
+      (handlers[type] = handlers[type] || []).push(handler);
+      return () => off(type, handler);
+    },
+
+    off: off,
+
+    /**
+     * Calls the handlers of an event type. A throwing handler is reported and
+     * does not keep the other handlers from running.
+     * @param {string} type - Event type
+     * @param {Object} event - Event object passed to the handlers
+     */
+    emit: function(type, event) {
+      const list = (handlers[type] || []).slice();
+      for (let i = 0; i < list.length; i++) {
+        try {
+          list[i](event);
+        } catch (e) {
+          if (typeof onError === 'function') {
+            onError(e);
+          } else {
+            console.error('Error in registry event handler:', e);
+          }
+        }
+      }
+    },
+
+    /**
+     * Removes all handlers of all event types
+     */
+    clear: function() {
+      Object.keys(handlers).forEach(type => delete handlers[type]);
+    }
+  };
+}
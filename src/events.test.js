@@ -0,0 +1,73 @@
+// events.test.js
+import { createEmitter } from './events.js';
+
+describe('Events', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  describe('createEmitter', () => {
+    test('should call handlers of the emitted type', () => {
+      const emitter = createEmitter();
+      const onChange = jest.fn();
+      const onRemove = jest.fn();
+      emitter.on('change', onChange);
+      emitter.on('remove', onRemove);
+      
+      emitter.emit('change', { key: 'key1' });
+      
+      expect(onChange).toHaveBeenCalledWith({ key: 'key1' });
+      expect(onRemove).not.toHaveBeenCalled();
+    });
+    
+    test('should remove handlers', () => {
+      const emitter = createEmitter();
+      const handler1 = jest.fn();
+      const handler2 = jest.fn();
+      const unsubscribe = emitter.on('change', handler1);
+      emitter.on('change', handler2);
+      
+      unsubscribe();
+      emitter.off('change', handler2);
+      emitter.emit('change', {});
+      
+      expect(handler1).not.toHaveBeenCalled();
+      expect(handler2).not.toHaveBeenCalled();
+    });
+    
+    test('should remove all handlers', () => {
+      const emitter = createEmitter();
+      const handler = jest.fn();
+      emitter.on('change', handler);
+      emitter.on('remove', handler);
+      
+      emitter.clear();
+      emitter.emit('change', {});
+      emitter.emit('remove', {});
+      
+      expect(handler).not.toHaveBeenCalled();
+    });
+    
+    test('should keep calling handlers after one throws', () => {
+      const emitter = createEmitter();
+      const handler = jest.fn();
+      emitter.on('change', () => { throw new Error('failed'); });
+      emitter.on('change', handler);
+      
+      emitter.emit('change', {});
+      
+      expect(handler).toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalled();
+    });
+    
+    test('should hand handler errors to onError', () => {
+      const onError = jest.fn();
+      const emitter = createEmitter(onError);
+      emitter.on('change', () => { throw new Error('failed'); });
+      
+      emitter.emit('change', {});
+      
+      expect(onError.mock.calls[0][0].message).toBe('failed');
+    });
+  });
+});
@@ -0,0 +1,385 @@
+import { getKeyNamespace, getNamespacePrefix, createNamespacedKey, createMetaKey, isExpirationKey } from './namespace.js';
+import { jsonEncode, jsonDecode } from './utils.js';
+
+/**
+ * Eviction strategies of a namespace policy:
+ * - "lru" evicts the least recently read or written value first
+ * - "ttl" evicts the value closest to expiring first, values without an
+ *   expiration last
+ * - "oldest" evicts the value created first
+ */
+export const EVICTION_STRATEGIES = ['lru', 'ttl', 'oldest'];
+
+// Milliseconds uses of keys are kept in memory before the access log is
+// written, so reads do not rewrite the whole log every time
+const ACCESS_LOG_DELAY = 1000;
+
+// Usage tallies of each storage adapter by namespace, see getUsageTally()
+const tallies = new WeakMap();
+
+/**
+ * Creates the access log of a namespace, which records when each key was
+ * created and last used. It is stored as a single meta key. Uses are
+ * collected in memory and written together, at most once per second.
+ * @param {string} namespace - The namespace
+ * @param {Object} storage - Storage adapter
+ * @returns {Object} Access log with read, touch, forget, rename, flush,
+ *   discard and clear methods
+ */
+export function createAccessLog(namespace, storage) {
+  const logKey = createMetaKey(namespace, 'access');
+
+  // Changes not written yet, key to [createdAt, accessedAt] or null for
+  // forgotten keys. createdAt is null for keys used without being written.
+  const pending = new Map();
+  let flushTimer = null;
+
+  /**
+   * Reads the stored log
+   * @returns {Object|null} Map of key to [createdAt, accessedAt] in
+   *   milliseconds, null if there is none
+   */
+  function readStored() {
+    try {
+      return jsonDecode(storage.getItem(logKey));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Applies the pending changes to a log
+   * @param {Object} log - Map of key to [createdAt, accessedAt]
+   * @param {Function} [keep] - Tells whether a used key is still stored
+   * @returns {Object} The log
+   */
+  function apply(log, keep) {
+    pending.forEach((entry, key) => {
+      if (entry === null || (typeof keep === 'function' && !keep(key))) {
+        delete log[key];
+        return;
+      }
+      const createdAt = entry[0] !== null ? entry[0] : (log[key] ? log[key][0] : entry[1]);
+      log[key] = [createdAt, entry[1]];
+    });
+    return log;
+  }
+
+  /**
+   * Writes the log. It is bookkeeping only, so a full storage is ignored.
+   * @param {Object} log - Map of key to [createdAt, accessedAt]
+   */
+  function write(log) {
+    try {
+      storage.setItem(logKey, jsonEncode(log));
+    } catch (e) {
+      // The log is rebuilt from scratch as keys are used again
+    }
+  }
+
+  /**
+   * Writes the pending changes. Keys whose value is gone by then, removed by
+   * another tab or with the whole namespace, are left out.
+   */
+  function flush() {
+    if (flushTimer !== null) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (pending.size === 0) {
+      return;
+    }
+
+    const stored = readStored();
+    const log = apply(stored || {}, key => storage.getItem(createNamespacedKey(key, namespace)) !== null);
+    pending.clear();
+    if (Object.keys(log).length > 0) {
+      write(log);
+    } else if (stored !== null) {
+      storage.removeItem(logKey);
+    }
+  }
+
+  /**
+   * Writes the pending changes once the delay is over
+   */
+  function schedule() {
+    if (flushTimer === null) {
+      flushTimer = setTimeout(flush, ACCESS_LOG_DELAY);
+    }
+  }
+
+  /**
+   * Drops the pending changes
+   */
+  function discard() {
+    if (flushTimer !== null) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    pending.clear();
+  }
+
+  return {
+    /**
+     * Reads the log, pending changes included
+     * @returns {Object} Map of key to [createdAt, accessedAt] in milliseconds
+     */
+    read: function() {
+      return apply(readStored() || {});
+    },
+
+    /**
+     * Records a use of a key
+     * @param {string} key - The key
+     * @param {boolean} created - True if the key was (re)written
+     */
+    touch: function(key, created) {
+      const previous = pending.get(key);
+      const now = Date.now();
+      pending.set(key, [created ? now : (previous ? previous[0] : null), now]);
+      schedule();
+    },
+
+    /**
+     * Removes keys from the log
+     * @param {string[]} keys - Keys to remove
+     */
+    forget: function(keys) {
+      if (keys.length === 0) {
+        return;
+      }
+      keys.forEach(key => pending.set(key, null));
+      schedule();
+    },
+
+    /**
+     * Moves the entries of renamed keys
+     * @param {Object} renames - Map of old key to new key
+     */
+    rename: function(renames) {
+      const log = apply(readStored() || {});
+      const oldKeys = Object.keys(renames).filter(key => log[key]);
+      if (oldKeys.length === 0) {
+        return;
+      }
+      oldKeys.forEach(key => {
+        log[renames[key]] = log[key];
+        delete log[key];
+      });
+      discard();
+      write(log);
+    },
+
+    flush: flush,
+
+    discard: discard,
+
+    /**
+     * Removes the whole log
+     */
+    clear: function() {
+      discard();
+      storage.removeItem(logKey);
+    }
+  };
+}
+
+/**
+ * Creates the usage tally of a namespace, see getUsageTally()
+ * @param {string} namespace - The namespace
+ * @param {Object} storage - Storage adapter
+ * @returns {Object} Tally with entries, bytes, size, record and reset methods
+ */
+function createUsageTally(namespace, storage) {
+  const namespacePrefix = getNamespacePrefix(namespace);
+
+  // Bytes of each value and expiration key, null until measured
+  let sizes = null;
+  let entries = 0;
+  let bytes = 0;
+
+  /**
+   * Updates the size of a storage key
+   * @param {string} storageKey - The storage key
+   * @param {number|null} size - Its size in bytes, null once removed
+   */
+  function update(storageKey, size) {
+    const previous = sizes.get(storageKey);
+    const counted = isExpirationKey(storageKey) ? 0 : 1;
+    if (typeof previous !== 'undefined') {
+      bytes -= previous;
+      entries -= counted;
+      sizes.delete(storageKey);
+    }
+    if (size !== null) {
+      bytes += size;
+      entries += counted;
+      sizes.set(storageKey, size);
+    }
+  }
+
+  /**
+   * Measures a storage key at two bytes per character, see getEntryUsage()
+   * @param {string} storageKey - The storage key
+   * @returns {number|null} Size in bytes, null if the key is not stored
+   */
+  function measure(storageKey) {
+    const value = storage.getItem(storageKey);
+    return value === null ? null : (storageKey.length + value.length) * 2;
+  }
+
+  /**
+   * Measures the whole namespace, once
+   */
+  function load() {
+    if (sizes !== null) {
+      return;
+    }
+    sizes = new Map();
+    entries = 0;
+    bytes = 0;
+    storage.keys().forEach(storageKey => {
+      if (storageKey.startsWith(namespacePrefix)) {
+        update(storageKey, measure(storageKey));
+      }
+    });
+  }
+
+  const tally = {
+    /**
+     * Counts the stored values, expired ones included
+     * @returns {number} Number of values
+     */
+    entries: function() {
+      load();
+      return entries;
+    },
+
+    /**
+     * Measures the values and expirations, expired ones included
+     * @returns {number} Size in bytes
+     */
+    bytes: function() {
+      load();
+      return bytes;
+    },
+
+    /**
+     * Measures a storage key of the namespace
+     * @param {string} storageKey - The storage key
+     * @returns {number} Size in bytes, 0 if the key is not stored
+     */
+    size: function(storageKey) {
+      load();
+      return sizes.get(storageKey) || 0;
+    },
+
+    /**
+     * Measures again a storage key that was written or removed
+     * @param {string} storageKey - The storage key
+     */
+    record: function(storageKey) {
+      if (sizes !== null && storageKey.startsWith(namespacePrefix)) {
+        update(storageKey, measure(storageKey));
+      }
+    },
+
+    /**
+     * Forgets the sizes, the namespace is measured again when next needed
+     */
+    reset: function() {
+      sizes = null;
+    }
+  };
+
+  // Follow the changes of other tabs
+  if (typeof storage.subscribe === 'function') {
+    storage.subscribe(storageKey => {
+      if (storageKey === null) {
+        tally.reset();
+      } else {
+        tally.record(storageKey);
+      }
+    });
+  }
+
+  return tally;
+}
+
+/**
+ * Returns the usage tally of a namespace, which keeps running totals of its
+ * values and their size so writes do not measure the whole namespace. The
+ * namespace is measured on first use. Writes made through the adapter
+ * returned by trackUsage() and changes of other tabs are counted as they
+ * happen; writes made to the storage behind the registry's back are only seen
+ * once the tally is reset.
+ * @param {string} namespace - The namespace
+ * @param {Object} storage - Storage adapter
+ * @returns {Object} Tally with entries, bytes, size, record and reset methods
+ */
+export function getUsageTally(namespace, storage) {
+  if (!tallies.has(storage)) {
+    tallies.set(storage, new Map());
+  }
+  const namespaceTallies = tallies.get(storage);
+  if (!namespaceTallies.has(namespace)) {
+    namespaceTallies.set(namespace, createUsageTally(namespace, storage));
+  }
+  return namespaceTallies.get(namespace);
+}
+
+/**
+ * Wraps a storage adapter so the usage tallies of the storage behind it
+ * follow the writes and removals made through it
+ * @param {Object} storage - Storage adapter to write through
+ * @param {Object} [base] - Adapter the tallies belong to, defaults to storage
+ * @returns {Object} Tracking storage adapter
+ */
+export function trackUsage(storage, base = storage) {
+  const record = storageKey => {
+    const namespaceTallies = tallies.get(base);
+    const namespace = typeof namespaceTallies !== 'undefined' ? getKeyNamespace(storageKey) : null;
+    if (namespace !== null && namespaceTallies.has(namespace)) {
+      namespaceTallies.get(namespace).record(storageKey);
+    }
+  };
+  const tracked = {
+    getItem: key => storage.getItem(key),
+    setItem: (key, value) => {
+      storage.setItem(key, value);
+      record(key);
+    },
+    removeItem: key => {
+      storage.removeItem(key);
+      record(key);
+    },
+    keys: () => storage.keys()
+  };
+  if (typeof storage.subscribe === 'function') {
+    tracked.subscribe = storage.subscribe.bind(storage);
+  }
+  return tracked;
+}
+
+/**
+ * Orders eviction candidates, the first one is to be evicted first
+ * @param {Object[]} candidates - Objects with key, createdAt, accessedAt and
+ *   expires (seconds since the epoch, or null)
+ * @param {string} strategy - One of EVICTION_STRATEGIES
+ * @returns {string[]} Keys in eviction order
+ */
+export function rankForEviction(candidates, strategy) {
+  const byAccess = (a, b) => a.accessedAt - b.accessedAt;
+  const compare = {
+    lru: byAccess,
+    oldest: (a, b) => (a.createdAt - b.createdAt) || byAccess(a, b),
+    ttl: (a, b) => {
+      const expiresA = a.expires === null ? Infinity : a.expires;
+      const expiresB = b.expires === null ? Infinity : b.expires;
+      return expiresA === expiresB ? byAccess(a, b) : (expiresA < expiresB ? -1 : 1);
+    }
+  }[strategy];
+
+  return candidates.slice().sort(compare).map(candidate => candidate.key);
+}
@@ -0,0 +1,157 @@
+// eviction.test.js
+import { createAccessLog, rankForEviction, getUsageTally, trackUsage } from './eviction.js';
+import { createNamespacedKey } from './namespace.js';
+import { createMemoryAdapter } from './adapters.js';
+
+describe('Eviction', () => {
+  describe('rankForEviction', () => {
+    const candidates = [
+      { key: 'a', createdAt: 3, accessedAt: 10, expires: null },
+      { key: 'b', createdAt: 1, accessedAt: 30, expires: 500 },
+      { key: 'c', createdAt: 2, accessedAt: 20, expires: 100 }
+    ];
+    
+    test('should order by last access for lru', () => {
+      expect(rankForEviction(candidates, 'lru')).toEqual(['a', 'c', 'b']);
+    });
+    
+    test('should order by creation for oldest', () => {
+      expect(rankForEviction(candidates, 'oldest')).toEqual(['b', 'c', 'a']);
+    });
+    
+    test('should order by expiration for ttl, non-expiring values last', () => {
+      expect(rankForEviction(candidates, 'ttl')).toEqual(['c', 'b', 'a']);
+    });
+  });
+  
+  describe('createAccessLog', () => {
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.useRealTimers();
+    });
+    
+    test('should record creation and access times', () => {
+      const log = createAccessLog('ns1', createMemoryAdapter());
+      log.touch('key1', true);
+      
+      Date.now.mockReturnValue(2000);
+      log.touch('key1', false);
+      
+      expect(log.read()).toEqual({ key1: [1000, 2000] });
+    });
+    
+    test('should reset the creation time when a key is rewritten', () => {
+      const log = createAccessLog('ns1', createMemoryAdapter());
+      log.touch('key1', true);
+      
+      Date.now.mockReturnValue(2000);
+      log.touch('key1', true);
+      
+      expect(log.read()).toEqual({ key1: [2000, 2000] });
+    });
+    
+    test('should forget and clear keys', () => {
+      const storage = createMemoryAdapter();
+      const log = createAccessLog('ns1', storage);
+      log.touch('key1', true);
+      log.touch('key2', true);
+      
+      log.forget(['key1']);
+      expect(Object.keys(log.read())).toEqual(['key2']);
+      
+      log.clear();
+      expect(storage.keys()).toEqual([]);
+    });
+    
+    test('should move the entries of renamed keys', () => {
+      const log = createAccessLog('ns1', createMemoryAdapter());
+      log.touch('key1', true);
+      log.touch('key2', true);
+      log.rename({ key1: 'hashed1', missing: 'hashed2' });
+      
+      expect(log.read()).toEqual({ hashed1: [1000, 1000], key2: [1000, 1000] });
+    });
+    
+    test('should write uses together', () => {
+      jest.useFakeTimers({ now: 1000 });
+      const storage = createMemoryAdapter();
+      storage.setItem(createNamespacedKey('key1', 'ns1'), '"value1"');
+      jest.spyOn(storage, 'setItem');
+      const log = createAccessLog('ns1', storage);
+      
+      log.touch('key1', true);
+      log.touch('key1', false);
+      expect(storage.setItem).not.toHaveBeenCalled();
+      expect(log.read()).toEqual({ key1: [1000, 1000] });
+      
+      jest.advanceTimersByTime(1000);
+      expect(storage.setItem).toHaveBeenCalledTimes(1);
+      expect(createAccessLog('ns1', storage).read()).toEqual({ key1: [1000, 1000] });
+    });
+    
+    test('should leave out keys removed before the log is written', () => {
+      const storage = createMemoryAdapter();
+      storage.setItem(createNamespacedKey('key1', 'ns1'), '"value1"');
+      const log = createAccessLog('ns1', storage);
+      log.touch('key1', true);
+      log.touch('key2', true);
+      
+      log.flush();
+      expect(createAccessLog('ns1', storage).read()).toEqual({ key1: [1000, 1000] });
+      
+      storage.removeItem(createNamespacedKey('key1', 'ns1'));
+      log.touch('key1', false);
+      log.flush();
+      expect(storage.keys()).toEqual([]);
+    });
+    
+    test('should keep working when storage is full', () => {
+      const storage = createMemoryAdapter();
+      storage.setItem(createNamespacedKey('key1', 'ns1'), '"value1"');
+      storage.setItem = () => { throw new Error('QuotaExceededError'); };
+      const log = createAccessLog('ns1', storage);
+      
+      expect(() => {
+        log.touch('key1', true);
+        log.flush();
+      }).not.toThrow();
+    });
+  });
+  
+  describe('getUsageTally', () => {
+    test('should keep running totals of writes made through trackUsage', () => {
+      const storage = createMemoryAdapter();
+      storage.setItem(createNamespacedKey('key1', 'ns1'), '"value1"');
+      const tally = getUsageTally('ns1', storage);
+      const tracked = trackUsage(storage);
+      expect(tally.entries()).toBe(1);
+      
+      jest.spyOn(storage, 'keys');
+      tracked.setItem(createNamespacedKey('key2', 'ns1'), '"value2"');
+      tracked.setItem(createNamespacedKey('key2', 'ns1') + '&&expires', '1000');
+      tracked.setItem(createNamespacedKey('key1', 'ns2'), '"other"');
+      expect(tally.entries()).toBe(2);
+      expect(tally.bytes()).toBe(storage.keys().filter(key => key.startsWith('registry:ns1:')).reduce((sum, key) => sum + (key.length + storage.getItem(key).length) * 2, 0));
+      
+      tracked.removeItem(createNamespacedKey('key1', 'ns1'));
+      expect(tally.entries()).toBe(1);
+      expect(storage.keys).toHaveBeenCalledTimes(1);
+      expect(getUsageTally('ns1', storage)).toBe(tally);
+    });
+    
+    test('should measure the namespace again once reset', () => {
+      const storage = createMemoryAdapter();
+      const tally = getUsageTally('ns1', storage);
+      expect(tally.entries()).toBe(0);
+      
+      storage.setItem(createNamespacedKey('key1', 'ns1'), '"value1"');
+      expect(tally.entries()).toBe(0);
+      tally.reset();
+      expect(tally.entries()).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { bytesToBase64 } from './utils.js';
+
+/**
+ * Synchronous HMAC-SHA256.
+ *
+ * WebCrypto only signs asynchronously, which would turn every read of a
+ * registry into a Promise. Integrity checks apply to registries without a
+ * secret, whose get() and set() return plain values, so the signature has to
+ * be computed synchronously: it is computed here instead. Both primitives are
+ * checked against the published SHA-256 and RFC 4231 test vectors.
+ */
+
+const BLOCK_SIZE = 64;
+
+// First 32 bits of the fractional parts of the cube roots of the first 64 primes
+const ROUND_CONSTANTS = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// First 32 bits of the fractional parts of the square roots of the first 8 primes
+const INITIAL_HASH = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+/**
+ * Rotates a 32-bit word right
+ * @param {number} word - The word
+ * @param {number} bits - Bits to rotate by
+ * @returns {number} Rotated word
+ */
+function rotate(word, bits) {
+  return (word >>> bits) | (word << (32 - bits));
+}
+
+/**
+ * Computes the SHA-256 digest of bytes
+ * @param {Uint8Array} bytes - Bytes to hash
+ * @returns {Uint8Array} 32 byte digest
+ */
+export function sha256(bytes) {
+  // Pad to a whole number of blocks: a 1 bit, zeros, and the length in bits
+  const paddedLength = Math.ceil((bytes.length + 9) / BLOCK_SIZE) * BLOCK_SIZE;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(paddedLength - 4, bytes.length * 8);
+
+  const hash = INITIAL_HASH.slice();
+  const words = new Uint32Array(64);
+
+  for (let offset = 0; offset < paddedLength; offset += BLOCK_SIZE) {
+    for (let i = 0; i < 16; i++) {
+      words[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotate(words[i - 15], 7) ^ rotate(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+      const s1 = rotate(words[i - 2], 17) ^ rotate(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+      words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25);
+      const choice = (e & f) ^ (~e & g);
+      const temp1 = (h + s1 + choice + ROUND_CONSTANTS[i] + words[i]) | 0;
+      const s0 = rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22);
+      const majority = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (s0 + majority) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) | 0;
+    }
+
+    hash[0] = (hash[0] + a) | 0;
+    hash[1] = (hash[1] + b) | 0;
+    hash[2] = (hash[2] + c) | 0;
+    hash[3] = (hash[3] + d) | 0;
+    hash[4] = (hash[4] + e) | 0;
+    hash[5] = (hash[5] + f) | 0;
+    hash[6] = (hash[6] + g) | 0;
+    hash[7] = (hash[7] + h) | 0;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((word, i) => digestView.setUint32(i * 4, word >>> 0));
+  return digest;
+}
+
+/**
+ * Computes the HMAC-SHA256 of a message
+ * @param {Uint8Array} key - Secret key
+ * @param {Uint8Array} message - Message to authenticate
+ * @returns {Uint8Array} 32 byte signature
+ */
+export function hmacSha256(key, message) {
+  const blockKey = new Uint8Array(BLOCK_SIZE);
+  blockKey.set(key.length > BLOCK_SIZE ? sha256(key) : key);
+
+  const inner = new Uint8Array(BLOCK_SIZE + message.length);
+  const outer = new Uint8Array(BLOCK_SIZE + 32);
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    inner[i] = blockKey[i] ^ 0x36;
+    outer[i] = blockKey[i] ^ 0x5c;
+  }
+  inner.set(message, BLOCK_SIZE);
+  outer.set(sha256(inner), BLOCK_SIZE);
+  return sha256(outer);
+}
+
+/**
+ * Compares two signatures in constant time, so the time taken does not tell
+ * how much of a forged signature is right
+ * @param {string} signature - Signature computed from the entry
+ * @param {string} stored - Signature stored with the entry
+ * @returns {boolean} True if both are equal
+ */
+export function signaturesMatch(signature, stored) {
+  if (typeof signature !== 'string' || typeof stored !== 'string' || signature.length !== stored.length) {
+    return false;
+  }
+  let mismatch = 0;
+  for (let i = 0; i < signature.length; i++) {
+    mismatch |= signature.charCodeAt(i) ^ stored.charCodeAt(i);
+  }
+  return mismatch === 0;
+}
+
+/**
+ * Creates a function signing strings with a secret
+ * @param {string} secret - Secret string
+ * @returns {Function} Takes a string and returns its base64 encoded HMAC-SHA256
+ */
+export function createSigner(secret) {
+  if (typeof secret !== 'string' || secret === '') {
+    throw new Error('An integrity secret must be a non-empty string');
+  }
+  const encoder = new TextEncoder();
+  const key = encoder.encode(secret);
+  return message => bytesToBase64(hmacSha256(key, encoder.encode(message)));
+}
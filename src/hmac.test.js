@@ -0,0 +1,62 @@
+// hmac.test.js
+import { createHash, createHmac } from 'crypto';
+import { sha256, hmacSha256, createSigner, signaturesMatch } from './hmac.js';
+import { bytesToBase64 } from './utils.js';
+
+describe('HMAC', () => {
+  const toBytes = str => new TextEncoder().encode(str);
+  const toHex = bytes => Buffer.from(bytes).toString('hex');
+  
+  describe('sha256', () => {
+    test('should match the published test vectors', () => {
+      expect(toHex(sha256(toBytes('')))).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+      expect(toHex(sha256(toBytes('abc')))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+    
+    test('should hash inputs across block boundaries', () => {
+      [55, 56, 63, 64, 65, 1000].forEach(length => {
+        const input = 'x'.repeat(length);
+        expect(toHex(sha256(toBytes(input)))).toBe(createHash('sha256').update(input).digest('hex'));
+      });
+    });
+  });
+  
+  describe('hmacSha256', () => {
+    test('should match RFC 4231', () => {
+      expect(toHex(hmacSha256(toBytes('Jefe'), toBytes('what do ya want for nothing?'))))
+        .toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+    });
+    
+    test('should hash keys longer than a block', () => {
+      const key = 'k'.repeat(100);
+      expect(toHex(hmacSha256(toBytes(key), toBytes('message'))))
+        .toBe(createHmac('sha256', key).update('message').digest('hex'));
+    });
+  });
+  
+  describe('createSigner', () => {
+    test('should sign strings with the secret', () => {
+      const sign = createSigner('s3cret');
+      
+      expect(sign('message')).toBe(sign('message'));
+      expect(sign('message')).not.toBe(sign('messagf'));
+      expect(sign('message')).not.toBe(createSigner('other')('message'));
+      expect(sign('message')).toBe(bytesToBase64(createHmac('sha256', 's3cret').update('message').digest()));
+    });
+    
+    test('should require a secret', () => {
+      expect(() => createSigner('')).toThrow('An integrity secret must be a non-empty string');
+    });
+  });
+  
+  describe('signaturesMatch', () => {
+    test('should compare signatures', () => {
+      const sign = createSigner('s3cret');
+      
+      expect(signaturesMatch(sign('message'), sign('message'))).toBe(true);
+      expect(signaturesMatch(sign('message'), sign('messagf'))).toBe(false);
+      expect(signaturesMatch(sign('message'), sign('message').slice(1))).toBe(false);
+      expect(signaturesMatch(sign('message'), undefined)).toBe(false);
+    });
+  });
+});
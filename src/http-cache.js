@@ -0,0 +1,261 @@
+import Registry from './registry.js';
+
+// Seconds expired responses with a validator are kept to be revalidated, one week
+const DEFAULT_KEEP_EXPIRED = 7 * 24 * 60 * 60;
+
+/**
+ * Parses a Cache-Control header
+ * @param {string|null} header - Header value
+ * @returns {Object} Map of lower case directive to value, true for directives without one
+ */
+export function parseCacheControl(header) {
+  const directives = {};
+  if (!header) {
+    return directives;
+  }
+
+  header.split(',').forEach(part => {
+    const index = part.indexOf('=');
+    const name = (index === -1 ? part : part.slice(0, index)).trim().toLowerCase();
+    if (name !== '') {
+      directives[name] = index === -1 ? true : part.slice(index + 1).trim().replace(/^"|"$/g, '');
+    }
+  });
+  return directives;
+}
+
+/**
+ * Works out how long a response stays fresh, from Cache-Control max-age or
+ * the Expires header
+ * @param {Headers} headers - Response headers
+ * @param {number} defaultTtl - Seconds to use without either header
+ * @returns {number|null} Seconds the response is fresh, 0 if it must be
+ *   revalidated before every use, or null if it must not be stored
+ */
+export function getFreshness(headers, defaultTtl) {
+  const cacheControl = parseCacheControl(headers.get('cache-control'));
+  if (cacheControl['no-store']) {
+    return null;
+  }
+  if (cacheControl['no-cache']) {
+    return 0;
+  }
+
+  const maxAge = parseInt(cacheControl['max-age'], 10);
+  if (!isNaN(maxAge)) {
+    // Age is how long the response already spent in shared caches
+    const age = parseInt(headers.get('age'), 10) || 0;
+    return Math.max(0, maxAge - age);
+  }
+
+  const expires = headers.get('expires');
+  if (expires !== null) {
+    const expiresAt = Date.parse(expires);
+    if (isNaN(expiresAt)) {
+      return 0;
+    }
+    const date = Date.parse(headers.get('date'));
+    const now = isNaN(date) ? Date.now() : date;
+    return Math.max(0, Math.floor((expiresAt - now) / 1000));
+  }
+
+  return defaultTtl;
+}
+
+/**
+ * Reads the request headers a response varies on
+ * @param {Headers} responseHeaders - Response headers
+ * @param {Headers} requestHeaders - Headers of the request
+ * @returns {Object|null} Map of lower case header name to its value in the
+ *   request, null when missing, or null if the response varies on anything
+ *   else than headers (Vary: *)
+ */
+export function getVaryHeaders(responseHeaders, requestHeaders) {
+  const names = (responseHeaders.get('vary') || '').split(',').map(name => name.trim().toLowerCase());
+  if (names.indexOf('*') !== -1) {
+    return null;
+  }
+
+  const vary = {};
+  names.filter(name => name !== '').forEach(name => {
+    vary[name] = requestHeaders.get(name);
+  });
+  return vary;
+}
+
+/**
+ * HTTP response cache backed by a Registry namespace.
+ *
+ * GET responses are stored with the expiration given by Cache-Control max-age
+ * or Expires. Fresh responses are served from the registry without a request.
+ * Expired responses with an ETag or Last-Modified header are kept for a while
+ * and revalidated with If-None-Match / If-Modified-Since; a 304 answer serves
+ * the stored response again and refreshes its expiration. Responses with a
+ * Vary header only serve requests sending the same values of the headers it
+ * names; responses with Vary: * are not stored.
+ */
+class RegistryHttpCache {
+  /**
+   * Creates a new RegistryHttpCache instance
+   * @param {string} [namespace] - Namespace the responses are stored in
+   * @param {Object} [options] - Optional settings
+   * @param {Registry} [options.registry] - Registry to store responses in,
+   *   instead of creating one for the namespace
+   * @param {Function} [options.fetch] - fetch implementation, defaults to the global fetch
+   * @param {number} [options.defaultTtl] - Seconds responses without
+   *   Cache-Control max-age or Expires stay fresh, defaults to 0
+   * @param {number} [options.keepExpired] - Seconds expired responses with an
+   *   ETag or Last-Modified header are kept for revalidation, defaults to a week
+   * @param {Object} [options.storage] - Storage adapter of the created registry
+   * @param {string|CryptoKey} [options.secret] - Secret of the created registry
+   */
+  constructor(namespace, options = {}) {
+    const registry = options.registry || new Registry(namespace, {
+      storage: options.storage,
+      secret: options.secret
+    });
+    const defaultTtl = typeof options.defaultTtl === 'number' ? options.defaultTtl : 0;
+    const keepExpired = typeof options.keepExpired === 'number' ? options.keepExpired : DEFAULT_KEEP_EXPIRED;
+
+    /**
+     * Returns the fetch implementation
+     * @returns {Function} fetch
+     */
+    function getFetch() {
+      const fetchImpl = options.fetch || (typeof fetch === 'function' ? fetch : null);
+      if (fetchImpl === null) {
+        throw new Error('fetch is not supported in this environment');
+      }
+      return fetchImpl;
+    }
+
+    /**
+     * Builds a Response from a stored entry
+     * @param {Object} entry - Stored entry
+     * @returns {Response} New response
+     */
+    function toResponse(entry) {
+      return new Response(entry.body, {
+        status: entry.status,
+        statusText: entry.statusText,
+        headers: entry.headers
+      });
+    }
+
+    /**
+     * Tells whether a stored entry may answer a request. Entries stored
+     * before request headers were recorded only match without a Vary header.
+     * @param {Object} entry - Stored entry
+     * @param {Headers} requestHeaders - Headers of the request
+     * @returns {boolean} True if the request sends the headers the entry varies on
+     */
+    function matchesRequest(entry, requestHeaders) {
+      const vary = getVaryHeaders(new Headers(entry.headers), requestHeaders);
+      const recorded = entry.vary || {};
+      return vary !== null && Object.keys(vary).every(name => recorded[name] === vary[name]);
+    }
+
+    /**
+     * Stores a response entry with the freshness of its headers
+     * @param {string} key - Cache key
+     * @param {Object} entry - Entry to store, its vary null to not store it
+     * @param {number|null} ttl - Seconds the entry is fresh, null to not store it
+     * @returns {Promise<void>} Resolves once stored
+     */
+    function store(key, entry, ttl) {
+      const revalidatable = entry.etag !== null || entry.lastModified !== null;
+      if (ttl === null || entry.vary === null || (ttl === 0 && !revalidatable)) {
+        return Promise.resolve(registry.remove(key));
+      }
+      const setOptions = revalidatable ? { staleWhileRevalidate: keepExpired } : {};
+      return Promise.resolve(registry.set(key, entry, ttl, setOptions));
+    }
+
+    /**
+     * Fetches a resource, serving and storing GET responses in the registry.
+     * Takes the same arguments as fetch().
+     * @param {string|Request} input - URL or Request
+     * @param {Object} [init] - Request options
+     * @returns {Promise<Response>} The cached or fetched response
+     */
+    this.fetch = function(input, init = {}) {
+      const url = typeof input === 'string' ? input : input.url;
+      const method = (init.method || (typeof input === 'object' && input.method) || 'GET').toUpperCase();
+      const fetchImpl = getFetch();
+
+      if (method !== 'GET' || init.cache === 'no-store') {
+        return fetchImpl(input, init);
+      }
+
+      const requestHeaders = new Headers(init.headers || (typeof input === 'object' ? input.headers : undefined));
+      return Promise.resolve(registry.getStale(url)).then(stored => {
+        // Responses varying on request headers are only served for the same values
+        const cached = stored !== null && matchesRequest(stored, requestHeaders) ? stored : null;
+        const fresh = cached !== null && registry.has(url);
+        if (fresh && init.cache !== 'no-cache' && init.cache !== 'reload') {
+          return toResponse(cached);
+        }
+
+        // Ask the server whether the stored response is still valid
+        const headers = new Headers(requestHeaders);
+        if (cached !== null && init.cache !== 'reload') {
+          if (cached.etag !== null) {
+            headers.set('If-None-Match', cached.etag);
+          }
+          if (cached.lastModified !== null) {
+            headers.set('If-Modified-Since', cached.lastModified);
+          }
+        }
+
+        return fetchImpl(input, Object.assign({}, init, { headers: headers })).then(response => {
+          if (response.status === 304 && cached !== null) {
+            // Headers of a 304 answer update the stored ones
+            const updated = new Headers(cached.headers);
+            response.headers.forEach((value, name) => updated.set(name, value));
+            const entry = Object.assign({}, cached, {
+              headers: Array.from(updated.entries()),
+              etag: updated.get('etag'),
+              lastModified: updated.get('last-modified'),
+              vary: getVaryHeaders(updated, requestHeaders)
+            });
+            return store(url, entry, getFreshness(updated, defaultTtl)).then(() => toResponse(entry));
+          }
+
+          if (response.status !== 200) {
+            return response;
+          }
+
+          const ttl = getFreshness(response.headers, defaultTtl);
+          return response.clone().arrayBuffer().then(body => store(url, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: Array.from(response.headers.entries()),
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified'),
+            vary: getVaryHeaders(response.headers, requestHeaders),
+            body: body
+          }, ttl)).then(() => response);
+        });
+      });
+    };
+
+    /**
+     * Removes the stored response of a URL
+     * @param {string} url - The URL
+     * @returns {Promise<void>} Resolves once removed
+     */
+    this.delete = function(url) {
+      return Promise.resolve(registry.remove(url));
+    };
+
+    /**
+     * Removes all stored responses
+     * @returns {Promise<void>} Resolves once removed
+     */
+    this.clear = function() {
+      return Promise.resolve(registry.empty());
+    };
+  }
+}
+
+export default RegistryHttpCache;
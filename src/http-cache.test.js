@@ -0,0 +1,258 @@
+/**
+ * @jest-environment node
+ */
+// http-cache.test.js
+import RegistryHttpCache, { parseCacheControl, getFreshness, getVaryHeaders } from './http-cache.js';
+import Registry from './registry.js';
+import { createMemoryAdapter } from './adapters.js';
+
+const URL = 'https://api.example.com/users/1';
+
+/**
+ * Creates a stub fetch answering with the given responses in order
+ */
+function createFetch(responses) {
+  return jest.fn(() => Promise.resolve(responses.shift()));
+}
+
+describe('RegistryHttpCache', () => {
+  let now;
+  let storage;
+  
+  beforeEach(() => {
+    now = 1000000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    storage = createMemoryAdapter();
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('parseCacheControl', () => {
+    test('should parse directives with and without values', () => {
+      expect(parseCacheControl('public, Max-Age=60, no-cache="set-cookie"')).toEqual({
+        public: true,
+        'max-age': '60',
+        'no-cache': 'set-cookie'
+      });
+      expect(parseCacheControl(null)).toEqual({});
+    });
+  });
+  
+  describe('getFreshness', () => {
+    test('should use max-age minus age', () => {
+      expect(getFreshness(new Headers({ 'Cache-Control': 'max-age=60' }), 0)).toBe(60);
+      expect(getFreshness(new Headers({ 'Cache-Control': 'max-age=60', Age: '20' }), 0)).toBe(40);
+    });
+    
+    test('should use Expires relative to Date', () => {
+      const headers = new Headers({
+        Date: new Date(now).toUTCString(),
+        Expires: new Date(now + 120000).toUTCString()
+      });
+      expect(getFreshness(headers, 0)).toBe(120);
+    });
+    
+    test('should prefer max-age over Expires', () => {
+      const headers = new Headers({ 'Cache-Control': 'max-age=10', Expires: new Date(now + 120000).toUTCString() });
+      expect(getFreshness(headers, 0)).toBe(10);
+    });
+    
+    test('should handle no-store, no-cache and missing headers', () => {
+      expect(getFreshness(new Headers({ 'Cache-Control': 'no-store' }), 0)).toBeNull();
+      expect(getFreshness(new Headers({ 'Cache-Control': 'no-cache, max-age=60' }), 0)).toBe(0);
+      expect(getFreshness(new Headers({ Expires: '0' }), 0)).toBe(0);
+      expect(getFreshness(new Headers(), 30)).toBe(30);
+    });
+  });
+  
+  describe('getVaryHeaders', () => {
+    test('should read the request headers named by Vary', () => {
+      const request = new Headers({ Accept: 'application/json' });
+      expect(getVaryHeaders(new Headers({ Vary: 'Accept, Authorization' }), request)).toEqual({
+        accept: 'application/json',
+        authorization: null
+      });
+      expect(getVaryHeaders(new Headers(), request)).toEqual({});
+      expect(getVaryHeaders(new Headers({ Vary: 'Accept, *' }), request)).toBeNull();
+    });
+  });
+  
+  describe('fetch', () => {
+    test('should serve fresh responses from the registry', async () => {
+      const fetch = createFetch([
+        new Response('{"id":1}', { status: 200, headers: { 'Cache-Control': 'max-age=60', 'Content-Type': 'application/json' } })
+      ]);
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      const first = await cache.fetch(URL);
+      const second = await cache.fetch(URL);
+      
+      expect(await first.json()).toEqual({ id: 1 });
+      expect(await second.json()).toEqual({ id: 1 });
+      expect(second.headers.get('content-type')).toBe('application/json');
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(new Registry('http', { storage: storage }).ttl(URL)).toBe(60);
+    });
+    
+    test('should fetch again once the response expired', async () => {
+      const fetch = createFetch([
+        new Response('old', { status: 200, headers: { 'Cache-Control': 'max-age=60' } }),
+        new Response('new', { status: 200, headers: { 'Cache-Control': 'max-age=60' } })
+      ]);
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      await cache.fetch(URL);
+      now += 61000;
+      
+      expect(await (await cache.fetch(URL)).text()).toBe('new');
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+    
+    test('should revalidate with ETag and refresh the expiration on 304', async () => {
+      const fetch = createFetch([
+        new Response('body', { status: 200, headers: { 'Cache-Control': 'max-age=60', ETag: '"v1"' } }),
+        new Response(null, { status: 304, headers: { 'Cache-Control': 'max-age=120' } })
+      ]);
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      await cache.fetch(URL);
+      now += 61000;
+      const response = await cache.fetch(URL);
+      
+      expect(fetch.mock.calls[1][1].headers.get('If-None-Match')).toBe('"v1"');
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe('body');
+      expect(new Registry('http', { storage: storage }).ttl(URL)).toBe(120);
+    });
+    
+    test('should revalidate with Last-Modified', async () => {
+      const lastModified = new Date(now - 3600000).toUTCString();
+      const fetch = createFetch([
+        new Response('body', { status: 200, headers: { 'Last-Modified': lastModified } }),
+        new Response(null, { status: 304 })
+      ]);
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      await cache.fetch(URL);
+      const response = await cache.fetch(URL);
+      
+      expect(fetch.mock.calls[1][1].headers.get('If-Modified-Since')).toBe(lastModified);
+      expect(await response.text()).toBe('body');
+    });
+    
+    test('should replace the stored response when it changed', async () => {
+      const fetch = createFetch([
+        new Response('v1', { status: 200, headers: { 'Cache-Control': 'no-cache', ETag: '"v1"' } }),
+        new Response('v2', { status: 200, headers: { 'Cache-Control': 'max-age=60', ETag: '"v2"' } })
+      ]);
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      await cache.fetch(URL);
+      expect(await (await cache.fetch(URL)).text()).toBe('v2');
+      expect(await (await cache.fetch(URL)).text()).toBe('v2');
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+    
+    test('should not store no-store, error or non-GET responses', async () => {
+      const fetch = jest.fn(() => Promise.resolve(new Response('body', { status: 200, headers: { 'Cache-Control': 'no-store' } })));
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      await cache.fetch(URL);
+      await cache.fetch(URL, { method: 'POST', body: 'data' });
+      fetch.mockImplementation(() => Promise.resolve(new Response('missing', { status: 404, headers: { 'Cache-Control': 'max-age=60' } })));
+      await cache.fetch(URL);
+      
+      expect(new Registry('http', { storage: storage }).size()).toBe(0);
+    });
+    
+    test('should not store responses without freshness or validators', async () => {
+      const fetch = jest.fn(() => Promise.resolve(new Response('body', { status: 200 })));
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      await cache.fetch(URL);
+      await cache.fetch(URL);
+      
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(new Registry('http', { storage: storage }).size()).toBe(0);
+    });
+    
+    test('should only serve responses to requests with the headers they vary on', async () => {
+      const fetch = createFetch([
+        new Response('alice', { status: 200, headers: { 'Cache-Control': 'max-age=60', Vary: 'Authorization' } }),
+        new Response('bob', { status: 200, headers: { 'Cache-Control': 'max-age=60', Vary: 'Authorization' } })
+      ]);
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      await cache.fetch(URL, { headers: { Authorization: 'Bearer alice' } });
+      expect(await (await cache.fetch(URL, { headers: { Authorization: 'Bearer alice' } })).text()).toBe('alice');
+      expect(await (await cache.fetch(URL, { headers: { Authorization: 'Bearer bob' } })).text()).toBe('bob');
+      expect(await (await cache.fetch(URL, { headers: { Authorization: 'Bearer bob' } })).text()).toBe('bob');
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+    
+    test('should not revalidate responses for requests with other headers', async () => {
+      const fetch = createFetch([
+        new Response('json', { status: 200, headers: { 'Cache-Control': 'max-age=60', ETag: '"v1"', Vary: 'Accept' } }),
+        new Response('xml', { status: 200, headers: { 'Cache-Control': 'max-age=60', ETag: '"v1"', Vary: 'Accept' } })
+      ]);
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      await cache.fetch(URL, { headers: { Accept: 'application/json' } });
+      now += 61000;
+      
+      expect(await (await cache.fetch(URL, { headers: { Accept: 'application/xml' } })).text()).toBe('xml');
+      expect(fetch.mock.calls[1][1].headers.get('if-none-match')).toBeNull();
+    });
+    
+    test('should not store responses varying on anything', async () => {
+      const fetch = jest.fn(() => Promise.resolve(new Response('body', { status: 200, headers: { 'Cache-Control': 'max-age=60', Vary: '*' } })));
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      await cache.fetch(URL);
+      await cache.fetch(URL);
+      
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(new Registry('http', { storage: storage }).size()).toBe(0);
+    });
+    
+    test('should keep binary bodies', async () => {
+      const fetch = createFetch([
+        new Response(new Uint8Array([0, 1, 254, 255]), { status: 200, headers: { 'Cache-Control': 'max-age=60' } })
+      ]);
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      await cache.fetch(URL);
+      const body = await (await cache.fetch(URL)).arrayBuffer();
+      
+      expect(Array.from(new Uint8Array(body))).toEqual([0, 1, 254, 255]);
+    });
+    
+    test('should delete and clear stored responses', async () => {
+      const fetch = jest.fn(() => Promise.resolve(new Response('body', { status: 200, headers: { 'Cache-Control': 'max-age=60' } })));
+      const cache = new RegistryHttpCache('http', { storage: storage, fetch: fetch });
+      
+      await cache.fetch(URL);
+      await cache.delete(URL);
+      await cache.fetch(URL);
+      await cache.clear();
+      await cache.fetch(URL);
+      
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+    
+    test('should store responses in a given registry', async () => {
+      const registry = new Registry('api', { storage: storage, secret: 's3cret' });
+      const fetch = createFetch([
+        new Response('secret body', { status: 200, headers: { 'Cache-Control': 'max-age=60' } })
+      ]);
+      const cache = new RegistryHttpCache(undefined, { registry: registry, fetch: fetch });
+      
+      await cache.fetch(URL);
+      
+      expect(await (await cache.fetch(URL)).text()).toBe('secret body');
+      expect(JSON.stringify(Array.from(storage.keys()).map(key => storage.getItem(key)))).not.toContain('secret body');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Asynchronous storage adapter backed by IndexedDB, used by AsyncRegistry.
+ *
+ * It has the same methods as the synchronous adapters in adapters.js, but each
+ * returns a Promise, and values are stored with the structured clone algorithm
+ * so Blob, ArrayBuffer, Date and friends are kept as is.
+ */
+
+const STORE_NAME = 'entries';
+
+/**
+ * Returns the IndexedDB factory of the current environment
+ * @returns {IDBFactory} IndexedDB factory
+ */
+function getIndexedDB() {
+  if (typeof globalThis.indexedDB === 'undefined') {
+    throw new Error('IndexedDB is not supported in this environment');
+  }
+  return globalThis.indexedDB;
+}
+
+/**
+ * Wraps an IDBRequest in a Promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<any>} Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Creates an IndexedDB storage adapter
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.name] - Database name, defaults to "registryjs"
+ * @returns {Object} Asynchronous storage adapter
+ */
+export function createIndexedDBAdapter(options = {}) {
+  const databaseName = options.name || 'registryjs';
+  let database = null;
+
+  /**
+   * Opens the database on first use, creating the object store if needed
+   * @returns {Promise<IDBDatabase>} The open database
+   */
+  function openDatabase() {
+    if (database === null) {
+      const request = getIndexedDB().open(databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      const opening = promisifyRequest(request);
+      database = opening;
+      // A failed open, such as a blocked or denied one, is tried again on next use
+      opening.catch(() => {
+        if (database === opening) {
+          database = null;
+        }
+      });
+    }
+    return database;
+  }
+
+  /**
+   * Runs a single request against the object store in its own transaction
+   * @param {string} mode - Transaction mode ("readonly" or "readwrite")
+   * @param {Function} createRequest - Receives the object store, returns a request
+   * @returns {Promise<any>} Resolves with the request result once the transaction completes
+   */
+  function run(mode, createRequest) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    }));
+  }
+
+  return {
+    getItem: function(key) {
+      return run('readonly', store => store.get(key))
+        .then(value => (value === undefined ? null : value));
+    },
+    setItem: function(key, value) {
+      return run('readwrite', store => store.put(value, key)).then(() => undefined);
+    },
+    removeItem: function(key) {
+      return run('readwrite', store => store.delete(key)).then(() => undefined);
+    },
+    keys: function() {
+      return run('readonly', store => store.getAllKeys());
+    },
+    close: function() {
+      if (database === null) {
+        return Promise.resolve();
+      }
+      const closing = database.then(db => db.close());
+      database = null;
+      return closing;
+    }
+  };
+}
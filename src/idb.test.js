@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+// idb.test.js
+import { indexedDB } from 'fake-indexeddb';
+import { createIndexedDBAdapter } from './idb.js';
+
+// Use the in-memory IndexedDB implementation
+global.indexedDB = indexedDB;
+
+describe('IndexedDB adapter', () => {
+  let adapter;
+  let databaseCount = 0;
+  
+  beforeEach(() => {
+    // Use a fresh database for every test
+    databaseCount++;
+    adapter = createIndexedDBAdapter({ name: 'test-' + databaseCount });
+  });
+  
+  afterEach(() => adapter.close());
+  
+  test('should store, read and remove values', async () => {
+    await adapter.setItem('key1', { value: 'value1', expires: null });
+    expect(await adapter.getItem('key1')).toEqual({ value: 'value1', expires: null });
+    
+    await adapter.removeItem('key1');
+    expect(await adapter.getItem('key1')).toBeNull();
+  });
+  
+  test('should list stored keys', async () => {
+    await adapter.setItem('key1', 1);
+    await adapter.setItem('key2', 2);
+    
+    expect(await adapter.keys()).toEqual(['key1', 'key2']);
+  });
+  
+  test('should keep structured clone values', async () => {
+    const buffer = new Uint8Array([1, 2, 3]).buffer;
+    const date = new Date(0);
+    await adapter.setItem('key1', { buffer: buffer, date: date, map: new Map([['a', 1]]) });
+    
+    const stored = await adapter.getItem('key1');
+    expect(stored.buffer).toBeInstanceOf(ArrayBuffer);
+    expect(Array.from(new Uint8Array(stored.buffer))).toEqual([1, 2, 3]);
+    // structuredClone runs in Node's realm, so compare the tag instead of instanceof
+    expect(Object.prototype.toString.call(stored.date)).toBe('[object Date]');
+    expect(stored.date.getTime()).toBe(0);
+    expect(stored.map.get('a')).toBe(1);
+  });
+  
+  test('should share data between adapters of the same database', async () => {
+    await adapter.setItem('key1', 'value1');
+    const other = createIndexedDBAdapter({ name: 'test-' + databaseCount });
+    
+    expect(await other.getItem('key1')).toBe('value1');
+    await other.close();
+  });
+  
+  test('should open the database again after a failed open', async () => {
+    const error = new Error('The open request was denied');
+    jest.spyOn(indexedDB, 'open').mockImplementationOnce(() => {
+      const request = { error: error };
+      setTimeout(() => request.onerror());
+      return request;
+    });
+    
+    await expect(adapter.getItem('key1')).rejects.toBe(error);
+    await adapter.setItem('key1', 'value1');
+    expect(await adapter.getItem('key1')).toBe('value1');
+    
+    jest.restoreAllMocks();
+  });
+});
@@ -1,4 +1,46 @@
 import Registry from './registry.js';
+import AsyncRegistry from './async-registry.js';
+import RegistryHttpCache from './http-cache.js';
+import {
+  RegistryError,
+  RegistryDecryptionError,
+  RegistryVersionError,
+  RegistryLockedError,
+  RegistryCorruptEntryError,
+  RegistryIntegrityError,
+  RegistryQuotaError,
+  RegistryStorageUnavailableError
+} from './errors.js';
+import { localStorageAdapter, sessionStorageAdapter, createMemoryAdapter, createWebStorageAdapter } from './adapters.js';
+import { createIndexedDBAdapter } from './idb.js';
+import { registerType, unregisterType } from './serializer.js';
+
+// Expose the error classes on the default export, the builds only export Registry
+Registry.RegistryError = RegistryError;
+Registry.RegistryDecryptionError = RegistryDecryptionError;
+Registry.RegistryVersionError = RegistryVersionError;
+Registry.RegistryLockedError = RegistryLockedError;
+Registry.RegistryCorruptEntryError = RegistryCorruptEntryError;
+Registry.RegistryIntegrityError = RegistryIntegrityError;
+Registry.RegistryQuotaError = RegistryQuotaError;
+Registry.RegistryStorageUnavailableError = RegistryStorageUnavailableError;
+
+// Storage adapters for the storage option
+Registry.localStorageAdapter = localStorageAdapter;
+Registry.sessionStorageAdapter = sessionStorageAdapter;
+Registry.createMemoryAdapter = createMemoryAdapter;
+Registry.createWebStorageAdapter = createWebStorageAdapter;
+Registry.createIndexedDBAdapter = createIndexedDBAdapter;
+
+// Serialization of custom classes
+Registry.registerType = registerType;
+Registry.unregisterType = unregisterType;
+
+// HTTP response cache stored in a registry
+Registry.RegistryHttpCache = RegistryHttpCache;
+
+// Promise-based registry backed by IndexedDB
+Registry.AsyncRegistry = AsyncRegistry;
 
 // Export for module environments while preserving browser functionality
 if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
@@ -0,0 +1,254 @@
+import { createMetaKey, createNamespacedKey, createExpirationKey, parseNamespacedKey } from './namespace.js';
+import { createSigner } from './hmac.js';
+
+// Characters of the base64 HMAC kept as stored key, about 130 bits
+const HASH_LENGTH = 22;
+
+/**
+ * Creates the key index of a namespace whose key names are hidden. Values are
+ * stored under an HMAC of their key name, and the index maps those hashes
+ * back to the names so the namespace can still be listed. The index is
+ * sealed with AES-GCM like the values and stored in a single meta key, so
+ * reading and changing it take the key of the registry and return Promises.
+ * @param {string} namespace - The namespace
+ * @param {Object} storage - Storage adapter
+ * @param {string} secret - Secret of the hashes
+ * @param {Object} cipher - Seals the index with seal(names, k) and opens it
+ *   with open(stored, k), both returning Promises
+ * @param {Function} [onError] - Called with the error of an index that
+ *   cannot be opened, instead of logging it. The index then reads as empty,
+ *   changes to it are rejected.
+ * @returns {Object} Key index with hash, read, name, add, forget, clear,
+ *   unload, reseal, rewrite and migrate methods
+ */
+export function createKeyIndex(namespace, storage, secret, cipher, onError) {
+  const indexKey = createMetaKey(namespace, 'keys');
+  const sign = createSigner(secret);
+
+  // Last index read or written, opened again only when storage changed
+  let cached = { stored: null, names: {} };
+
+  // Changes of the index, one at a time so none overwrites another
+  let queue = Promise.resolve();
+
+  /**
+   * Runs a change of the index once the previous ones are done
+   * @param {Function} task - The change, returns a Promise
+   * @returns {Promise} Result of the change
+   */
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Opens the index, for changes that must not overwrite an index they
+   * could not open
+   * @param {CryptoKey} k - Current key
+   * @returns {Promise<Object>} Map of hash to key name, rejected if the index
+   *   does not open
+   */
+  function openIndex(k) {
+    const stored = storage.getItem(indexKey);
+    if (stored === cached.stored) {
+      return Promise.resolve(cached.names);
+    }
+
+    const opened = stored === null ? Promise.resolve({}) : Promise.resolve().then(() => cipher.open(stored, k)).then(names => names || {});
+    return opened.then(names => {
+      // Changed meanwhile, the next read opens it again
+      if (storage.getItem(indexKey) === stored) {
+        cached = { stored: stored, names: names };
+      }
+      return names;
+    });
+  }
+
+  /**
+   * Reads the index. An index that does not open is reported and reads as
+   * empty.
+   * @param {CryptoKey} k - Current key
+   * @returns {Promise<Object>} Map of hash to key name
+   */
+  function read(k) {
+    return openIndex(k).catch(e => {
+      if (typeof onError === 'function') {
+        onError(e);
+      } else {
+        console.error('Error reading key index:', e);
+      }
+      return {};
+    });
+  }
+
+  /**
+   * Writes the index
+   * @param {Object} names - Map of hash to key name
+   * @param {CryptoKey} k - Current key
+   * @returns {Promise<void>} Resolves once stored
+   */
+  function write(names, k) {
+    return cipher.seal(names, k).then(stored => {
+      storage.setItem(indexKey, stored);
+      cached = { stored: stored, names: names };
+    });
+  }
+
+  /**
+   * Hashes a key name
+   * @param {string} key - The key name
+   * @returns {string} Key the value is stored under
+   */
+  function hash(key) {
+    return sign('key:' + key).replace(/=+$/, '').slice(0, HASH_LENGTH);
+  }
+
+  return {
+    hash: hash,
+    read: read,
+
+    /**
+     * Finds the name of a stored key in the index last read, see read().
+     * Names whose hash does not match, such as those of an index written
+     * with another secret, are not found.
+     * @param {string} storedKey - Hash a value is stored under
+     * @returns {string|null} The key name, null if not in the index
+     */
+    name: function(storedKey) {
+      const names = cached.names;
+      if (!Object.prototype.hasOwnProperty.call(names, storedKey) || hash(names[storedKey]) !== storedKey) {
+        return null;
+      }
+      return names[storedKey];
+    },
+
+    /**
+     * Adds key names to the index
+     * @param {string[]} keys - The key names
+     * @param {CryptoKey} k - Current key
+     * @returns {Promise<void>} Resolves once stored, rejected if the index
+     *   does not open
+     */
+    add: function(keys, k) {
+      return enqueue(() => openIndex(k).then(names => {
+        const added = keys.filter(key => names[hash(key)] !== key);
+        if (added.length > 0) {
+          const updated = Object.assign({}, names);
+          added.forEach(key => {
+            updated[hash(key)] = key;
+          });
+          return write(updated, k);
+        }
+      }));
+    },
+
+    /**
+     * Removes key names from the index
+     * @param {string[]} keys - The key names
+     * @param {CryptoKey} k - Current key
+     * @returns {Promise<void>} Resolves once stored
+     */
+    forget: function(keys, k) {
+      return enqueue(() => openIndex(k).then(names => {
+        const updated = Object.assign({}, names);
+        keys.forEach(key => delete updated[hash(key)]);
+        if (Object.keys(updated).length !== Object.keys(names).length) {
+          return write(updated, k);
+        }
+      }));
+    },
+
+    /**
+     * Removes the whole index
+     */
+    clear: function() {
+      storage.removeItem(indexKey);
+      cached = { stored: null, names: {} };
+    },
+
+    /**
+     * Drops the names read, for a registry that forgets its key
+     */
+    unload: function() {
+      cached = { stored: null, names: {} };
+    },
+
+    /**
+     * Seals the index with another key without storing it, for a caller
+     * storing it along with the values sealed with that key
+     * @param {CryptoKey} k - Current key
+     * @param {CryptoKey} newKey - The other key
+     * @returns {Promise<string|null>} The sealed index, null if there is none
+     */
+    reseal: function(k, newKey) {
+      return openIndex(k).then(names => (storage.getItem(indexKey) !== null ? cipher.seal(names, newKey) : null));
+    },
+
+    /**
+     * Seals the index again with the current key, once the values were
+     * sealed with it
+     * @param {CryptoKey} k - Current key
+     * @returns {Promise<void>} Resolves once stored
+     */
+    rewrite: function(k) {
+      return enqueue(() => openIndex(k).then(names => {
+        if (storage.getItem(indexKey) !== null) {
+          return write(names, k);
+        }
+      }));
+    },
+
+    /**
+     * Moves the values stored under plain key names, before key names were
+     * hidden, to their hashes. Runs once per namespace and storage, a meta
+     * key records that it ran.
+     * @param {CryptoKey} k - Current key
+     * @returns {Promise<Object>} Map of each moved key name to its hash
+     */
+    migrate: function(k) {
+      const migratedKey = createMetaKey(namespace, 'hashed');
+      if (storage.getItem(migratedKey) !== null) {
+        return Promise.resolve({});
+      }
+
+      return enqueue(() => openIndex(k).then(names => {
+        // Keys already in the index are hashes, not plain names
+        const moved = {};
+        const keys = storage.keys()
+          .map(storageKey => parseNamespacedKey(storageKey, namespace))
+          .filter(key => key !== null && !Object.prototype.hasOwnProperty.call(names, key));
+        keys.forEach(key => {
+          moved[key] = hash(key);
+        });
+
+        // The index is written first, so an interrupted move is resumed
+        const added = {};
+        keys.forEach(key => {
+          added[moved[key]] = key;
+        });
+        const indexed = keys.length > 0 ? write(Object.assign({}, names, added), k) : Promise.resolve();
+
+        return indexed.then(() => {
+          keys.forEach(key => {
+            const plainKey = createNamespacedKey(key, namespace);
+            const hashedKey = createNamespacedKey(moved[key], namespace);
+            // A value written under the hash since then is newer
+            if (storage.getItem(hashedKey) === null) {
+              storage.setItem(hashedKey, storage.getItem(plainKey));
+              const expiration = storage.getItem(createExpirationKey(plainKey));
+              if (expiration !== null) {
+                storage.setItem(createExpirationKey(hashedKey), expiration);
+              }
+            }
+            storage.removeItem(createExpirationKey(plainKey));
+            storage.removeItem(plainKey);
+          });
+
+          storage.setItem(migratedKey, '1');
+          return moved;
+        });
+      }));
+    }
+  };
+}
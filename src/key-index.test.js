@@ -0,0 +1,134 @@
+// key-index.test.js
+import { createKeyIndex } from './key-index.js';
+import { createMemoryAdapter } from './adapters.js';
+import { importSecret, seal, open } from './crypto.js';
+
+describe('Key index', () => {
+  const cipher = {
+    seal: (names, k) => seal(names, k, 'registry:ns1#keys'),
+    open: (stored, k) => open(stored, k, 'registry:ns1#keys')
+  };
+  let storage;
+  let index;
+  let k;
+  
+  beforeEach(async () => {
+    storage = createMemoryAdapter();
+    index = createKeyIndex('ns1', storage, 's3cret', cipher);
+    k = await importSecret('key-secret');
+  });
+  
+  test('should hash key names with the secret', () => {
+    expect(index.hash('user-token')).toHaveLength(22);
+    expect(index.hash('user-token')).toBe(index.hash('user-token'));
+    expect(index.hash('user-token')).not.toBe(index.hash('user-tokens'));
+    expect(index.hash('user-token')).not.toBe(createKeyIndex('ns1', storage, 'other', cipher).hash('user-token'));
+  });
+  
+  test('should find the names of stored keys', async () => {
+    await index.add(['user-token'], k);
+    await index.add(['settings'], k);
+    
+    expect(index.name(index.hash('user-token'))).toBe('user-token');
+    expect(index.name(index.hash('missing'))).toBeNull();
+    expect(index.name('constructor')).toBeNull();
+    
+    // Another index over the same storage reads the same names
+    const other = createKeyIndex('ns1', storage, 's3cret', cipher);
+    expect(other.name(index.hash('settings'))).toBeNull();
+    expect(await other.read(k)).toEqual({ [index.hash('user-token')]: 'user-token', [index.hash('settings')]: 'settings' });
+    expect(other.name(index.hash('settings'))).toBe('settings');
+  });
+  
+  test('should seal the index', async () => {
+    await index.add(['user-token'], k);
+    
+    expect(storage.keys()).toEqual(['registry:ns1#keys']);
+    expect(storage.getItem('registry:ns1#keys')).not.toContain('user-token');
+    expect(await open(storage.getItem('registry:ns1#keys'), k, 'registry:ns1#keys')).toEqual({ [index.hash('user-token')]: 'user-token' });
+  });
+  
+  test('should keep concurrent changes', async () => {
+    await Promise.all([index.add(['key1'], k), index.add(['key2'], k), index.forget(['key1'], k), index.add(['key3'], k)]);
+    
+    expect(Object.values(await createKeyIndex('ns1', storage, 's3cret', cipher).read(k)).sort()).toEqual(['key2', 'key3']);
+  });
+  
+  test('should forget names', async () => {
+    await index.add(['key1', 'key2'], k);
+    await index.forget(['key1'], k);
+    
+    expect(index.name(index.hash('key1'))).toBeNull();
+    expect(index.name(index.hash('key2'))).toBe('key2');
+    
+    index.clear();
+    expect(storage.keys()).toEqual([]);
+  });
+  
+  test('should drop the names read when unloaded', async () => {
+    await index.add(['key1'], k);
+    index.unload();
+    
+    expect(index.name(index.hash('key1'))).toBeNull();
+    await index.read(k);
+    expect(index.name(index.hash('key1'))).toBe('key1');
+  });
+  
+  test('should seal the index with another key', async () => {
+    await index.add(['key1'], k);
+    const newKey = await importSecret('n3w');
+    
+    const resealed = await index.reseal(k, newKey);
+    expect(await open(resealed, newKey, 'registry:ns1#keys')).toEqual({ [index.hash('key1')]: 'key1' });
+    expect(await createKeyIndex('ns1', createMemoryAdapter(), 's3cret', cipher).reseal(k, newKey)).toBeNull();
+    
+    await index.rewrite(newKey);
+    expect(await open(storage.getItem('registry:ns1#keys'), newKey, 'registry:ns1#keys')).toEqual({ [index.hash('key1')]: 'key1' });
+  });
+  
+  test('should not find names hashed with another secret', async () => {
+    await index.add(['key1'], k);
+    const other = createKeyIndex('ns1', storage, 'other', cipher);
+    await other.read(k);
+    
+    expect(other.name(index.hash('key1'))).toBeNull();
+  });
+  
+  test('should not change an index sealed with another key', async () => {
+    await index.add(['key1'], k);
+    const stored = storage.getItem('registry:ns1#keys');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    const other = createKeyIndex('ns1', storage, 's3cret', cipher);
+    const otherKey = await importSecret('other');
+    expect(await other.read(otherKey)).toEqual({});
+    expect(console.error).toHaveBeenCalled();
+    await expect(other.add(['key2'], otherKey)).rejects.toThrow('Unable to decrypt');
+    expect(storage.getItem('registry:ns1#keys')).toBe(stored);
+    
+    console.error.mockRestore();
+  });
+  
+  test('should move values stored under plain names once', async () => {
+    storage.setItem('registry:ns1:key1', '"value1"');
+    storage.setItem('registry:ns1:key1&&expires', '1000003600');
+    
+    expect(await index.migrate(k)).toEqual({ key1: index.hash('key1') });
+    expect(storage.getItem('registry:ns1:' + index.hash('key1'))).toBe('"value1"');
+    expect(storage.getItem('registry:ns1:' + index.hash('key1') + '&&expires')).toBe('1000003600');
+    expect(storage.getItem('registry:ns1:key1')).toBeNull();
+    expect(index.name(index.hash('key1'))).toBe('key1');
+    
+    storage.setItem('registry:ns1:key2', '"value2"');
+    expect(await index.migrate(k)).toEqual({});
+    expect(storage.getItem('registry:ns1:key2')).toBe('"value2"');
+  });
+  
+  test('should hand index errors to onError', async () => {
+    await index.add(['key1'], k);
+    const onError = jest.fn();
+    
+    expect(await createKeyIndex('ns1', storage, 's3cret', cipher, onError).read(await importSecret('other'))).toEqual({});
+    expect(onError.mock.calls[0][0].message).toContain('Unable to decrypt');
+  });
+});
@@ -0,0 +1,188 @@
+import { isShared } from './sync.js';
+import { jsonEncode, jsonDecode } from './utils.js';
+
+/**
+ * Exclusive locks serializing read-modify-write operations.
+ *
+ * Within a page, tasks holding the same lock run one after the other. When
+ * the storage is shared between tabs, the lock is also taken across tabs:
+ * through the Web Locks API where available, otherwise through a mutex record
+ * kept in the storage itself. The holder renews the record while its task
+ * runs; records no longer renewed expire, so the lock of a closed tab is
+ * taken over.
+ */
+
+// Milliseconds after which a mutex record is considered left behind by a closed tab
+const MUTEX_TIMEOUT = 5000;
+
+// Milliseconds between renewals of a held mutex record, so tasks running
+// longer than MUTEX_TIMEOUT keep it
+const MUTEX_RENEW_INTERVAL = 1000;
+
+// Milliseconds to wait before checking a mutex record again
+const MUTEX_RETRY_DELAY = 20;
+
+// Milliseconds a written mutex record must survive before the lock counts as taken
+const MUTEX_SETTLE_DELAY = 10;
+
+// Last queued task of each lock name in this page
+const queues = new Map();
+
+/**
+ * Resolves after a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns the Web Locks API of the current environment
+ * @returns {LockManager|null} Lock manager, or null if not supported
+ */
+function getLockManager() {
+  if (typeof navigator === 'undefined' || !navigator.locks || typeof navigator.locks.request !== 'function') {
+    return null;
+  }
+  return navigator.locks;
+}
+
+/**
+ * Reads a mutex record
+ * @param {string} mutexKey - Storage key of the mutex
+ * @param {Object} storage - Storage adapter
+ * @returns {Object|null} Record with token and expires, or null if free
+ */
+function readMutex(mutexKey, storage) {
+  try {
+    return jsonDecode(storage.getItem(mutexKey));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Writes a mutex record expiring MUTEX_TIMEOUT from now
+ * @param {string} mutexKey - Storage key of the mutex
+ * @param {Object} storage - Storage adapter
+ * @param {string} token - Identifies this holder
+ */
+function writeMutex(mutexKey, storage, token) {
+  storage.setItem(mutexKey, jsonEncode({ token: token, expires: Date.now() + MUTEX_TIMEOUT }));
+}
+
+/**
+ * Takes a mutex kept in storage. Storage has no compare-and-swap, so after
+ * writing its record a tab waits briefly and checks the record is still its
+ * own; when two tabs write at the same time the last write wins and the other
+ * tab keeps waiting.
+ * @param {string} mutexKey - Storage key of the mutex
+ * @param {Object} storage - Storage adapter
+ * @param {string} token - Identifies this holder
+ * @returns {Promise<void>} Resolves once the mutex is held
+ */
+function acquireMutex(mutexKey, storage, token) {
+  const held = readMutex(mutexKey, storage);
+  if (held !== null && held.token !== token && held.expires > Date.now()) {
+    return wait(MUTEX_RETRY_DELAY).then(() => acquireMutex(mutexKey, storage, token));
+  }
+
+  writeMutex(mutexKey, storage, token);
+  return wait(MUTEX_SETTLE_DELAY).then(() => {
+    const current = readMutex(mutexKey, storage);
+    if (current !== null && current.token === token) {
+      return undefined;
+    }
+    return wait(MUTEX_RETRY_DELAY).then(() => acquireMutex(mutexKey, storage, token));
+  });
+}
+
+/**
+ * Extends a held mutex, unless another tab took it over
+ * @param {string} mutexKey - Storage key of the mutex
+ * @param {Object} storage - Storage adapter
+ * @param {string} token - Identifies this holder
+ */
+function renewMutex(mutexKey, storage, token) {
+  const current = readMutex(mutexKey, storage);
+  if (current !== null && current.token === token) {
+    writeMutex(mutexKey, storage, token);
+  }
+}
+
+/**
+ * Releases a mutex kept in storage, unless another tab took it over
+ * @param {string} mutexKey - Storage key of the mutex
+ * @param {Object} storage - Storage adapter
+ * @param {string} token - Identifies this holder
+ */
+function releaseMutex(mutexKey, storage, token) {
+  const current = readMutex(mutexKey, storage);
+  if (current !== null && current.token === token) {
+    storage.removeItem(mutexKey);
+  }
+}
+
+/**
+ * Runs a task while holding a lock across tabs
+ * @param {string} name - Lock name
+ * @param {string} mutexKey - Storage key used when Web Locks are not available
+ * @param {Object} storage - Storage adapter
+ * @param {Function} task - Task to run, may return a Promise
+ * @returns {Promise<any>} Resolves with the result of the task
+ */
+function runShared(name, mutexKey, storage, task) {
+  const locks = getLockManager();
+  if (locks !== null) {
+    return locks.request(name, () => task());
+  }
+
+  const token = Math.random().toString(36).slice(2);
+  return acquireMutex(mutexKey, storage, token).then(() => {
+    // Renew the record while the task runs, other tabs take over expired ones
+    const renewal = setInterval(() => renewMutex(mutexKey, storage, token), MUTEX_RENEW_INTERVAL);
+    const release = () => {
+      clearInterval(renewal);
+      releaseMutex(mutexKey, storage, token);
+    };
+    return Promise.resolve()
+      .then(() => task())
+      .then(
+        result => {
+          release();
+          return result;
+        },
+        error => {
+          release();
+          throw error;
+        }
+      );
+  });
+}
+
+/**
+ * Runs a task while holding an exclusive lock. Tasks waiting for the same
+ * lock run in the order they asked for it.
+ * @param {string} name - Lock name
+ * @param {string} mutexKey - Storage key of the mutex used without Web Locks
+ * @param {Object} storage - Storage adapter the task works on
+ * @param {Function} task - Task to run, may return a Promise
+ * @returns {Promise<any>} Resolves with the result of the task
+ */
+export function withLock(name, mutexKey, storage, task) {
+  const run = () => (isShared(storage) ? runShared(name, mutexKey, storage, task) : task());
+  const previous = queues.get(name) || Promise.resolve();
+  const result = previous.then(run, run);
+
+  // Forget the queue once it runs empty
+  const tail = result.then(() => undefined, () => undefined);
+  queues.set(name, tail);
+  tail.then(() => {
+    if (queues.get(name) === tail) {
+      queues.delete(name);
+    }
+  });
+
+  return result;
+}
@@ -0,0 +1,115 @@
+// lock.test.js
+import { withLock } from './lock.js';
+import { createMemoryAdapter } from './adapters.js';
+
+/**
+ * Creates a memory adapter that counts as shared between tabs
+ */
+function createSharedAdapter() {
+  return Object.assign(createMemoryAdapter(), { subscribe: () => () => {} });
+}
+
+/**
+ * Resolves after a number of milliseconds
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Lock', () => {
+  afterEach(() => {
+    delete navigator.locks;
+    jest.useRealTimers();
+  });
+  
+  describe('withLock', () => {
+    test('should run tasks holding the same lock one after the other', async () => {
+      const storage = createMemoryAdapter();
+      const events = [];
+      const task = name => () => {
+        events.push(name + ' start');
+        return delay(10).then(() => {
+          events.push(name + ' end');
+          return name;
+        });
+      };
+      
+      const results = await Promise.all([
+        withLock('a', 'mutex', storage, task('first')),
+        withLock('a', 'mutex', storage, task('second'))
+      ]);
+      
+      expect(results).toEqual(['first', 'second']);
+      expect(events).toEqual(['first start', 'first end', 'second start', 'second end']);
+    });
+    
+    test('should release the lock when a task fails', async () => {
+      const storage = createMemoryAdapter();
+      
+      const failed = withLock('a', 'mutex', storage, () => {
+        throw new Error('broken');
+      });
+      const next = withLock('a', 'mutex', storage, () => 'next');
+      
+      await expect(failed).rejects.toThrow('broken');
+      await expect(next).resolves.toBe('next');
+    });
+    
+    test('should use Web Locks for shared storage where available', async () => {
+      const request = jest.fn((name, callback) => Promise.resolve(callback()));
+      Object.defineProperty(navigator, 'locks', { value: { request: request }, configurable: true });
+      const storage = createSharedAdapter();
+      
+      await expect(withLock('a', 'mutex', storage, () => 'done')).resolves.toBe('done');
+      expect(request).toHaveBeenCalledWith('a', expect.any(Function));
+      expect(storage.getItem('mutex')).toBeNull();
+    });
+    
+    test('should wait for a mutex held by another tab', async () => {
+      const storage = createSharedAdapter();
+      storage.setItem('mutex', JSON.stringify({ token: 'other', expires: Date.now() + 5000 }));
+      let ran = false;
+      
+      const result = withLock('a', 'mutex', storage, () => {
+        ran = true;
+        expect(JSON.parse(storage.getItem('mutex')).token).not.toBe('other');
+      });
+      
+      await delay(50);
+      expect(ran).toBe(false);
+      
+      storage.removeItem('mutex');
+      await result;
+      expect(ran).toBe(true);
+      expect(storage.getItem('mutex')).toBeNull();
+    });
+    
+    test('should keep the mutex while a long task runs', async () => {
+      jest.useFakeTimers();
+      const storage = createSharedAdapter();
+      let finish = null;
+      
+      const result = withLock('long', 'mutex', storage, () => new Promise(resolve => {
+        finish = resolve;
+      }));
+      await jest.advanceTimersByTimeAsync(50);
+      expect(finish).not.toBeNull();
+      
+      await jest.advanceTimersByTimeAsync(20000);
+      expect(JSON.parse(storage.getItem('mutex')).expires).toBeGreaterThan(Date.now());
+      
+      finish('done');
+      await expect(result).resolves.toBe('done');
+      expect(storage.getItem('mutex')).toBeNull();
+      expect(jest.getTimerCount()).toBe(0);
+    });
+    
+    test('should take over a mutex left behind by a closed tab', async () => {
+      const storage = createSharedAdapter();
+      storage.setItem('mutex', JSON.stringify({ token: 'other', expires: Date.now() - 1 }));
+      
+      await expect(withLock('a', 'mutex', storage, () => 'done')).resolves.toBe('done');
+      expect(storage.getItem('mutex')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { createNamespacedKey, createExpirationKey, createMetaKey } from './namespace.js';
+import { getNamespaceKeys, getValue } from './storage.js';
+import { jsonEncode, chain, chainAll } from './utils.js';
+
+/**
+ * What to do when a namespace was written by a newer schema version than the
+ * code opening it:
+ * - "error" throws a RegistryVersionError
+ * - "ignore" uses the values as they are
+ * - "empty" removes all values of the namespace
+ */
+export const DOWNGRADE_STRATEGIES = ['error', 'ignore', 'empty'];
+
+/**
+ * Reads the schema version stored for a namespace
+ * @param {string} namespace - The namespace
+ * @param {Object} storage - Storage adapter
+ * @returns {number|null} Schema version, or null if none was stored
+ */
+export function getSchemaVersion(namespace, storage) {
+  const version = storage.getItem(createMetaKey(namespace, 'version'));
+  return version === null ? null : parseInt(version, 10);
+}
+
+/**
+ * Stores the schema version of a namespace
+ * @param {string} namespace - The namespace
+ * @param {number} version - Schema version
+ * @param {Object} storage - Storage adapter
+ */
+export function setSchemaVersion(namespace, version, storage) {
+  storage.setItem(createMetaKey(namespace, 'version'), String(version));
+}
+
+/**
+ * Creates the store handed to migration functions. It works on a staged copy
+ * of the values and records which keys were written or removed.
+ * @param {Map} staged - Map of key to value
+ * @returns {Object} The store, with keys, has, get, set and remove methods,
+ *   and the written and removed key sets
+ */
+function createStagedStore(staged) {
+  const written = new Set();
+  const removed = new Set();
+
+  const store = {
+    keys: () => Array.from(staged.keys()),
+    has: key => staged.has(key),
+    get: key => (staged.has(key) ? staged.get(key) : null),
+    set: function(key, value) {
+      staged.set(key, value);
+      written.add(key);
+      removed.delete(key);
+    },
+    remove: function(key) {
+      staged.delete(key);
+      removed.add(key);
+      written.delete(key);
+    }
+  };
+
+  return { store: store, written: written, removed: removed };
+}
+
+/**
+ * Runs the migrations from one version up to another, one after the other
+ * @param {Function[]} migrations - migrations[n] upgrades version n to n + 1
+ * @param {number} version - Current version
+ * @param {number} target - Version to reach
+ * @param {Object} store - Staged store passed to each migration
+ * @returns {undefined|Promise<void>} A Promise if a migration returned one
+ */
+function runSteps(migrations, version, target, store) {
+  if (version >= target) {
+    return undefined;
+  }
+
+  // Versions without a migration function leave the values as they are
+  const migrate = migrations[version];
+  const result = typeof migrate === 'function' ? migrate(store, version + 1) : undefined;
+  return chain(result, () => runSteps(migrations, version + 1, target, store));
+}
+
+/**
+ * Writes the outcome of a migration. The previous items are kept aside and
+ * put back if any write fails, so storage is never left half migrated.
+ * @param {string} namespace - The namespace
+ * @param {Object} storage - Storage adapter
+ * @param {Map} encoded - Map of written key to stored value
+ * @param {Set} removed - Removed keys
+ * @param {number} version - Schema version to record
+ * @param {Function} storedKeyOf - Turns a key into the key it is stored under
+ */
+function commit(namespace, storage, encoded, removed, version, storedKeyOf) {
+  const toStorageKey = key => createNamespacedKey(storedKeyOf(key), namespace);
+  const touched = [createMetaKey(namespace, 'version')];
+  encoded.forEach((value, key) => touched.push(toStorageKey(key)));
+  removed.forEach(key => {
+    const namespacedKey = toStorageKey(key);
+    touched.push(namespacedKey, createExpirationKey(namespacedKey));
+  });
+  const snapshot = touched.map(storageKey => [storageKey, storage.getItem(storageKey)]);
+
+  try {
+    // Written values keep their expiration
+    encoded.forEach((value, key) => {
+      storage.setItem(toStorageKey(key), jsonEncode(value));
+    });
+    removed.forEach(key => {
+      const namespacedKey = toStorageKey(key);
+      storage.removeItem(namespacedKey);
+      storage.removeItem(createExpirationKey(namespacedKey));
+    });
+    setSchemaVersion(namespace, version, storage);
+  } catch (e) {
+    snapshot.forEach(([storageKey, value]) => {
+      if (value === null) {
+        storage.removeItem(storageKey);
+      } else {
+        storage.setItem(storageKey, value);
+      }
+    });
+    throw e;
+  }
+}
+
+/**
+ * Brings the values of a namespace from one schema version to another.
+ *
+ * Every migration receives a store with keys(), has(), get(), set() and
+ * remove() over the decoded values, and the version it upgrades to. Changes
+ * are staged in memory and written in one go once all migrations succeeded;
+ * if a migration throws, storage is left untouched.
+ * @param {Object} options - Migration settings
+ * @param {string} options.namespace - The namespace
+ * @param {Object} options.storage - Storage adapter
+ * @param {number} options.from - Stored schema version
+ * @param {number} options.to - Schema version of the code
+ * @param {Function[]} options.migrations - migrations[n] upgrades version n to n + 1
+ * @param {Function} options.decode - Turns (key, stored value) into a value
+ * @param {Function} options.encode - Turns (key, value) into a stored value
+ * @param {Function} [options.nameOf] - Turns a stored key into its key, null
+ *   to leave the value out, for namespaces with hidden key names
+ * @param {Function} [options.storedKeyOf] - Turns a key into the key it is
+ *   stored under
+ * @param {Function} [options.onError] - Called with the key and the error of
+ *   a stored value that is not valid JSON, instead of logging it. Its result
+ *   is decoded instead.
+ * @returns {undefined|Promise<void>} A Promise if decoding, encoding or a
+ *   migration is asynchronous
+ */
+export function migrateNamespace(options) {
+  const { namespace, storage, from, to, migrations, decode, encode } = options;
+  const nameOf = options.nameOf || (storedKey => storedKey);
+  const storedKeyOf = options.storedKeyOf || (key => key);
+  const keys = getNamespaceKeys(namespace, storage).map(nameOf).filter(key => key !== null);
+  const onError = options.onError;
+  const decoded = keys.map(key => {
+    const storedValue = getValue(createNamespacedKey(storedKeyOf(key), namespace), storage, onError ? e => onError(key, e) : undefined);
+    return decode(key, storedValue);
+  });
+
+  return chain(chainAll(decoded), values => {
+    const staged = createStagedStore(new Map(keys.map((key, i) => [key, values[i]])));
+
+    return chain(runSteps(migrations, from, to, staged.store), () => {
+      const written = Array.from(staged.written);
+      const encodedValues = written.map(key => encode(key, staged.store.get(key)));
+
+      return chain(chainAll(encodedValues), values => {
+        // Another registry finished the same migration while this one waited
+        const current = getSchemaVersion(namespace, storage);
+        if (current !== null && current >= to) {
+          return;
+        }
+
+        const encoded = new Map(written.map((key, i) => [key, values[i]]));
+        commit(namespace, storage, encoded, staged.removed, to, storedKeyOf);
+      });
+    });
+  });
+}
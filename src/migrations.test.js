@@ -0,0 +1,133 @@
+// migrations.test.js
+import { getSchemaVersion, setSchemaVersion, migrateNamespace } from './migrations.js';
+import { createNamespacedKey, createExpirationKey } from './namespace.js';
+import { setValue } from './storage.js';
+import { createMemoryAdapter } from './adapters.js';
+
+describe('Migrations', () => {
+  let storage;
+  
+  /**
+   * Migrates the "test" namespace with values stored as plain JSON
+   */
+  function migrate(from, to, migrations) {
+    return migrateNamespace({
+      namespace: 'test',
+      storage: storage,
+      from: from,
+      to: to,
+      migrations: migrations,
+      decode: (key, storedValue) => JSON.parse(storedValue),
+      encode: (key, value) => JSON.stringify(value)
+    });
+  }
+  
+  /**
+   * Reads a value written by migrate()
+   */
+  function read(key) {
+    const stored = storage.getItem(createNamespacedKey(key, 'test'));
+    return stored === null ? null : JSON.parse(JSON.parse(stored));
+  }
+  
+  beforeEach(() => {
+    storage = createMemoryAdapter();
+    setValue(createNamespacedKey('user', 'test'), JSON.stringify({ name: 'Ada Lovelace' }), 3600, storage);
+    setValue(createNamespacedKey('legacy', 'test'), JSON.stringify(true), undefined, storage);
+  });
+  
+  describe('getSchemaVersion and setSchemaVersion', () => {
+    test('should return null without a stored version', () => {
+      expect(getSchemaVersion('test', storage)).toBeNull();
+    });
+    
+    test('should read the stored version', () => {
+      setSchemaVersion('test', 3, storage);
+      expect(getSchemaVersion('test', storage)).toBe(3);
+      expect(getSchemaVersion('other', storage)).toBeNull();
+    });
+  });
+  
+  describe('migrateNamespace', () => {
+    test('should run the pending migrations in order and record the version', () => {
+      const calls = [];
+      migrate(1, 3, [
+        () => calls.push(1),
+        (store, version) => {
+          calls.push(version);
+          const user = store.get('user');
+          const parts = user.name.split(' ');
+          store.set('user', { firstName: parts[0], lastName: parts[1] });
+        },
+        (store, version) => {
+          calls.push(version);
+          store.remove('legacy');
+        }
+      ]);
+      
+      expect(calls).toEqual([2, 3]);
+      expect(read('user')).toEqual({ firstName: 'Ada', lastName: 'Lovelace' });
+      expect(read('legacy')).toBeNull();
+      expect(getSchemaVersion('test', storage)).toBe(3);
+    });
+    
+    test('should keep the expiration of rewritten values', () => {
+      const expirationKey = createExpirationKey(createNamespacedKey('user', 'test'));
+      const expires = storage.getItem(expirationKey);
+      
+      migrate(0, 1, [store => store.set('user', { name: 'Grace' })]);
+      
+      expect(storage.getItem(expirationKey)).toBe(expires);
+    });
+    
+    test('should skip versions without a migration', () => {
+      migrate(0, 2, [undefined, store => store.set('added', 1)]);
+      
+      expect(read('added')).toBe(1);
+      expect(getSchemaVersion('test', storage)).toBe(2);
+    });
+    
+    test('should leave storage untouched when a migration throws', () => {
+      expect(() => migrate(0, 2, [
+        store => store.set('user', null),
+        () => {
+          throw new Error('broken');
+        }
+      ])).toThrow('broken');
+      
+      expect(read('user')).toEqual({ name: 'Ada Lovelace' });
+      expect(getSchemaVersion('test', storage)).toBeNull();
+    });
+    
+    test('should restore storage when a write fails', () => {
+      const setItem = storage.setItem;
+      storage.setItem = jest.fn((key, value) => {
+        if (key.indexOf('second') > -1) {
+          throw new Error('QuotaExceededError');
+        }
+        setItem(key, value);
+      });
+      
+      expect(() => migrate(0, 1, [store => {
+        store.set('user', { name: 'Changed' });
+        store.remove('legacy');
+        store.set('second', 2);
+      }])).toThrow('QuotaExceededError');
+      
+      storage.setItem = setItem;
+      expect(read('user')).toEqual({ name: 'Ada Lovelace' });
+      expect(read('legacy')).toBe(true);
+      expect(read('second')).toBeNull();
+      expect(getSchemaVersion('test', storage)).toBeNull();
+    });
+    
+    test('should wait for asynchronous migrations', async () => {
+      const result = migrate(0, 1, [store => Promise.resolve().then(() => store.set('user', 'async'))]);
+      
+      expect(getSchemaVersion('test', storage)).toBeNull();
+      await result;
+      expect(read('user')).toBe('async');
+      expect(getSchemaVersion('test', storage)).toBe(1);
+    });
+  });
+});
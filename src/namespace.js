@@ -1,4 +1,19 @@
-import { getRootUrl, base64encode } from './utils.js';
+import { getRootUrl, base64encode, base64decode } from './utils.js';
+
+const EXPIRATION_SUFFIX = "&&expires";
+
+/**
+ * Storage keys are laid out as "registry:<namespace>:<escaped key>".
+ * The namespace is base64 and never contains ":", and escaping "&" in the key
+ * keeps a key ending in "&&expires" from looking like an expiration key.
+ * Child namespaces append "." and their base64 name to the parent namespace,
+ * "registry:<parent>.<child>:<escaped key>", so a whole subtree shares the
+ * prefix "registry:<parent>.".
+ */
+const KEY_PREFIX = "registry:";
+const KEY_SEPARATOR = ":";
+const META_SEPARATOR = "#";
+const CHILD_SEPARATOR = ".";
 
 /**
  * Generates a namespaced key for storage
@@ -15,6 +30,148 @@ export function getNamespace(namespace) {
     return base64encode(namespaceFinal);
 }
 
+/**
+ * Generates the namespace of a child registry
+ * @param {string} namespace - The parent namespace
+ * @param {string} name - Name of the child
+ * @returns {string} Child namespace
+ */
+export function getChildNamespace(namespace, name) {
+    if (typeof name !== "string" || name === "") {
+        throw new Error("A child namespace needs a name");
+    }
+    return namespace + CHILD_SEPARATOR + base64encode(name);
+}
+
+/**
+ * Returns the prefix shared by all storage keys of the descendants of a
+ * namespace, values and meta keys alike
+ * @param {string} namespace - The namespace
+ * @returns {string} Descendant prefix
+ */
+export function getDescendantPrefix(namespace) {
+    return KEY_PREFIX + namespace + CHILD_SEPARATOR;
+}
+
+/**
+ * Finds the child namespace a storage key belongs to
+ * @param {string} storageKey - The storage key
+ * @param {string} namespace - The parent namespace
+ * @returns {Object|null} The child's name and namespace, or null if the key
+ *   does not belong to a descendant of the namespace
+ */
+export function parseChildNamespace(storageKey, namespace) {
+    const prefix = getDescendantPrefix(namespace);
+    if (!storageKey.startsWith(prefix)) {
+        return null;
+    }
+
+    // The child name ends where its key, meta key or own children start
+    const rest = storageKey.slice(prefix.length);
+    const end = rest.search(/[:#.]/);
+    if (end <= 0) {
+        return null;
+    }
+    const encodedName = rest.slice(0, end);
+    return { name: base64decode(encodedName), namespace: namespace + CHILD_SEPARATOR + encodedName };
+}
+
+/**
+ * Returns the namespace a storage key belongs to
+ * @param {string} storageKey - The storage key
+ * @returns {string|null} The namespace, or null for keys not written by the registry
+ */
+export function getKeyNamespace(storageKey) {
+    if (!storageKey.startsWith(KEY_PREFIX)) {
+        return null;
+    }
+    const namespace = storageKey.slice(KEY_PREFIX.length).split(/[:#]/)[0];
+    return namespace === "" ? null : namespace;
+}
+
+/**
+ * Returns the top-level namespace a namespace belongs to, itself unless it
+ * is a child namespace
+ * @param {string} namespace - The namespace
+ * @returns {string} Top-level namespace
+ */
+export function getRootNamespace(namespace) {
+    return namespace.split(CHILD_SEPARATOR)[0];
+}
+
+/**
+ * Decodes a top-level namespace back into the name it was created with
+ * @param {string} namespace - Base64 encoded namespace
+ * @returns {Object|null} The name, null for the default namespace of an
+ *   origin, and the origin of default namespaces; null if the namespace was
+ *   not created by getNamespace()
+ */
+export function decodeNamespace(namespace) {
+    let decoded;
+    try {
+        decoded = base64decode(namespace);
+    } catch (e) {
+        return null;
+    }
+    if (decoded === "" || base64encode(decoded) !== namespace) {
+        return null;
+    }
+    if (decoded.charAt(0) === "@") {
+        return { name: decoded.slice(1), origin: null };
+    }
+    return { name: null, origin: decoded };
+}
+
+/**
+ * Checks if a storage key belongs to a namespace or one of its descendants
+ * @param {string} storageKey - The storage key
+ * @param {string} namespace - The namespace
+ * @returns {boolean} True for values, expirations and meta keys of the
+ *   namespace and its children
+ */
+export function isNamespaceTreeKey(storageKey, namespace) {
+    return getKeyNamespace(storageKey) === namespace || storageKey.startsWith(getDescendantPrefix(namespace));
+}
+
+/**
+ * Moves a storage key of a namespace, or of one of its descendants, to
+ * another namespace
+ * @param {string} storageKey - Storage key, see isNamespaceTreeKey()
+ * @param {string} from - Current namespace
+ * @param {string} to - New namespace
+ * @returns {string} The storage key in the new namespace
+ */
+export function renameStorageKey(storageKey, from, to) {
+    return KEY_PREFIX + to + storageKey.slice(KEY_PREFIX.length + from.length);
+}
+
+/**
+ * Escapes the characters of a key that have a meaning in storage keys
+ * @param {string} key - The original key
+ * @returns {string} Escaped key
+ */
+export function escapeKey(key) {
+    return key.replace(/%/g, "%25").replace(/&/g, "%26");
+}
+
+/**
+ * Reverses escapeKey
+ * @param {string} escapedKey - The escaped key
+ * @returns {string} Original key
+ */
+export function unescapeKey(escapedKey) {
+    return escapedKey.replace(/%26/g, "&").replace(/%25/g, "%");
+}
+
+/**
+ * Returns the prefix shared by all storage keys of a namespace
+ * @param {string} namespace - The namespace
+ * @returns {string} Namespace prefix
+ */
+export function getNamespacePrefix(namespace) {
+    return KEY_PREFIX + namespace + KEY_SEPARATOR;
+}
+
 /**
  * Creates a namespaced key
  * @param {string} key - The original key
@@ -22,7 +179,18 @@ export function getNamespace(namespace) {
  * @returns {string} Namespaced key
  */
 export function createNamespacedKey(key, namespace) {
-    return key + namespace;
+    return getNamespacePrefix(namespace) + escapeKey(key);
+}
+
+/**
+ * Creates a key for registry bookkeeping of a namespace. Meta keys never
+ * share the namespace prefix, so they are not listed or emptied with values.
+ * @param {string} namespace - The namespace
+ * @param {string} name - Name of the meta value
+ * @returns {string} Meta key
+ */
+export function createMetaKey(namespace, name) {
+    return KEY_PREFIX + namespace + META_SEPARATOR + name;
 }
 
 /**
@@ -31,5 +199,53 @@ export function createNamespacedKey(key, namespace) {
  * @returns {string} Expiration key
  */
 export function createExpirationKey(namespacedKey) {
-    return namespacedKey + "&&expires";
+    return namespacedKey + EXPIRATION_SUFFIX;
+}
+
+/**
+ * Checks if a storage key is an expiration key
+ * @param {string} storageKey - The storage key
+ * @returns {boolean} True if the key holds an expiration timestamp
+ */
+export function isExpirationKey(storageKey) {
+    return storageKey.endsWith(EXPIRATION_SUFFIX);
+}
+
+/**
+ * Returns the namespaced key an expiration key belongs to
+ * @param {string} expirationKey - The expiration key
+ * @returns {string} Namespaced key
+ */
+export function parseExpirationKey(expirationKey) {
+    return expirationKey.slice(0, expirationKey.length - EXPIRATION_SUFFIX.length);
+}
+
+/**
+ * Extracts the original key from a namespaced key
+ * @param {string} namespacedKey - The namespaced key
+ * @param {string} namespace - The namespace
+ * @returns {string|null} The original key, or null if the key belongs to
+ *   another namespace or is an expiration key
+ */
+export function parseNamespacedKey(namespacedKey, namespace) {
+    const prefix = getNamespacePrefix(namespace);
+    if (isExpirationKey(namespacedKey) || !namespacedKey.startsWith(prefix)) {
+        return null;
+    }
+    return unescapeKey(namespacedKey.slice(prefix.length));
+}
+
+/**
+ * Extracts the original key from a key written in the legacy layout, where
+ * the namespace was appended to the key without a separator
+ * @param {string} storageKey - The storage key
+ * @param {string} namespace - The namespace
+ * @returns {string|null} The original key, or null if the key is not a legacy
+ *   key of the namespace. Legacy expiration keys return null too.
+ */
+export function parseLegacyKey(storageKey, namespace) {
+    if (storageKey.startsWith(KEY_PREFIX) || isExpirationKey(storageKey) || !storageKey.endsWith(namespace)) {
+        return null;
+    }
+    return storageKey.slice(0, storageKey.length - namespace.length);
 }
@@ -1,11 +1,31 @@
 // namespace.test.js
-import { getNamespace, createNamespacedKey, createExpirationKey } from './namespace.js';
+import {
+  getNamespace,
+  createNamespacedKey,
+  createExpirationKey,
+  createMetaKey,
+  getNamespacePrefix,
+  escapeKey,
+  unescapeKey,
+  isExpirationKey,
+  parseNamespacedKey,
+  parseLegacyKey,
+  getChildNamespace,
+  getDescendantPrefix,
+  getKeyNamespace,
+  parseChildNamespace,
+  getRootNamespace,
+  decodeNamespace,
+  isNamespaceTreeKey,
+  renameStorageKey
+} from './namespace.js';
 import { getRootUrl, base64encode } from './utils.js';
 
 // Mock the utils functions
 jest.mock('./utils.js', () => ({
   getRootUrl: jest.fn().mockReturnValue('http://test.com'),
-  base64encode: jest.fn(str => `encoded_${str}`)
+  base64encode: jest.fn(str => `encoded_${str}`),
+  base64decode: jest.fn(str => str.replace(/^encoded_/, ''))
 }));
 
 describe('Namespace', () => {
@@ -61,34 +81,52 @@ describe('Namespace', () => {
   });
   
   describe('createNamespacedKey', () => {
-    test('should concatenate key and namespace', () => {
+    test('should prefix the key with the namespace', () => {
       const key = 'testKey';
       const namespace = 'testNamespace';
       
       const result = createNamespacedKey(key, namespace);
       
-      // Should concatenate key and namespace
-      expect(result).toBe('testKeytestNamespace');
+      // Should put the namespace first, separated from the key
+      expect(result).toBe('registry:testNamespace:testKey');
     });
     
-    test('should work with empty namespace', () => {
-      const key = 'testKey';
-      const namespace = '';
+    test('should work with empty key', () => {
+      const key = '';
+      const namespace = 'testNamespace';
       
       const result = createNamespacedKey(key, namespace);
       
-      // Should return just the key
-      expect(result).toBe('testKey');
+      // Should return just the namespace prefix
+      expect(result).toBe('registry:testNamespace:');
     });
     
-    test('should work with empty key', () => {
-      const key = '';
-      const namespace = 'testNamespace';
+    test('should escape characters with a meaning in storage keys', () => {
+      const result = createNamespacedKey('a&&expires%', 'testNamespace');
       
-      const result = createNamespacedKey(key, namespace);
+      expect(result).toBe('registry:testNamespace:a%26%26expires%25');
+    });
+    
+    test('should not collide for different key and namespace pairs', () => {
+      expect(createNamespacedKey('ab', 'c')).not.toBe(createNamespacedKey('a', 'bc'));
+    });
+  });
+  
+  describe('escapeKey and unescapeKey', () => {
+    test('should round-trip keys', () => {
+      const keys = ['plain', 'a&b', '%26', 'a:b', 'x&&expires', '%%&&'];
+      keys.forEach(key => {
+        expect(unescapeKey(escapeKey(key))).toBe(key);
+      });
+    });
+  });
+  
+  describe('createMetaKey', () => {
+    test('should not share the namespace prefix', () => {
+      const result = createMetaKey('testNamespace', 'layout');
       
-      // Should return just the namespace
-      expect(result).toBe('testNamespace');
+      expect(result).toBe('registry:testNamespace#layout');
+      expect(result.startsWith(getNamespacePrefix('testNamespace'))).toBe(false);
     });
   });
   
@@ -111,4 +149,102 @@ describe('Namespace', () => {
       expect(result).toBe('&&expires');
     });
   });
+
+  describe('isExpirationKey', () => {
+    test('should detect expiration keys', () => {
+      expect(isExpirationKey('testNamespacedKey&&expires')).toBe(true);
+      expect(isExpirationKey('testNamespacedKey')).toBe(false);
+    });
+  });
+  
+  describe('parseNamespacedKey', () => {
+    test('should return the original key', () => {
+      const result = parseNamespacedKey(createNamespacedKey('a&b', 'testNamespace'), 'testNamespace');
+      
+      expect(result).toBe('a&b');
+    });
+    
+    test('should return null for keys of other namespaces', () => {
+      const result = parseNamespacedKey('registry:otherNamespace:testKey', 'testNamespace');
+      
+      expect(result).toBeNull();
+    });
+    
+    test('should return null for namespaces sharing a prefix', () => {
+      const result = parseNamespacedKey('registry:testNamespace2:testKey', 'testNamespace');
+      
+      expect(result).toBeNull();
+    });
+    
+    test('should return null for expiration keys', () => {
+      const result = parseNamespacedKey('registry:testNamespace:testKey&&expires', 'testNamespace');
+      
+      expect(result).toBeNull();
+    });
+  });
+  
+  describe('parseLegacyKey', () => {
+    test('should return the key of legacy namespaced keys', () => {
+      expect(parseLegacyKey('testKeytestNamespace', 'testNamespace')).toBe('testKey');
+    });
+    
+    test('should ignore keys in the current layout and expiration keys', () => {
+      expect(parseLegacyKey('registry:testNamespace:testNamespace', 'testNamespace')).toBeNull();
+      expect(parseLegacyKey('testKeytestNamespace&&expires', 'testNamespace')).toBeNull();
+      expect(parseLegacyKey('testKeyotherNamespace', 'testNamespace')).toBeNull();
+    });
+  });
+  
+  describe('child namespaces', () => {
+    test('should nest child namespaces inside their parent', () => {
+      expect(getChildNamespace('parent', 'drafts')).toBe('parent.encoded_drafts');
+      expect(getDescendantPrefix('parent')).toBe('registry:parent.');
+    });
+    
+    test('should require a child name', () => {
+      expect(() => getChildNamespace('parent', '')).toThrow('A child namespace needs a name');
+    });
+    
+    test('should find the direct child of descendant keys', () => {
+      const child = { name: 'drafts', namespace: 'parent.encoded_drafts' };
+      
+      expect(parseChildNamespace('registry:parent.encoded_drafts:key', 'parent')).toEqual(child);
+      expect(parseChildNamespace('registry:parent.encoded_drafts#layout', 'parent')).toEqual(child);
+      expect(parseChildNamespace('registry:parent.encoded_drafts.encoded_old:key', 'parent')).toEqual(child);
+      expect(parseChildNamespace('registry:parent:key', 'parent')).toBeNull();
+      expect(parseChildNamespace('registry:other.encoded_drafts:key', 'parent')).toBeNull();
+    });
+    
+    test('should return the namespace of storage keys', () => {
+      expect(getKeyNamespace('registry:parent.child:key')).toBe('parent.child');
+      expect(getKeyNamespace('registry:parent#layout')).toBe('parent');
+      expect(getKeyNamespace('unrelated')).toBeNull();
+    });
+  });
+  
+  describe('namespace administration', () => {
+    test('should decode custom and default namespaces', () => {
+      expect(decodeNamespace('encoded_@settings')).toEqual({ name: 'settings', origin: null });
+      expect(decodeNamespace('encoded_https://example.com')).toEqual({ name: null, origin: 'https://example.com' });
+      expect(decodeNamespace('not-base64')).toBeNull();
+    });
+    
+    test('should find the top-level namespace', () => {
+      expect(getRootNamespace('parent.child.grandchild')).toBe('parent');
+      expect(getRootNamespace('parent')).toBe('parent');
+    });
+    
+    test('should match the keys of a namespace and its descendants', () => {
+      expect(isNamespaceTreeKey('registry:ns:key', 'ns')).toBe(true);
+      expect(isNamespaceTreeKey('registry:ns#layout', 'ns')).toBe(true);
+      expect(isNamespaceTreeKey('registry:ns.child:key', 'ns')).toBe(true);
+      expect(isNamespaceTreeKey('registry:ns2:key', 'ns')).toBe(false);
+      expect(isNamespaceTreeKey('keyns', 'ns')).toBe(false);
+    });
+    
+    test('should move storage keys to another namespace', () => {
+      expect(renameStorageKey('registry:old:key&&expires', 'old', 'new')).toBe('registry:new:key&&expires');
+      expect(renameStorageKey('registry:old.child#layout', 'old', 'new')).toBe('registry:new.child#layout');
+    });
+  });
 });
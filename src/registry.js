@@ -1,6 +1,388 @@
-import { getNamespace, createNamespacedKey } from './namespace.js';
-import { encrypt, decrypt } from './crypto.js';
-import { setValue, getValue, removeValue, emptyNamespace } from './storage.js';
+import { getNamespace, getChildNamespace, decodeNamespace, getKeyNamespace, isNamespaceTreeKey, createNamespacedKey, createExpirationKey, createMetaKey, parseNamespacedKey } from './namespace.js';
+import { decryptCodes, encryptBytes, decryptBytes, importSecret, getKeyId, deriveKey, randomBytes, seal, open, sealBytes, openBytes } from './crypto.js';
+import { ENCODING_CODES, ENCODING_BASE64, encodeValue, decodeValue } from './codec.js';
+import {
+  setValue,
+  getValue,
+  hasValue,
+  isExpired,
+  removeValue,
+  emptyNamespace,
+  emptyDescendants,
+  getChildNamespaces,
+  getNamespaceStats,
+  dropNamespace,
+  renameNamespace,
+  getNamespaceKeys,
+  migrateLegacyKeys,
+  purgeExpired,
+  getExpiration,
+  getEntrySizes,
+  getEntryUsage,
+  getStorageSize,
+  getExpirationTime,
+  getSlidingWindow,
+  getStaleWindow,
+  getStaleValue,
+  setExpiration,
+  removeExpiration
+} from './storage.js';
+import { localStorageAdapter } from './adapters.js';
+import { createEmitter } from './events.js';
+import { broadcast, listen } from './sync.js';
+import { EVICTION_STRATEGIES, createAccessLog, rankForEviction, getUsageTally, trackUsage } from './eviction.js';
+import { DOWNGRADE_STRATEGIES, getSchemaVersion, setSchemaVersion, migrateNamespace } from './migrations.js';
+import { CIPHER_SHIFT, CIPHER_AES_GCM, createEnvelope, parseEnvelope } from './envelope.js';
+import {
+  RegistryError,
+  RegistryDecryptionError,
+  RegistryVersionError,
+  RegistryLockedError,
+  RegistryCorruptEntryError,
+  RegistryIntegrityError,
+  RegistryQuotaError,
+  RegistryStorageUnavailableError
+} from './errors.js';
+import { withLock } from './lock.js';
+import { createSigner, signaturesMatch } from './hmac.js';
+import { createKeyIndex } from './key-index.js';
+import { jsonEncode, jsonDecode, bytesToBase64, base64ToBytes, isQuotaError, isPlainObject, deepMerge, chain, chainAll } from './utils.js';
+
+const EVENT_TYPES = ['change', 'remove', 'expire', 'clear', 'evict', 'quota', 'integrity'];
+
+// Bytes a namespace may use when warnAt is set without a budget, the smallest
+// localStorage quota of common browsers
+const DEFAULT_BUDGET = 5 * 1024 * 1024;
+
+// PBKDF2 iterations of passphrase protected registries, see options.passphrase
+const PBKDF2_ITERATIONS = 600000;
+
+// Bytes of the random salt stored with passphrase protected namespaces
+const SALT_LENGTH = 16;
+
+// Value sealed with a derived key to tell whether a passphrase is right
+const PASSPHRASE_CHECK = 'registry';
+
+// Private option linking a child registry to its parent, see child()
+const PARENT = Symbol('parent');
+
+// Private method telling a child registry that an ancestor was emptied
+const ANCESTOR_EMPTIED = Symbol('ancestorEmptied');
+
+/**
+ * Returns the rejection of operations on a locked registry
+ * @returns {Promise} Promise rejected with a RegistryLockedError
+ */
+function rejectLocked() {
+  const locked = Promise.reject(new RegistryLockedError('The registry is locked, call unlock() first'));
+  // Only reported when an operation waits for it
+  locked.catch(() => {});
+  return locked;
+}
+
+/**
+ * Signs an envelope. The signature covers the namespace, the key, the
+ * envelope and the raw expiration, so none can be edited or moved to another
+ * key without the signature failing.
+ * @param {Function} sign - Signer returned by createSigner()
+ * @param {string} namespace - The namespace
+ * @param {string} key - The original key
+ * @param {Object} envelope - Stored envelope, with or without a signature
+ * @param {string|null} expiration - Stored expiration, null if none
+ * @returns {Object} Copy of the envelope with its signature in "m"
+ */
+function signEnvelopeWith(sign, namespace, key, envelope, expiration) {
+  const signed = Object.assign({}, envelope);
+  delete signed.m;
+  signed.m = sign(jsonEncode([namespace, key, jsonEncode(signed), expiration]));
+  return signed;
+}
+
+/**
+ * Opens a sealed value. Values are bound to their namespace and key, values
+ * sealed before namespaces were bound to their key only.
+ * @param {string} data - The sealed value
+ * @param {CryptoKey} sealKey - Key the value was sealed with
+ * @param {string} namespace - Namespace of the value
+ * @param {string} key - The original key
+ * @returns {Promise<Uint8Array>} The decrypted bytes
+ */
+function openBound(data, sealKey, namespace, key) {
+  return openBytes(data, sealKey, jsonEncode([namespace, key])).catch(e => openBytes(data, sealKey, key).catch(() => {
+    throw e;
+  }));
+}
+
+/**
+ * Derives the key of a passphrase protected namespace
+ * @param {string} pass - The passphrase
+ * @param {Object} kdf - Key derivation record of the namespace
+ * @returns {Promise<CryptoKey>} The key, rejected with
+ *   RegistryDecryptionError if the passphrase is wrong
+ */
+function deriveRecordedKey(pass, kdf) {
+  return deriveKey(pass, base64ToBytes(kdf.salt), kdf.iterations).then(k => {
+    return open(kdf.check, k, 'kdf').then(check => {
+      if (check !== PASSPHRASE_CHECK) {
+        throw new RegistryDecryptionError('Wrong passphrase');
+      }
+      return k;
+    }, () => {
+      throw new RegistryDecryptionError('Wrong passphrase');
+    });
+  });
+}
+
+/**
+ * Seals the sealed values of a namespace and its children again for their
+ * new namespace, as sealed values are bound to their namespace, along with
+ * the indexes of hidden key names. Values are opened with options.secret and
+ * options.previousSecrets, or with the key options.passphrase derives for
+ * their namespace, and sealed again with the same key.
+ * @param {string} from - Current namespace
+ * @param {string} to - New namespace
+ * @param {Object} storage - Storage adapter
+ * @param {Object} options - Options of Registry.rename()
+ * @returns {Promise<Object>|null} Storage keys mapped to their current value
+ *   and the value to store under the new name in resealed, and the lookup of
+ *   original keys in nameOf, which takes a namespace and a stored key and
+ *   returns null for hidden names missing from the index. Null if there are
+ *   neither sealed values nor indexes.
+ * @throws {RegistryError} If there are sealed values and neither a secret nor
+ *   a passphrase was given
+ */
+function resealNamespace(from, to, storage, options) {
+  const sealed = [];
+  const indexes = [];
+  storage.keys().filter(storageKey => isNamespaceTreeKey(storageKey, from)).forEach(storageKey => {
+    const namespace = getKeyNamespace(storageKey);
+    if (storageKey === createMetaKey(namespace, 'keys')) {
+      indexes.push({ storageKey: storageKey, namespace: namespace, value: storage.getItem(storageKey) });
+      return;
+    }
+    const storedKey = parseNamespacedKey(storageKey, namespace);
+    const value = storage.getItem(storageKey);
+    let envelope = null;
+    try {
+      envelope = storedKey !== null ? parseEnvelope(jsonDecode(value)) : null;
+    } catch (e) {
+      // Unreadable entries are moved as they are
+    }
+    if (envelope !== null && envelope.cipher === CIPHER_AES_GCM) {
+      sealed.push({ storageKey: storageKey, namespace: namespace, storedKey: storedKey, value: value, envelope: envelope });
+    }
+  });
+  if (sealed.length === 0 && indexes.length === 0) {
+    return null;
+  }
+  if (typeof options.secret === 'undefined' && typeof options.passphrase === 'undefined') {
+    throw new RegistryError('The namespace holds sealed values, pass options.secret or options.passphrase to rename it');
+  }
+  
+  const secrets = typeof options.secret === 'undefined' ? null : Promise.all([options.secret].concat(options.previousSecrets || []).map(secret => {
+    return importSecret(secret).then(sealKey => ({ id: getKeyId(secret), key: sealKey }));
+  }));
+  const derived = new Map();
+  
+  /**
+   * Finds the keys the values of a namespace may be sealed with
+   * @param {string} namespace - The namespace
+   * @returns {Promise<Object[]>} Keys as { id, key }
+   */
+  function keysOf(namespace) {
+    if (secrets !== null) {
+      return secrets;
+    }
+    if (!derived.has(namespace)) {
+      let kdf = null;
+      try {
+        kdf = jsonDecode(storage.getItem(createMetaKey(namespace, 'kdf')));
+      } catch (e) {
+        // Handled below like a missing record
+      }
+      derived.set(namespace, kdf === null ? Promise.resolve([]) : deriveRecordedKey(options.passphrase, kdf).then(sealKey => [{ id: null, key: sealKey }]));
+    }
+    return derived.get(namespace);
+  }
+  
+  /**
+   * Opens sealed data with the keys of its namespace
+   * @param {string} namespace - The namespace
+   * @param {string|null} keyId - Id of the secret the data was sealed with
+   * @param {string} name - Name of the data in the error
+   * @param {Function} openWith - Takes a key, returns a Promise of the data
+   * @returns {Promise<Array>} The key that opened the data and the data
+   */
+  function openWithKeys(namespace, keyId, name, openWith) {
+    return keysOf(namespace).then(keys => {
+      let opened = Promise.reject(new RegistryDecryptionError('None of the given secrets opens ' + name));
+      keys.filter(candidate => candidate.id === null || keyId === null || candidate.id === keyId).forEach(candidate => {
+        opened = opened.catch(e => openWith(candidate.key).then(data => [candidate.key, data], () => {
+          throw e;
+        }));
+      });
+      return opened;
+    });
+  }
+  
+  const renamed = namespace => to + namespace.slice(from.length);
+  const resealed = new Map();
+  const names = new Map();
+  
+  // Indexes of hidden key names first, values are looked up in them
+  return Promise.all(indexes.map(index => {
+    let stored = null;
+    try {
+      stored = jsonDecode(index.value);
+    } catch (e) {
+      // Handled below like data that does not open
+    }
+    const keyId = stored !== null && typeof stored.k === 'string' ? stored.k : null;
+    const data = stored !== null ? stored.d : null;
+    return openWithKeys(index.namespace, keyId, 'the key index of ' + index.namespace, sealKey => {
+      return open(data, sealKey, createMetaKey(index.namespace, 'keys'));
+    }).then(([sealKey, indexed]) => {
+      names.set(index.namespace, indexed || {});
+      return seal(indexed || {}, sealKey, createMetaKey(renamed(index.namespace), 'keys'));
+    }).then(resealedIndex => {
+      resealed.set(index.storageKey, { from: index.value, to: jsonEncode({ k: keyId, d: resealedIndex }) });
+    });
+  })).then(() => {
+    const nameOf = (namespace, storedKey) => {
+      if (!names.has(namespace)) {
+        return storedKey;
+      }
+      const indexed = names.get(namespace);
+      return Object.prototype.hasOwnProperty.call(indexed, storedKey) ? indexed[storedKey] : null;
+    };
+    
+    // Values missing from the key index cannot be opened, they are moved as they are
+    return Promise.all(sealed.map(entry => {
+      const key = nameOf(entry.namespace, entry.storedKey);
+      if (key === null) {
+        return null;
+      }
+      return openWithKeys(entry.namespace, entry.envelope.keyId, key, sealKey => {
+        return openBound(entry.envelope.data, sealKey, entry.namespace, key);
+      }).then(([sealKey, bytes]) => sealBytes(bytes, sealKey, jsonEncode([renamed(entry.namespace), key]))).then(data => {
+        resealed.set(entry.storageKey, { from: entry.value, to: jsonEncode(Object.assign(jsonDecode(entry.value), { d: data })) });
+      });
+    })).then(() => ({ resealed: resealed, nameOf: nameOf }));
+  });
+}
+
+/**
+ * Creates the rewrite of a rename. Sealed values are replaced with the ones
+ * resealNamespace() sealed again, unless they changed since. Intact signed
+ * entries are signed again for their new namespace, as signatures bind
+ * entries to their namespace; namespaces holding signed entries are not
+ * renamed without options.integrity.
+ * @param {string} from - Current namespace
+ * @param {string} to - New namespace
+ * @param {Object} storage - Storage adapter
+ * @param {Object} options - Options of Registry.rename()
+ * @param {Function} nameOf - Lookup returned by resealNamespace()
+ * @param {Map} resealed - Values returned by resealNamespace()
+ * @returns {Function} Takes a storage key and its value, returns the value to
+ *   store under the new name
+ */
+function createRenameRewrite(from, to, storage, options, nameOf, resealed) {
+  const sign = typeof options.integrity === 'undefined' ? null : createSigner(options.integrity);
+  
+  return (storageKey, value) => {
+    const replacement = resealed.get(storageKey);
+    const moved = typeof replacement !== 'undefined' && replacement.from === value ? replacement.to : value;
+    const namespace = getKeyNamespace(storageKey);
+    const storedKey = parseNamespacedKey(storageKey, namespace);
+    let stored = null;
+    try {
+      stored = storedKey !== null ? jsonDecode(value) : null;
+    } catch (e) {
+      // Unreadable entries are moved as they are
+    }
+    if (stored === null || typeof stored !== 'object' || typeof stored.m !== 'string') {
+      return moved;
+    }
+    if (sign === null) {
+      throw new RegistryError('The namespace holds signed entries, pass options.integrity to rename it');
+    }
+    
+    // Entries failing the check are moved as they are, they still fail
+    const key = nameOf(namespace, storedKey);
+    const expiration = storage.getItem(createExpirationKey(storageKey));
+    if (key === null || !signaturesMatch(signEnvelopeWith(sign, namespace, key, stored, expiration).m, stored.m)) {
+      return value;
+    }
+    return jsonEncode(signEnvelopeWith(sign, to + namespace.slice(from.length), key, jsonDecode(moved), expiration));
+  };
+}
+
+/**
+ * Finds the cipher of a value stored without a cipher id, written before
+ * envelopes existed. The original cipher stored a JSON array of character
+ * codes, or "__NULL__" for null; sealed values are base64.
+ * @param {any} data - The stored value
+ * @returns {string} Cipher id
+ */
+function detectCipher(data) {
+  if (typeof data === 'string' && (data === '__NULL__' || data.charAt(0) === '[')) {
+    return CIPHER_SHIFT;
+  }
+  return CIPHER_AES_GCM;
+}
+
+/**
+ * Wraps a storage adapter for strict mode, so a storage that cannot be used
+ * at all throws a RegistryStorageUnavailableError. Quota errors are thrown as
+ * they are, writes make room or report them.
+ * @param {Object} storage - Storage adapter
+ * @returns {Object} Guarded storage adapter
+ */
+function guardStorage(storage) {
+  const guard = method => function() {
+    try {
+      return storage[method].apply(storage, arguments);
+    } catch (e) {
+      if (isQuotaError(e) || e instanceof RegistryError) {
+        throw e;
+      }
+      throw new RegistryStorageUnavailableError(e);
+    }
+  };
+  const guarded = {
+    getItem: guard('getItem'),
+    setItem: guard('setItem'),
+    removeItem: guard('removeItem'),
+    keys: guard('keys')
+  };
+  if (typeof storage.subscribe === 'function') {
+    guarded.subscribe = storage.subscribe.bind(storage);
+  }
+  return guarded;
+}
+
+/**
+ * Finds the namespace named in a static call
+ * @param {string|Object|null} name - Name given to the constructor, null for
+ *   the default namespace, or an entry returned by Registry.namespaces()
+ * @returns {string} The namespace
+ */
+function resolveNamespace(name) {
+  if (name !== null && typeof name === 'object') {
+    return name.namespace;
+  }
+  return getNamespace(name);
+}
+
+/**
+ * Tells the registries open on dropped or renamed namespaces that their
+ * values are gone
+ * @param {string[]} namespaces - Namespaces that were cleared
+ * @param {Object} storage - Storage adapter
+ */
+function broadcastCleared(namespaces, storage) {
+  namespaces.forEach(namespace => broadcast(namespace, storage, { type: 'clear', key: null }));
+}
 
 /**
  * Registry class for browser-based key-value storage with encryption,
@@ -10,69 +392,1623 @@ class Registry {
   /**
    * Creates a new Registry instance
    * @param {string} [namespace] - Optional namespace for isolating stored values
+   * @param {Object} [options] - Optional settings
+   * @param {string|CryptoKey} [options.secret] - Secret used to seal values with
+   *   AES-GCM. When set, set() and get() return Promises.
+   * @param {Array<string|CryptoKey>} [options.previousSecrets] - Secrets values
+   *   may still be sealed with, while they are rotated, see rotateKey()
+   * @param {Object} [options.storage] - Storage adapter, defaults to localStorage
+   * @param {number} [options.sweepInterval] - Seconds between background sweeps
+   *   removing expired values. Expired values are always swept on construction.
+   * @param {Object} [options.policy] - Limits of the namespace and how to make room
+   * @param {number} [options.policy.maxEntries] - Maximum number of values
+   * @param {number} [options.policy.maxBytes] - Maximum bytes used by the namespace
+   * @param {string} [options.policy.evict] - "lru" (default), "ttl" or "oldest"
+   * @param {Function} [options.policy.onEvict] - Called with the key of each evicted value
+   * @param {number} [options.version] - Schema version of the stored values
+   * @param {Function[]} [options.migrations] - migrations[n] upgrades values from
+   *   version n to n + 1, called with a store and the version it upgrades to
+   * @param {string} [options.downgrade] - What to do with values of a newer
+   *   version: "error" (default), "ignore" or "empty"
+   * @param {number} [options.budget] - Bytes the namespace is expected to use
+   *   at most, defaults to policy.maxBytes
+   * @param {number} [options.warnAt] - Fraction of the budget, between 0 and 1,
+   *   at which writes emit a "quota" event
+   * @param {boolean|number} [options.compress] - Compress values of at least
+   *   512 bytes, or of at least the given number of bytes
+   * @param {string} [options.integrity] - Secret signing every entry with
+   *   HMAC-SHA256. Entries failing the check read as missing; signed ones are
+   *   removed, unsigned ones are kept so they can be migrated
+   * @param {string} [options.hashKeys] - Secret hiding key names: values are
+   *   stored under an HMAC of their key, listed through an index sealed like
+   *   the values. Needs options.secret or options.passphrase; keys(), size(),
+   *   usage() and purgeExpired() then return Promises
+   * @param {boolean|Object} [options.passphrase] - Seal values with a key
+   *   derived from a passphrase given to unlock(). The registry starts locked.
+   * @param {number} [options.passphrase.iterations] - PBKDF2 iterations of new
+   *   namespaces, defaults to 600000
+   * @param {boolean} [options.strict] - Throw typed errors, such as
+   *   RegistryCorruptEntryError or RegistryQuotaError, instead of logging them
+   *   and reading null. With a secret, the Promises reject instead.
+   * @param {Function} [options.onError] - Called with the typed error of each
+   *   problem that is not thrown, instead of logging it to the console
    */
-  constructor(namespace) {
-    // Generate the namespace
-    const namespaceFinal = getNamespace(namespace);
+  constructor(namespace, options = {}) {
+    const self = this;
+    
+    // Generate the namespace, child registries live inside their parent's
+    const parent = options[PARENT] || null;
+    const namespaceFinal = parent !== null ? getChildNamespace(parent.namespace, namespace) : getNamespace(namespace);
+    
+    // Child registries created by child(), told when this registry is emptied
+    const children = new Set();
+    if (parent !== null) {
+      parent.children.add(self);
+    }
+    
+    // Strict registries throw where others report the error and carry on
+    const strict = options.strict === true;
+    const onError = typeof options.onError === 'function' ? options.onError : null;
+    
+    /**
+     * Reports an error that is not thrown, to options.onError or the console
+     * @param {string} message - Message logged with the error
+     * @param {Error} error - The error
+     */
+    function reportError(message, error) {
+      if (onError !== null) {
+        onError(error);
+      } else {
+        console.error(message, error);
+      }
+    }
+    
+    /**
+     * Turns the error reading an entry into a RegistryCorruptEntryError.
+     * Decryption and storage errors are kept, they have their own classes.
+     * @param {string|null} key - The original key, null for registry metadata
+     * @param {Error} error - The error
+     * @returns {Error} The typed error
+     */
+    function corrupt(key, error) {
+      if (error instanceof RegistryCorruptEntryError ||
+          error instanceof RegistryDecryptionError ||
+          error instanceof RegistryStorageUnavailableError) {
+        return error;
+      }
+      return new RegistryCorruptEntryError(key, error);
+    }
+    
+    /**
+     * Handles an entry that cannot be read: throws in strict mode, otherwise
+     * reports the error and reads the entry as missing
+     * @param {string|null} key - The original key, null for registry metadata
+     * @param {string} message - Message logged with the error
+     * @param {Error} error - The error
+     * @returns {null} Null, outside strict mode
+     */
+    function unreadable(key, message, error) {
+      if (strict) {
+        throw corrupt(key, error);
+      }
+      return reportUnreadable(key, message, error);
+    }
+    
+    /**
+     * Reports an entry that cannot be read, even in strict mode, for reads
+     * that go on without it such as migrations
+     * @param {string|null} key - The original key, null for registry metadata
+     * @param {string} message - Message logged with the error
+     * @param {Error} error - The error
+     * @returns {null} Null, the entry reads as missing
+     */
+    function reportUnreadable(key, message, error) {
+      if (onError !== null) {
+        onError(corrupt(key, error));
+      } else {
+        console.error(message, error);
+      }
+      return null;
+    }
+    
+    /**
+     * Fails a read, rejecting when a secret makes reads asynchronous
+     * @param {Error} error - The error
+     * @returns {Promise} Rejected Promise, when a secret is configured
+     */
+    function fail(error) {
+      if (cryptoKey !== null) {
+        return Promise.reject(error);
+      }
+      throw error;
+    }
+    
+    // Storage adapter all values are written to
+    const baseStorage = options.storage || localStorageAdapter;
+    const storage = trackUsage(strict ? guardStorage(baseStorage) : baseStorage, baseStorage);
+    
+    // Move values written in the legacy key layout, once per namespace
+    migrateLegacyKeys(namespaceFinal, storage);
+    
+    /**
+     * Returns the key a value is stored under, its hash when key names are hidden
+     * @param {string} key - The original key
+     * @returns {string} Stored key
+     */
+    function storedKeyOf(key) {
+      return keyIndex !== null ? keyIndex.hash(key) : key;
+    }
+    
+    /**
+     * Creates the storage key of a value
+     * @param {string} key - The original key
+     * @returns {string} The namespaced key
+     */
+    function namespacedKeyOf(key) {
+      return createNamespacedKey(storedKeyOf(key), namespaceFinal);
+    }
+    
+    /**
+     * Finds the original key of a stored key
+     * @param {string} storedKey - Key the value is stored under
+     * @returns {string|null} The original key, null if a hidden name is not
+     *   in the index
+     */
+    function keyNameOf(storedKey) {
+      return keyIndex !== null ? keyIndex.name(storedKey) : storedKey;
+    }
+    
+    /**
+     * Adds keys to the index of hidden key names before their values are written
+     * @param {string[]} keys - The original keys
+     * @param {CryptoKey} k - Current key
+     * @returns {Promise<void>} Resolves once the keys are indexed
+     */
+    function indexKeys(keys, k) {
+      return keyIndex !== null ? keyIndex.add(keys, k) : Promise.resolve();
+    }
+    
+    /**
+     * Removes keys from the access log and the index of hidden key names
+     * @param {string[]} keys - The original keys
+     */
+    function forgetKeys(keys) {
+      if (accessLog !== null) {
+        accessLog.forget(keys.map(storedKeyOf));
+      }
+      forgetNames(keys);
+    }
+    
+    /**
+     * Removes keys from the index of hidden key names. Names left in the
+     * index are harmless, only the stored values are listed.
+     * @param {string[]} keys - The original keys
+     */
+    function forgetNames(keys) {
+      if (keyIndex !== null && keys.length > 0) {
+        cryptoKey.then(k => keyIndex.forget(keys, k)).catch(() => {});
+      }
+    }
+    
+    /**
+     * Lists the original keys of the live values. Hidden key names are found
+     * in the index last read, see readNames().
+     * @returns {string[]} Keys
+     */
+    function listKeys() {
+      return getNamespaceKeys(namespaceFinal, storage).map(keyNameOf).filter(key => key !== null);
+    }
+    
+    /**
+     * Reads the index of hidden key names, so keyNameOf() finds them
+     * @param {CryptoKey} k - Current key
+     * @returns {Promise} Resolves once the index is read
+     */
+    function readNames(k) {
+      return keyIndex !== null ? keyIndex.read(k) : Promise.resolve();
+    }
+    
+    /**
+     * Runs a function once the index of hidden key names is read
+     * @param {Function} fn - The function
+     * @returns {Promise} Result of the function, rejected with
+     *   RegistryLockedError while a passphrase protected registry is locked
+     */
+    function withNames(fn) {
+      return cryptoKey.then(readNames).then(() => fn());
+    }
+
+    // Passphrase protection, the key is derived by unlock() and dropped by lock()
+    const passphrase = options.passphrase ? Object.assign({ iterations: PBKDF2_ITERATIONS }, options.passphrase) : null;
+    if (passphrase !== null && typeof options.secret !== 'undefined') {
+      throw new Error('A registry takes either a secret or a passphrase');
+    }
+    let locked = passphrase !== null;
+    
+    if (typeof options.previousSecrets !== 'undefined' && typeof options.secret === 'undefined') {
+      throw new Error('options.previousSecrets needs options.secret');
+    }
+    
+    // Secrets known to this registry as { id, key }, values are opened with
+    // the one whose id they recorded
+    const keyring = [];
+    let currentKeyId = typeof options.secret === 'undefined' ? null : getKeyId(options.secret);
+    
+    // Import the secret once, sealing and opening wait for it
+    let cryptoKey = null;
+    if (passphrase !== null) {
+      cryptoKey = rejectLocked();
+    } else if (typeof options.secret !== 'undefined') {
+      cryptoKey = addToKeyring(options.secret);
+      (options.previousSecrets || []).forEach(addToKeyring);
+    }
+    
+    // Index of hidden key names, see options.hashKeys. It is sealed like the
+    // values, so hidden key names need a secret or a passphrase.
+    if (typeof options.hashKeys !== 'undefined' && cryptoKey === null) {
+      throw new Error('options.hashKeys needs options.secret or options.passphrase');
+    }
+    const indexCipher = {
+      seal: (names, k) => seal(names, k, createMetaKey(namespaceFinal, 'keys')).then(data => jsonEncode({ k: currentKeyId, d: data })),
+      open: (stored, k) => {
+        const sealed = jsonDecode(stored);
+        return openRecorded(sealed.k, k, sealKey => open(sealed.d, sealKey, createMetaKey(namespaceFinal, 'keys')));
+      }
+    };
+    const keyIndex = typeof options.hashKeys === 'undefined' ? null : createKeyIndex(namespaceFinal, storage, options.hashKeys, indexCipher, e => unreadable(null, 'Error reading key index:', e));
+    
+    // Values written before key names were hidden are moved once the key is
+    // available, see prepareKey()
+    if (keyIndex !== null && passphrase === null) {
+      cryptoKey = hideKeys(cryptoKey);
+    }
+    
+    /**
+     * Moves the values stored under plain key names to their hashes, once per
+     * namespace. A failed move is reported and tried again by the next
+     * registry, values under plain key names read as missing meanwhile.
+     * @param {Promise<CryptoKey>} keyPromise - The key
+     * @returns {Promise<CryptoKey>} The key, resolved once values are moved
+     */
+    function hideKeys(keyPromise) {
+      return keyPromise.then(k => keyIndex.migrate(k).then(moved => {
+        if (accessLog !== null) {
+          accessLog.rename(moved);
+        }
+        return k;
+      }, e => {
+        reportError('Error hiding key names:', e);
+        return k;
+      }));
+    }
+    
+    /**
+     * Runs the migrations waiting for the key of a passphrase protected
+     * registry, see hideKeys() and migrateSealed()
+     * @param {Promise<CryptoKey>} keyPromise - The key
+     * @returns {Promise<CryptoKey>} The key, resolved once values are migrated
+     */
+    function prepareKey(keyPromise) {
+      const hidden = keyIndex !== null ? hideKeys(keyPromise) : keyPromise;
+      return dueMigration !== null ? migrateSealed(hidden) : hidden;
+    }
+    
+    /**
+     * Imports a secret into the keyring, once
+     * @param {string|CryptoKey} secret - The secret
+     * @returns {Promise<CryptoKey>} The imported key
+     */
+    function addToKeyring(secret) {
+      const id = getKeyId(secret);
+      const known = keyring.find(entry => (id !== null ? entry.id === id : entry.secret === secret));
+      if (typeof known !== 'undefined') {
+        return known.key;
+      }
+      const key = importSecret(secret);
+      // Import failures are reported by the operations using the key
+      key.catch(() => {});
+      keyring.push({ id: id, secret: id === null ? secret : null, key: key });
+      return key;
+    }
+    
+    // Migration of sealed values still running, reads wait for it
+    let pendingMigration = null;
+    
+    // Signs entries with HMAC-SHA256, see options.integrity
+    const signer = typeof options.integrity === 'undefined' ? null : createSigner(options.integrity);
+    
+    /**
+     * Signs an envelope for this namespace, see signEnvelopeWith(). Signed
+     * entries fail verifyEntry() once edited or moved to another key.
+     * @param {string} key - The original key
+     * @param {Object} envelope - Stored envelope, with or without a signature
+     * @param {string|null} expiration - Stored expiration, null if none
+     * @returns {Object} Copy of the envelope with its signature in "m"
+     */
+    function signEnvelope(key, envelope, expiration) {
+      return signEnvelopeWith(signer, namespaceFinal, key, envelope, expiration);
+    }
+    
+    /**
+     * Reads a stored envelope without checking its expiration
+     * @param {string} namespacedKey - The namespaced key
+     * @returns {any} The stored envelope, or null if missing or unreadable
+     */
+    function readStored(namespacedKey) {
+      try {
+        return jsonDecode(storage.getItem(namespacedKey));
+      } catch (e) {
+        return null;
+      }
+    }
+    
+    /**
+     * Checks the signature of an entry. Always passes without options.integrity;
+     * with it, unsigned entries fail like tampered ones. The signature is
+     * computed synchronously (see hmac.js) so that get() on a registry without
+     * a secret keeps returning plain values.
+     * @param {string} key - The original key
+     * @param {string} namespacedKey - The namespaced key
+     * @param {any} stored - Stored envelope
+     * @returns {boolean} True if the entry is intact
+     */
+    function verifyEntry(key, namespacedKey, stored) {
+      if (signer === null) {
+        return true;
+      }
+      if (stored === null || typeof stored !== 'object' || typeof stored.m !== 'string') {
+        return false;
+      }
+      return signaturesMatch(signEnvelope(key, stored, storage.getItem(createExpirationKey(namespacedKey))).m, stored.m);
+    }
+    
+    /**
+     * Checks that a key holds a live value that passes the integrity check.
+     * Unlike get(), entries failing the check are left as they are.
+     * @param {string} key - The original key
+     * @param {string} namespacedKey - The namespaced key
+     * @returns {boolean} True if the value is live and intact
+     */
+    function isLive(key, namespacedKey) {
+      return hasValue(namespacedKey, storage) && (signer === null || verifyEntry(key, namespacedKey, readStored(namespacedKey)));
+    }
+    
+    /**
+     * Handles an entry failing verifyEntry() on read. Signed entries were
+     * tampered with and are removed. Unsigned ones were written before
+     * options.integrity was set and are kept, so they can still be migrated.
+     * @param {string} key - The original key
+     * @param {string} namespacedKey - The namespaced key
+     * @param {any} stored - Stored envelope
+     * @returns {null|Promise<null>} Null, a Promise with a secret
+     */
+    function rejectEntry(key, namespacedKey, stored) {
+      if (stored !== null && typeof stored === 'object' && typeof stored.m === 'string') {
+        removeValue(namespacedKey, storage);
+        recheckUsage();
+      }
+      notify('integrity', key, null);
+      if (strict) {
+        return fail(new RegistryIntegrityError(key));
+      }
+      return cryptoKey !== null ? Promise.resolve(null) : null;
+    }
+    
+    /**
+     * Signs the stored entry of a key again, after its value or expiration
+     * was written
+     * @param {string} key - The original key
+     * @param {string} namespacedKey - The namespaced key
+     */
+    function signEntry(key, namespacedKey) {
+      const stored = readStored(namespacedKey);
+      if (signer === null || stored === null || typeof stored !== 'object') {
+        return;
+      }
+      storage.setItem(namespacedKey, jsonEncode(signEnvelope(key, stored, storage.getItem(createExpirationKey(namespacedKey)))));
+    }
+    
+    /**
+     * Changes the expiration of an entry, signing it again if it was intact.
+     * Tampered entries are left as they are, so they still fail when read.
+     * @param {string} key - The original key
+     * @param {string} namespacedKey - The namespaced key
+     * @param {Function} change - Writes the new expiration
+     */
+    function changeExpiration(key, namespacedKey, change) {
+      const intact = signer !== null && verifyEntry(key, namespacedKey, readStored(namespacedKey));
+      change();
+      if (intact) {
+        signEntry(key, namespacedKey);
+      }
+    }
+    
+    /**
+     * Wraps an encrypted value in an envelope, keeping the creation time and
+     * TTL of the value it replaces
+     * @param {string} key - The original key
+     * @param {string} data - Encrypted value
+     * @param {string} cipher - Cipher id that encrypted the value
+     * @param {number} [expires] - Optional expiration time in seconds
+     * @param {Object} [format] - Encoding and compression of the value
+     * @returns {Object} Envelope to store
+     */
+    function wrapValue(key, data, cipher, expires, format) {
+      let previous = null;
+      try {
+        previous = parseEnvelope(getValue(namespacedKeyOf(key), storage, () => null));
+      } catch (e) {
+        // An unreadable value is replaced like any other
+      }
+      return createEnvelope(data, cipher, previous, expires, format);
+    }
+    
+    /**
+     * Encodes and encrypts a value with the cipher of this registry
+     * @param {string} key - The original key
+     * @param {any} value - The value
+     * @param {CryptoKey|null} k - Imported secret, null without one
+     * @param {number} [expires] - Optional expiration time in seconds
+     * @param {boolean|number} [compression] - Compression of this write,
+     *   defaults to options.compress
+     * @returns {Object|Promise<Object>} Envelope to store, a Promise with a secret
+     */
+    function encodeEntry(key, value, k, expires, compression) {
+      const encoded = encodeValue(value, typeof compression === 'undefined' ? options.compress : compression);
+      const format = { encoding: ENCODING_BASE64, compression: encoded.compression };
+      if (k === null) {
+        return wrapValue(key, encryptBytes(encoded.bytes, key), CIPHER_SHIFT, expires, format);
+      }
+      format.keyId = currentKeyId;
+      return sealBytes(encoded.bytes, k, jsonEncode([namespaceFinal, key])).then(data => wrapValue(key, data, CIPHER_AES_GCM, expires, format));
+    }
+    
+    /**
+     * Decrypts the value of an envelope with the cipher and encoding that
+     * wrote it. The cipher of legacy values without a cipher id is told from
+     * their data.
+     * @param {string} key - The original key
+     * @param {Object} envelope - Envelope returned by parseEnvelope()
+     * @param {CryptoKey|null} k - Imported secret, null without one
+     * @returns {any} The value, a Promise for sealed values
+     */
+    function decodeEntry(key, envelope, k) {
+      const cipher = envelope.cipher !== null ? envelope.cipher : detectCipher(envelope.data);
+      const encoding = envelope.encoding !== null ? envelope.encoding : (cipher === CIPHER_SHIFT ? ENCODING_CODES : ENCODING_BASE64);
+      if (encoding !== ENCODING_CODES && encoding !== ENCODING_BASE64) {
+        throw new RegistryError('Unknown encoding: ' + encoding);
+      }
+      
+      if (cipher === CIPHER_SHIFT) {
+        try {
+          if (encoding === ENCODING_CODES) {
+            return decryptCodes(envelope.data, key);
+          }
+          return decodeValue(decryptBytes(envelope.data, key), envelope.compression);
+        } catch (e) {
+          return unreadable(key, 'Error decrypting value:', e);
+        }
+      }
+      if (cipher === CIPHER_AES_GCM) {
+        if (k === null) {
+          throw new RegistryDecryptionError('A secret is required to read ' + key);
+        }
+        return openSealed(key, envelope, k).then(bytes => decodeValue(bytes, envelope.compression));
+      }
+      throw new RegistryError('Unknown cipher: ' + cipher);
+    }
+    
+    /**
+     * Opens a sealed value with the secret whose id it recorded. Values
+     * sealed before ids were recorded are tried with every known secret.
+     * Sealed values are bound to this namespace, see openBound().
+     * @param {string} key - The original key
+     * @param {Object} envelope - Envelope returned by parseEnvelope()
+     * @param {CryptoKey} k - Current key
+     * @returns {Promise<Uint8Array>} The decrypted bytes
+     */
+    function openSealed(key, envelope, k) {
+      return openRecorded(envelope.keyId, k, sealKey => openBound(envelope.data, sealKey, namespaceFinal, key));
+    }
+    
+    /**
+     * Opens data with the secret whose id it recorded, or with every known
+     * secret if it recorded none, see openSealed()
+     * @param {string|null} keyId - Id of the secret the data was sealed with
+     * @param {CryptoKey} k - Current key
+     * @param {Function} openWith - Takes a key, returns a Promise of the data
+     * @returns {Promise} The opened data
+     */
+    function openRecorded(keyId, k, openWith) {
+      const recorded = keyId !== null ? keyring.find(entry => entry.id === keyId) : undefined;
+      if (typeof recorded !== 'undefined') {
+        return recorded.key.then(openWith);
+      }
+      
+      let opened = openWith(k);
+      if (keyId === null) {
+        keyring.forEach(entry => {
+          opened = opened.catch(e => entry.key.then(openWith).catch(() => {
+            throw e;
+          }));
+        });
+      }
+      return opened;
+    }
+    
+    // Migration of sealed values waiting for the key, see migrateSealed()
+    let dueMigration = null;
+    
+    /**
+     * Migrates sealed values once the key is available. Sealing and opening
+     * wait for the migration through the returned key. A failed migration
+     * rejects the operations waiting for it; later ones use the key again on
+     * the old values, and the next unlock() tries the migration again.
+     * @param {Promise<CryptoKey>} keyPromise - The key
+     * @returns {Promise<CryptoKey>} The key, resolved once values are migrated
+     */
+    function migrateSealed(keyPromise) {
+      const migrationOptions = dueMigration;
+      const migrated = keyPromise.then(k => readNames(k).then(() => migrateNamespace(Object.assign(migrationOptions, {
+        decode: (key, storedValue) => Promise.resolve()
+          .then(() => decodeEntry(key, parseEnvelope(storedValue), k))
+          .catch(() => null),
+        encode: (key, value) => indexKeys([key], k)
+          .then(() => encodeEntry(key, value, k))
+          .then(envelope => signMigrated(key, envelope))
+      }))).then(() => {
+        pendingMigration = null;
+        dueMigration = null;
+        return k;
+      }));
+      pendingMigration = migrated;
+      migrated.catch(() => {
+        if (pendingMigration === migrated) {
+          pendingMigration = null;
+        }
+        if (cryptoKey === migrated) {
+          cryptoKey = keyPromise;
+        }
+      });
+      return migrated;
+    }
+    
+    /**
+     * Signs an envelope rewritten by a migration, which keeps the expiration
+     * of the value
+     * @param {string} key - The original key
+     * @param {Object} envelope - Envelope to store
+     * @returns {Object} The envelope, signed with options.integrity
+     */
+    function signMigrated(key, envelope) {
+      if (signer === null) {
+        return envelope;
+      }
+      return signEnvelope(key, envelope, storage.getItem(createExpirationKey(namespacedKeyOf(key))));
+    }
+    
+    // Schema version, stored values written by older versions are migrated once
+    const version = typeof options.version === 'undefined' ? null : options.version;
+    const downgrade = options.downgrade || 'error';
+    if (version !== null && !(Number.isInteger(version) && version >= 0)) {
+      throw new Error('Invalid schema version: ' + version);
+    }
+    if (DOWNGRADE_STRATEGIES.indexOf(downgrade) === -1) {
+      throw new Error('Unknown downgrade strategy: ' + downgrade);
+    }
+    if (version !== null) {
+      // Values written before versioning count as version 0, a new namespace starts at the current version
+      const storedVersion = getSchemaVersion(namespaceFinal, storage);
+      const from = storedVersion !== null ? storedVersion
+        : (getNamespaceKeys(namespaceFinal, storage).length > 0 ? 0 : version);
+      const migrationOptions = {
+        namespace: namespaceFinal,
+        storage: storage,
+        from: from,
+        to: version,
+        migrations: options.migrations || [],
+        nameOf: keyNameOf,
+        storedKeyOf: storedKeyOf,
+        onError: (key, e) => reportUnreadable(key, 'Error parsing stored value:', e)
+      };
+      
+      if (from > version) {
+        if (downgrade === 'error') {
+          throw new RegistryVersionError(from, version);
+        }
+        if (downgrade === 'empty') {
+          emptyNamespace(namespaceFinal, storage);
+          setSchemaVersion(namespaceFinal, version, storage);
+        }
+      } else if (from === version) {
+        if (storedVersion === null) {
+          setSchemaVersion(namespaceFinal, version, storage);
+        }
+      } else if (cryptoKey === null) {
+        // Values that cannot be decrypted are handed to migrations as null, like get() returns them
+        migrateNamespace(Object.assign(migrationOptions, {
+          decode: (key, storedValue) => {
+            try {
+              return decodeEntry(key, parseEnvelope(storedValue), null);
+            } catch (e) {
+              return null;
+            }
+          },
+          encode: (key, value) => signMigrated(key, encodeEntry(key, value, null))
+        }));
+      } else {
+        // Sealed values are migrated once the secret is imported, or once a
+        // passphrase protected registry is unlocked
+        dueMigration = migrationOptions;
+        if (passphrase === null) {
+          cryptoKey = migrateSealed(cryptoKey);
+        }
+      }
+    }
+    
+    // Handlers of change events, and the connection to other tabs once one is added
+    const emitter = createEmitter(e => reportError('Error in registry event handler:', e));
+    let stopListening = null;
+    
+    // Background sweep timer, see options.sweepInterval
+    let sweepTimer = null;
+    
+    // Running getOrSet() factories by key, concurrent calls share them
+    const inFlight = new Map();
+    
+    // Eviction policy, values are evicted when limits or the storage quota are hit
+    const policy = options.policy ? Object.assign({ evict: 'lru' }, options.policy) : null;
+    if (policy !== null && EVICTION_STRATEGIES.indexOf(policy.evict) === -1) {
+      throw new Error('Unknown eviction strategy: ' + policy.evict);
+    }
+    const accessLog = policy !== null ? createAccessLog(namespaceFinal, storage) : null;
+    
+    // Usage warnings, a "quota" event is emitted when a write brings the
+    // namespace above warnAt of its budget
+    const warnAt = typeof options.warnAt === 'number' ? options.warnAt : null;
+    if (warnAt !== null && (warnAt <= 0 || warnAt > 1)) {
+      throw new Error('warnAt must be between 0 and 1');
+    }
+    let budget = null;
+    if (typeof options.budget === 'number') {
+      budget = options.budget;
+    } else if (policy !== null && typeof policy.maxBytes === 'number') {
+      budget = policy.maxBytes;
+    } else if (warnAt !== null) {
+      budget = DEFAULT_BUDGET;
+    }
+    
+    // Running totals of the namespace, so writes do not measure it every time
+    const usageTally = policy !== null || warnAt !== null ? getUsageTally(namespaceFinal, baseStorage) : null;
+    
+    // Whether the namespace was last seen above the warning threshold, the
+    // event is only emitted again once usage went back below it
+    let overThreshold = false;
+    
+    /**
+     * Emits a "quota" event when a write brought the namespace above the
+     * warning threshold
+     * @param {string} key - Key just written
+     */
+    function checkUsage(key) {
+      if (warnAt === null) {
+        return;
+      }
+      
+      const bytes = usageTally.bytes();
+      const over = bytes >= budget * warnAt;
+      if (over && !overThreshold) {
+        emitter.emit('quota', {
+          type: 'quota',
+          key: key,
+          value: { bytes: bytes, budget: budget, ratio: bytes / budget },
+          remote: false
+        });
+      }
+      overThreshold = over;
+    }
+    
+    /**
+     * Notes that removals brought the namespace back below the warning
+     * threshold, so the next write above it emits a "quota" event again
+     */
+    function recheckUsage() {
+      if (warnAt !== null && overThreshold) {
+        overThreshold = usageTally.bytes() >= budget * warnAt;
+      }
+    }
+    
+    /**
+     * Lists the values of the namespace in the order they should be evicted
+     * @param {string} excludeKey - Key being written, never evicted
+     * @returns {string[]} Keys, first to evict first
+     */
+    function getEvictionOrder(excludeKey) {
+      const log = accessLog.read();
+      const candidates = listKeys()
+        .filter(key => key !== excludeKey)
+        .map(key => ({
+          key: key,
+          createdAt: log[storedKeyOf(key)] ? log[storedKeyOf(key)][0] : 0,
+          accessedAt: log[storedKeyOf(key)] ? log[storedKeyOf(key)][1] : 0,
+          expires: getExpiration(namespacedKeyOf(key), storage)
+        }));
+      return rankForEviction(candidates, policy.evict);
+    }
+    
+    // Values evicted by the transaction being committed, with their stored
+    // entries, reported once it succeeds and restored if it fails
+    let deferredEvictions = null;
+    
+    /**
+     * Evicts a value and reports it. During a transaction the stored entry is
+     * kept for the rollback and the eviction is reported after the commit.
+     * @param {string} key - The key to evict
+     */
+    function evict(key) {
+      const namespacedKey = namespacedKeyOf(key);
+      if (deferredEvictions !== null) {
+        const expirationKey = createExpirationKey(namespacedKey);
+        deferredEvictions.push({
+          key: key,
+          entries: [[namespacedKey, storage.getItem(namespacedKey)], [expirationKey, storage.getItem(expirationKey)]]
+        });
+        removeValue(namespacedKey, storage);
+        recheckUsage();
+        return;
+      }
+      removeValue(namespacedKey, storage);
+      recheckUsage();
+      reportEviction(key);
+    }
+    
+    /**
+     * Reports an evicted value and removes it from the bookkeeping
+     * @param {string} key - The evicted key
+     */
+    function reportEviction(key) {
+      forgetKeys([key]);
+      notify('evict', key, null);
+      if (typeof policy.onEvict === 'function') {
+        policy.onEvict(key);
+      }
+    }
+    
+    /**
+     * Evicts values until a new value fits in the policy limits. The tally
+     * also counts expired values, so the namespace is only listed when a
+     * limit may be reached.
+     * @param {string} key - Key being written
+     * @param {number} bytes - Bytes the new value will take
+     * @returns {string[]|null} Remaining keys in eviction order, null if the
+     *   namespace was not listed
+     */
+    function makeRoom(key, bytes) {
+      // The value being replaced does not count
+      const namespacedKey = namespacedKeyOf(key);
+      const replaced = usageTally.size(namespacedKey);
+      const others = usageTally.entries() - (replaced > 0 ? 1 : 0);
+      const othersBytes = usageTally.bytes() - replaced - usageTally.size(createExpirationKey(namespacedKey));
+      const overEntries = typeof policy.maxEntries === 'number' && others >= policy.maxEntries;
+      const overBytes = typeof policy.maxBytes === 'number' && othersBytes + bytes > policy.maxBytes;
+      if (!overEntries && !overBytes) {
+        return null;
+      }
+      
+      const order = getEvictionOrder(key);
+      const count = order.length;
+      
+      if (typeof policy.maxEntries === 'number') {
+        while (order.length >= policy.maxEntries && order.length > 0) {
+          evict(order.shift());
+        }
+      }
+      
+      if (typeof policy.maxBytes === 'number') {
+        const sizes = getEntrySizes(namespaceFinal, storage);
+        const sizeOf = k => sizes[storedKeyOf(k)] || 0;
+        let total = order.reduce((sum, k) => sum + sizeOf(k), 0) + bytes;
+        while (total > policy.maxBytes && order.length > 0) {
+          const victim = order.shift();
+          total -= sizeOf(victim);
+          evict(victim);
+        }
+      }
+      
+      // Nothing was evicted, the tally counted expired values or missed
+      // changes: measure the namespace again next time
+      if (order.length === count) {
+        usageTally.reset();
+      }
+      return order;
+    }
+    
+    /**
+     * Types the quota error of a write that did not fit, in strict mode
+     * @param {string} key - Key being written
+     * @param {Error} error - The error of the write
+     * @returns {Error} A RegistryQuotaError in strict mode, else the error
+     */
+    function quotaError(key, error) {
+      return strict && isQuotaError(error) ? new RegistryQuotaError(key, error) : error;
+    }
+    
+    /**
+     * Writes an encrypted value, applying the eviction policy. When the
+     * storage quota is exceeded, values are evicted one by one and the write
+     * is retried until it fits or nothing is left to evict.
+     * @param {string} key - The original key
+     * @param {string} namespacedKey - The namespaced key
+     * @param {any} storedValue - Encrypted value
+     * @param {number} [expires] - Optional expiration time in seconds
+     * @param {Object} [setOptions] - Options passed to set()
+     */
+    function writeValue(key, namespacedKey, storedValue, expires, setOptions = {}) {
+      const sliding = setOptions.sliding;
+      const staleWindow = setOptions.staleWhileRevalidate;
+      if (policy === null) {
+        try {
+          setValue(namespacedKey, storedValue, expires, storage, sliding, staleWindow);
+        } catch (e) {
+          throw quotaError(key, e);
+        }
+        signEntry(key, namespacedKey);
+        checkUsage(key);
+        return;
+      }
+      
+      const bytes = (namespacedKey.length + jsonEncode(storedValue).length) * 2;
+      let order = makeRoom(key, bytes);
+      
+      for (;;) {
+        try {
+          setValue(namespacedKey, storedValue, expires, storage, sliding, staleWindow);
+          break;
+        } catch (e) {
+          if (isQuotaError(e) && order === null) {
+            order = getEvictionOrder(key);
+          }
+          if (!isQuotaError(e) || order.length === 0) {
+            throw quotaError(key, e);
+          }
+          evict(order.shift());
+        }
+      }
+      
+      accessLog.touch(storedKeyOf(key), true);
+      signEntry(key, namespacedKey);
+      checkUsage(key);
+    }
+    
+    /**
+     * Emits an event for a local change and tells the other tabs about it
+     * @param {string} type - Event type
+     * @param {string|null} key - Affected key, null when the namespace was emptied
+     * @param {any} value - New value, null for removals
+     */
+    function notify(type, key, value) {
+      emitter.emit(type, { type: type, key: key, value: value, remote: false });
+      broadcast(namespaceFinal, storage, { type: type, key: key === null ? null : storedKeyOf(key) });
+    }
+    
+    /**
+     * Emits events for changes committed together, and tells the other tabs
+     * about all of them in a single message
+     * @param {Object[]} changes - Changes with type, key and value
+     */
+    function notifyBatch(changes) {
+      changes.forEach(change => {
+        emitter.emit(change.type, { type: change.type, key: change.key, value: change.value, remote: false });
+      });
+      if (changes.length > 0) {
+        broadcast(namespaceFinal, storage, {
+          type: 'batch',
+          changes: changes.map(change => ({ type: change.type, key: storedKeyOf(change.key) }))
+        });
+      }
+    }
+    
+    /**
+     * Emits an event for a change made by another tab. The new value is read
+     * back through get(), so it is decrypted like any local read.
+     * @param {Object} message - Message with type and key, or a batch of changes
+     */
+    function onRemoteChange(message) {
+      if (message.type === 'batch') {
+        message.changes.forEach(onRemoteChange);
+        return;
+      }
+      
+      // Keys are sent as stored, hidden key names are found in the index,
+      // which the other tab may have just changed
+      if (keyIndex !== null && message.key !== null) {
+        cryptoKey.then(readNames).then(() => emitRemoteChange(message), e => reportError('Error reading changed value:', e));
+        return;
+      }
+      emitRemoteChange(message);
+    }
+    
+    /**
+     * Emits the event of a change made by another tab, see onRemoteChange()
+     * @param {Object} message - Message with type and key
+     */
+    function emitRemoteChange(message) {
+      const key = message.key === null ? null : keyNameOf(message.key);
+      if (message.key !== null && key === null) {
+        return;
+      }
+      
+      const emit = value => emitter.emit(message.type, { type: message.type, key: key, value: value, remote: true });
+      
+      if (message.type !== 'change') {
+        emit(null);
+        return;
+      }
+      
+      let value;
+      try {
+        value = self.get(key);
+      } catch (e) {
+        reportError('Error reading changed value:', e);
+        return;
+      }
+      if (value !== null && typeof value.then === 'function') {
+        value.then(emit, e => reportError('Error reading changed value:', e));
+      } else {
+        emit(value);
+      }
+    }
+    
+    /**
+     * Sets a value in the registry
+     * @param {string} key - The key to store the value under
+     * @param {any} value - The value to store
+     * @param {number} [expires] - Optional expiration time in seconds
+     * @param {Object} [setOptions] - Optional settings
+     * @param {boolean} [setOptions.sliding] - Push the expiration forward by
+     *   expires seconds every time the value is read
+     * @param {number} [setOptions.staleWhileRevalidate] - Seconds to keep the
+     *   value after it expired, for getOrSet() to serve while refreshing it
+     * @param {boolean|number} [setOptions.compress] - Compress the value,
+     *   overriding options.compress
+     * @returns {Promise<void>|undefined} A Promise when a secret is configured
+     */
+    this.set = function(key, value, expires, setOptions = {}) {
+      // Create namespaced key
+      const namespacedKey = namespacedKeyOf(key);
+      
+      // Seal the value with the secret, bound to the key name
+      if (cryptoKey !== null) {
+        return cryptoKey
+          .then(k => indexKeys([key], k).then(() => encodeEntry(key, value, k, expires, setOptions.compress)))
+          .then(envelope => {
+            writeValue(key, namespacedKey, envelope, expires, setOptions);
+            notify('change', key, value === undefined ? null : value);
+          });
+      }
+      
+      // Encrypt the value (handles null/undefined internally)
+      const envelope = encodeEntry(key, value, null, expires, setOptions.compress);
+      
+      // Store the value
+      writeValue(key, namespacedKey, envelope, expires, setOptions);
+      notify('change', key, value === undefined ? null : value);
+    };
+    
+    /**
+     * Gets a value from the registry
+     * @param {string} key - The key to retrieve
+     * @returns {any} The stored value or null if not found/expired. A Promise
+     *   when a secret is configured, rejected with RegistryDecryptionError if
+     *   the stored value was tampered with or sealed with another secret, or
+     *   with RegistryLockedError while a passphrase protected registry is locked.
+     */
+    this.get = function(key) {
+      // Locked registries reject even for missing keys
+      if (locked) {
+        return rejectLocked();
+      }
+      
+      // Read the migrated value, not the one being migrated
+      if (pendingMigration !== null) {
+        return pendingMigration.then(() => self.get(key));
+      }
+      
+      // Create namespaced key
+      const namespacedKey = namespacedKeyOf(key);
+      
+      // Get the stored envelope, expired values are removed on the way
+      const existed = isExpired(namespacedKey, storage) && storage.getItem(namespacedKey) !== null;
+      let storedValue;
+      try {
+        storedValue = getValue(namespacedKey, storage, e => unreadable(key, 'Error parsing stored value:', e));
+      } catch (e) {
+        return fail(e);
+      }
+      if (existed && storage.getItem(namespacedKey) === null) {
+        recheckUsage();
+        notify('expire', key, null);
+      }
+      
+      // Entries failing the integrity check read as missing
+      if (storedValue !== null && !verifyEntry(key, namespacedKey, storedValue)) {
+        return rejectEntry(key, namespacedKey, storedValue);
+      }
+      
+      // Reads count as use for the least recently used strategy
+      if (storedValue !== null && policy !== null && policy.evict === 'lru') {
+        accessLog.touch(storedKeyOf(key), false);
+      }
+      
+      // Reads push sliding expirations forward
+      const slidingWindow = storedValue !== null ? getSlidingWindow(namespacedKey, storage) : null;
+      if (slidingWindow !== null) {
+        setExpiration(namespacedKey, getExpirationTime(slidingWindow), storage, slidingWindow, getStaleWindow(namespacedKey, storage));
+        signEntry(key, namespacedKey);
+      }
+      
+      // Open the sealed value with the secret
+      if (cryptoKey !== null) {
+        if (storedValue === null) {
+          return Promise.resolve(null);
+        }
+        return cryptoKey.then(k => decodeEntry(key, parseEnvelope(storedValue), k)).catch(e => {
+          throw strict ? corrupt(key, e) : e;
+        });
+      }
+      
+      // Return null if no value found
+      if (storedValue === null) {
+        return null;
+      }
+      
+      try {
+        // Decrypt the value - this will handle JSON parsing internally
+        return decodeEntry(key, parseEnvelope(storedValue), null);
+      } catch (e) {
+        return unreadable(key, 'Error decrypting value:', e);
+      }
+    };
+    
+    /**
+     * Removes a value from the registry
+     * @param {string} key - The key to remove
+     */
+    this.remove = function(key) {
+      // Create namespaced key
+      const namespacedKey = namespacedKeyOf(key);
+      
+      // Remove the value
+      const existed = storage.getItem(namespacedKey) !== null;
+      removeValue(namespacedKey, storage);
+      forgetKeys([key]);
+      if (existed) {
+        recheckUsage();
+        notify('remove', key, null);
+      }
+    };
+    
+    /**
+     * Returns how long a value has left before it expires
+     * @param {string} key - The key to check
+     * @returns {number|null} Seconds left, Infinity if the value does not
+     *   expire, or null if there is no live value or it fails the integrity check
+     */
+    this.ttl = function(key) {
+      const namespacedKey = namespacedKeyOf(key);
+      if (!isLive(key, namespacedKey)) {
+        return null;
+      }
+      
+      const expires = getExpiration(namespacedKey, storage);
+      if (expires === null) {
+        return Infinity;
+      }
+      return Math.max(0, expires - Math.floor(Date.now() / 1000));
+    };
+    
+    /**
+     * Describes how and when a value was written
+     * @param {string} key - The key to describe
+     * @returns {Object|null} Object with format (envelope version, 0 for legacy
+     *   values), cipher, keyId (id of the secret that sealed the value),
+     *   encoding and compression (null if not recorded or not compressed), createdAt, updatedAt and expiresAt (milliseconds since
+     *   the epoch, null if unknown or not expiring) and ttl (seconds the value
+     *   was set to live for), or null if there is no live value or it fails
+     *   the integrity check
+     */
+    this.meta = function(key) {
+      const namespacedKey = namespacedKeyOf(key);
+      if (!isLive(key, namespacedKey)) {
+        return null;
+      }
+      
+      let envelope;
+      try {
+        envelope = parseEnvelope(getValue(namespacedKey, storage, e => unreadable(key, 'Error parsing stored value:', e)));
+      } catch (e) {
+        return unreadable(key, 'Error reading value metadata:', e);
+      }
+      
+      const expires = getExpiration(namespacedKey, storage);
+      return {
+        format: envelope.version,
+        cipher: envelope.cipher,
+        keyId: envelope.keyId,
+        encoding: envelope.encoding,
+        compression: envelope.compression,
+        createdAt: envelope.createdAt,
+        updatedAt: envelope.updatedAt,
+        expiresAt: expires === null ? null : expires * 1000,
+        ttl: envelope.ttl
+      };
+    };
     
     /**
-     * Sets a value in the registry
-     * @param {string} key - The key to store the value under
-     * @param {any} value - The value to store
-     * @param {number} [expires] - Optional expiration time in seconds
+     * Makes a value expire at a point in time
+     * @param {string} key - The key to update
+     * @param {Date|number} date - Expiration date, or milliseconds since the epoch
+     * @returns {boolean} True if there was a live value to update
      */
-    this.set = function(key, value, expires) {
-      // Create namespaced key
-      const namespacedKey = createNamespacedKey(key, namespaceFinal);
+    this.expireAt = function(key, date) {
+      const namespacedKey = namespacedKeyOf(key);
+      if (!hasValue(namespacedKey, storage)) {
+        return false;
+      }
       
-      // Encrypt the value (handles null/undefined internally)
-      const encryptedValue = encrypt(value, key);
+      const time = date instanceof Date ? date.getTime() : date;
+      changeExpiration(key, namespacedKey, () => setExpiration(namespacedKey, Math.floor(time / 1000), storage));
+      return true;
+    };
+    
+    /**
+     * Makes a value expire a number of seconds from now
+     * @param {string} key - The key to update
+     * @param {number} [seconds] - Seconds from now, defaults to the sliding
+     *   window of the value
+     * @returns {boolean} True if there was a live value to update
+     */
+    this.touch = function(key, seconds) {
+      const namespacedKey = namespacedKeyOf(key);
+      if (!hasValue(namespacedKey, storage)) {
+        return false;
+      }
       
-      // Store the value
-      setValue(namespacedKey, encryptedValue, expires);
+      const slidingWindow = getSlidingWindow(namespacedKey, storage);
+      const extension = typeof seconds === 'number' ? seconds : slidingWindow;
+      if (extension === null) {
+        return true;
+      }
+      changeExpiration(key, namespacedKey, () => {
+        setExpiration(namespacedKey, getExpirationTime(extension), storage, slidingWindow === null ? undefined : slidingWindow, getStaleWindow(namespacedKey, storage));
+      });
+      return true;
     };
     
     /**
-     * Gets a value from the registry
+     * Removes the expiration of a value, it is then kept until removed
+     * @param {string} key - The key to update
+     * @returns {boolean} True if there was a live value to update
+     */
+    this.persist = function(key) {
+      const namespacedKey = namespacedKeyOf(key);
+      if (!hasValue(namespacedKey, storage)) {
+        return false;
+      }
+      
+      changeExpiration(key, namespacedKey, () => removeExpiration(namespacedKey, storage));
+      return true;
+    };
+    
+    /**
+     * Replaces a value with the result of a function of it. The value keeps
+     * its expiration, and concurrent updates of the key, from this page or
+     * other tabs, run one after the other.
+     * @param {string} key - The key to update
+     * @param {Function} fn - Called with the current value (null if there is
+     *   none), returns the new value or a Promise of it
+     * @returns {Promise<any>} Resolves with the new value
+     */
+    this.update = function(key, fn) {
+      const lockName = namespacedKeyOf(key);
+      const mutexKey = createMetaKey(namespaceFinal, 'lock:' + storedKeyOf(key));
+      
+      return withLock(lockName, mutexKey, storage, () => Promise.resolve(self.get(key))
+        .then(current => fn(current))
+        .then(next => Promise.resolve(self.set(key, next)).then(() => (next === undefined ? null : next))));
+    };
+    
+    /**
+     * Adds to a number, see update()
+     * @param {string} key - The key to update
+     * @param {number} [by] - Amount to add, defaults to 1
+     * @returns {Promise<number>} Resolves with the new number
+     */
+    this.increment = function(key, by = 1) {
+      return self.update(key, current => {
+        if (current !== null && typeof current !== 'number') {
+          throw new TypeError('Cannot increment ' + key + ', it is not a number');
+        }
+        return (current === null ? 0 : current) + by;
+      });
+    };
+    
+    /**
+     * Appends an item to an array, see update()
+     * @param {string} key - The key to update
+     * @param {any} item - Item to append
+     * @returns {Promise<Array>} Resolves with the new array
+     */
+    this.push = function(key, item) {
+      return self.update(key, current => {
+        if (current !== null && !Array.isArray(current)) {
+          throw new TypeError('Cannot push to ' + key + ', it is not an array');
+        }
+        return (current === null ? [] : current).concat([item]);
+      });
+    };
+    
+    /**
+     * Deeply merges properties into an object, see update(). Nested objects
+     * are merged, arrays and other values are replaced.
+     * @param {string} key - The key to update
+     * @param {Object} partial - Properties to merge
+     * @returns {Promise<Object>} Resolves with the merged object
+     */
+    this.merge = function(key, partial) {
+      return self.update(key, current => {
+        if (current !== null && !isPlainObject(current)) {
+          throw new TypeError('Cannot merge into ' + key + ', it is not an object');
+        }
+        return deepMerge(current === null ? {} : current, partial);
+      });
+    };
+    
+    /**
+     * Returns the stored value of a key, or creates, stores and returns it.
+     * Concurrent calls for a key that is not stored share one factory call.
      * @param {string} key - The key to retrieve
-     * @returns {any} The stored value or null if not found/expired
+     * @param {Function} factory - Called with the key when there is no live
+     *   value, returns the value or a Promise of it
+     * @param {number} [ttl] - Expiration time in seconds of created values
+     * @param {Object} [getOptions] - Optional settings
+     * @param {number} [getOptions.staleWhileRevalidate] - Seconds an expired
+     *   value is still returned while a fresh one is created in the background
+     * @returns {Promise<any>} Resolves with the stored or created value
      */
-    this.get = function(key) {
-      // Create namespaced key
-      const namespacedKey = createNamespacedKey(key, namespaceFinal);
+    this.getOrSet = function(key, factory, ttl, getOptions = {}) {
+      const staleWindow = getOptions.staleWhileRevalidate;
       
-      // Get the encrypted value
-      const encryptedValue = getValue(namespacedKey);
+      /**
+       * Calls the factory and stores its value, once at a time per key
+       * @returns {Promise<any>} Resolves with the created value
+       */
+      function refresh() {
+        if (!inFlight.has(key)) {
+          const creating = Promise.resolve()
+            .then(() => factory(key))
+            .then(value => Promise.resolve(self.set(key, value, ttl, { staleWhileRevalidate: staleWindow }))
+              .then(() => (value === undefined ? null : value)));
+          const done = () => inFlight.delete(key);
+          creating.then(done, done);
+          inFlight.set(key, creating);
+        }
+        return inFlight.get(key);
+      }
       
-      // Return null if no value found
-      if (encryptedValue === null) {
-        return null;
+      if (self.has(key)) {
+        return Promise.resolve(self.get(key));
       }
       
-      // Check for our special null marker
-      if (encryptedValue === "__NULL__") {
-        return null;
+      // Serve an expired value within its stale window, refresh it in the
+      // background. Stale values that cannot be read or fail the integrity
+      // check are replaced like missing ones.
+      const namespacedKey = namespacedKeyOf(key);
+      const staleValue = getStaleValue(namespacedKey, storage, () => null);
+      if (staleValue !== null && verifyEntry(key, namespacedKey, staleValue)) {
+        refresh().catch(e => reportError('Error refreshing stale value:', e));
+        return Promise.resolve(self.getStale(key));
+      }
+      
+      return refresh();
+    };
+    
+    /**
+     * Gets a value like get(), but also returns an expired value that is
+     * still within its stale window, see setOptions.staleWhileRevalidate
+     * @param {string} key - The key to retrieve
+     * @returns {any} The live or stale value, or null. A Promise when a
+     *   secret is configured.
+     */
+    this.getStale = function(key) {
+      if (locked) {
+        return rejectLocked();
+      }
+      if (self.has(key)) {
+        return self.get(key);
       }
       
+      const namespacedKey = namespacedKeyOf(key);
+      let staleValue;
       try {
-        // Decrypt the value - this will handle JSON parsing internally
-        return decrypt(encryptedValue, key);
+        staleValue = getStaleValue(namespacedKey, storage, e => unreadable(key, 'Error parsing stored value:', e));
       } catch (e) {
-        console.error('Error decrypting value:', e);
+        return fail(e);
+      }
+      if (staleValue !== null && !verifyEntry(key, namespacedKey, staleValue)) {
+        return rejectEntry(key, namespacedKey, staleValue);
+      }
+      if (cryptoKey !== null) {
+        if (staleValue === null) {
+          return Promise.resolve(null);
+        }
+        return cryptoKey.then(k => decodeEntry(key, parseEnvelope(staleValue), k)).catch(e => {
+          throw strict ? corrupt(key, e) : e;
+        });
+      }
+      
+      if (staleValue === null) {
         return null;
       }
+      
+      try {
+        return decodeEntry(key, parseEnvelope(staleValue), null);
+      } catch (e) {
+        return unreadable(key, 'Error decrypting value:', e);
+      }
     };
     
     /**
-     * Removes a value from the registry
-     * @param {string} key - The key to remove
+     * Writes several values together. The callback stages changes on a
+     * transaction object with set(), remove() and get(); they are written once
+     * it returns. If any write fails, the values written so far are restored
+     * and the error is thrown. Other tabs are told about all changes in a
+     * single message.
+     * @param {Function} fn - Called with the transaction, may return a Promise
+     * @returns {any} Result of fn. A Promise when a secret is configured or fn
+     *   returns one.
      */
-    this.remove = function(key) {
-      // Create namespaced key
-      const namespacedKey = createNamespacedKey(key, namespaceFinal);
+    this.transaction = function(fn) {
+      const staged = new Map();
+      const tx = {
+        set: function(key, value, expires, setOptions = {}) {
+          staged.set(key, { type: 'change', value: value === undefined ? null : value, expires: expires, setOptions: setOptions });
+        },
+        remove: function(key) {
+          staged.set(key, { type: 'remove', value: null });
+        },
+        get: function(key) {
+          if (!staged.has(key)) {
+            return self.get(key);
+          }
+          const value = staged.get(key).value;
+          return cryptoKey !== null ? Promise.resolve(value) : value;
+        }
+      };
       
-      // Remove the value
-      removeValue(namespacedKey);
+      const run = () => chain(fn(tx), result => {
+        const keys = Array.from(staged.keys());
+        
+        // Encrypt every value before anything is written
+        const encode = k => chainAll(keys.map(key => {
+          const change = staged.get(key);
+          if (change.type === 'remove') {
+            return null;
+          }
+          return encodeEntry(key, change.value, k, change.expires, change.setOptions.compress);
+        }));
+        
+        // Hidden key names are indexed before their values are written
+        const written = keys.filter(key => staged.get(key).type !== 'remove');
+        const encoded = cryptoKey !== null ? cryptoKey.then(k => indexKeys(written, k).then(() => encode(k))) : encode(null);
+        return chain(encoded, envelopes => {
+          commitTransaction(keys, staged, envelopes);
+          return result;
+        });
+      });
+      
+      // With a secret, failures of fn reject like any other operation
+      return cryptoKey !== null ? Promise.resolve().then(run) : run();
+    };
+    
+    /**
+     * Writes the staged changes of a transaction, restoring the previous
+     * items if a write fails
+     * @param {string[]} keys - Staged keys
+     * @param {Map} staged - Map of key to change
+     * @param {Array} envelopes - Envelopes of the written values, in key order
+     */
+    function commitTransaction(keys, staged, envelopes) {
+      const snapshot = [];
+      keys.forEach(key => {
+        const namespacedKey = namespacedKeyOf(key);
+        const expirationKey = createExpirationKey(namespacedKey);
+        snapshot.push([namespacedKey, storage.getItem(namespacedKey)], [expirationKey, storage.getItem(expirationKey)]);
+      });
+      // Writes update the access log
+      if (accessLog !== null) {
+        accessLog.flush();
+      }
+      const accessKey = createMetaKey(namespaceFinal, 'access');
+      snapshot.push([accessKey, storage.getItem(accessKey)]);
+      
+      const changes = [];
+      const evictions = [];
+      deferredEvictions = evictions;
+      try {
+        keys.forEach((key, i) => {
+          const change = staged.get(key);
+          const namespacedKey = namespacedKeyOf(key);
+          
+          if (change.type === 'change') {
+            writeValue(key, namespacedKey, envelopes[i], change.expires, change.setOptions);
+            changes.push({ type: 'change', key: key, value: change.value });
+          } else if (storage.getItem(namespacedKey) !== null) {
+            removeValue(namespacedKey, storage);
+            recheckUsage();
+            changes.push({ type: 'remove', key: key, value: null });
+          }
+        });
+      } catch (e) {
+        // Evicted values first, latest first, as a staged value may have been
+        // written and evicted again
+        const entries = evictions.slice().reverse().reduce((all, eviction) => all.concat(eviction.entries), []);
+        entries.concat(snapshot).forEach(([storageKey, value]) => {
+          if (value === null) {
+            storage.removeItem(storageKey);
+          } else {
+            storage.setItem(storageKey, value);
+          }
+        });
+        if (accessLog !== null) {
+          accessLog.discard();
+        }
+        throw e;
+      } finally {
+        deferredEvictions = null;
+      }
+      
+      // Evictions and removed keys are reported once nothing can be restored anymore
+      evictions.forEach(eviction => reportEviction(eviction.key));
+      forgetKeys(changes.filter(change => change.type === 'remove').map(change => change.key));
+      notifyBatch(changes);
+    }
+    
+    /**
+     * Sets several values in one transaction
+     * @param {Object|Array<Array>|Map} entries - Object of key to value, or [key, value] pairs
+     * @param {number} [expires] - Optional expiration time in seconds for all values
+     * @param {Object} [setOptions] - Optional settings, see set()
+     * @returns {Promise<void>|undefined} A Promise when a secret is configured
+     */
+    this.setMany = function(entries, expires, setOptions) {
+      const pairs = isPlainObject(entries) ? Object.entries(entries) : Array.from(entries);
+      return self.transaction(tx => {
+        pairs.forEach(([key, value]) => tx.set(key, value, expires, setOptions));
+      });
+    };
+    
+    /**
+     * Gets several values
+     * @param {string[]} keys - The keys to retrieve
+     * @returns {Object} Object of key to value, null for missing values. A
+     *   Promise when a secret is configured.
+     */
+    this.getMany = function(keys) {
+      return chain(chainAll(keys.map(key => self.get(key))), values => {
+        const result = {};
+        keys.forEach((key, i) => {
+          result[key] = values[i];
+        });
+        return result;
+      });
+    };
+    
+    /**
+     * Removes several values in one transaction
+     * @param {string[]} keys - The keys to remove
+     * @returns {Promise<void>|undefined} A Promise when a secret is configured
+     */
+    this.removeMany = function(keys) {
+      return self.transaction(tx => {
+        keys.forEach(key => tx.remove(key));
+      });
+    };
+    
+    /**
+     * Checks if a live value is stored under a key
+     * @param {string} key - The key to check
+     * @returns {boolean} True if the key exists, has not expired and passes
+     *   the integrity check
+     */
+    this.has = function(key) {
+      return isLive(key, namespacedKeyOf(key));
+    };
+    
+    /**
+     * Lists the keys of all live values in the current namespace
+     * @returns {string[]} Keys, without expired values and values failing
+     *   the integrity check. A Promise when key names are hidden, as the
+     *   index of their names is sealed.
+     */
+    this.keys = function() {
+      return keyIndex !== null ? withNames(listLiveKeys) : listLiveKeys();
+    };
+    
+    /**
+     * Lists the keys of all live values, see keys()
+     * @returns {string[]} Keys
+     */
+    function listLiveKeys() {
+      if (signer === null) {
+        return listKeys();
+      }
+      return listKeys().filter(key => verifyEntry(key, namespacedKeyOf(key), readStored(namespacedKeyOf(key))));
+    }
+    
+    /**
+     * Lists all live key/value pairs in the current namespace
+     * @returns {Array<Array>} [key, value] pairs. A Promise when a secret is configured.
+     */
+    this.entries = function() {
+      return chain(self.keys(), keys => {
+        if (cryptoKey !== null) {
+          return Promise.all(keys.map(key => self.get(key).then(value => [key, value])));
+        }
+        
+        return keys.map(key => [key, self.get(key)]);
+      });
+    };
+    
+    /**
+     * Lists all live values in the current namespace
+     * @returns {any[]} Values. A Promise when a secret is configured.
+     */
+    this.values = function() {
+      return chain(self.keys(), keys => {
+        if (cryptoKey !== null) {
+          return Promise.all(keys.map(key => self.get(key)));
+        }
+        
+        return keys.map(key => self.get(key));
+      });
+    };
+    
+    /**
+     * Measures the storage used by the current namespace. Expired values
+     * not swept yet are included, child registries are not.
+     * @returns {Object} Number of entries, total bytes, the budget (null
+     *   without one) and a map of key to its bytes, split into the value and
+     *   its expiration. A Promise when key names are hidden.
+     */
+    this.usage = function() {
+      return keyIndex !== null ? withNames(measureUsage) : measureUsage();
+    };
+    
+    /**
+     * Measures the storage used by the current namespace, see usage()
+     * @returns {Object} Usage of the namespace
+     */
+    function measureUsage() {
+      const entryUsage = getEntryUsage(namespaceFinal, storage);
+      const keys = {};
+      let bytes = 0;
+      Object.keys(entryUsage).forEach(storedKey => {
+        // Values missing from the index of hidden key names still take space
+        const key = keyNameOf(storedKey) || storedKey;
+        const entry = entryUsage[storedKey];
+        keys[key] = { bytes: entry.value + entry.expiration, value: entry.value, expiration: entry.expiration };
+        bytes += keys[key].bytes;
+      });
+      return { entries: Object.keys(keys).length, bytes: bytes, budget: budget, keys: keys };
+    }
+    
+    /**
+     * Counts the live values in the current namespace
+     * @returns {number} Number of values. A Promise when key names are hidden.
+     */
+    this.size = function() {
+      return chain(self.keys(), keys => keys.length);
     };
     
     /**
@@ -80,8 +2016,604 @@ class Registry {
      */
     this.empty = function() {
       // Empty the namespace
-      emptyNamespace(namespaceFinal);
+      emptyNamespace(namespaceFinal, storage);
+      if (accessLog !== null) {
+        accessLog.clear();
+      }
+      if (keyIndex !== null) {
+        keyIndex.clear();
+      }
+      recheckUsage();
+      notify('clear', null, null);
+      
+      // Empty the child namespaces too, other tabs get a "clear" for each of them
+      emptyDescendants(namespaceFinal, storage).forEach(descendant => {
+        broadcast(descendant, storage, { type: 'clear', key: null });
+      });
+      children.forEach(child => child[ANCESTOR_EMPTIED]());
+    };
+    
+    /**
+     * Emits "clear" on this registry and its children after an ancestor
+     * emptied their namespaces
+     */
+    this[ANCESTOR_EMPTIED] = function() {
+      recheckUsage();
+      emitter.emit('clear', { type: 'clear', key: null, value: null, remote: false });
+      children.forEach(child => child[ANCESTOR_EMPTIED]());
+    };
+    
+    /**
+     * Returns a registry for a namespace nested inside this one. Emptying
+     * this registry also empties its children.
+     * @param {string} name - Name of the child
+     * @param {Object} [childOptions] - Options of the child registry, storage,
+     *   secrets, passphrase, integrity, hashKeys, strict and onError default to
+     *   the ones of this registry
+     * @returns {Registry} The child registry
+     */
+    this.child = function(name, childOptions = {}) {
+      return new Registry(name, Object.assign({
+        storage: baseStorage,
+        secret: options.secret,
+        previousSecrets: options.previousSecrets,
+        passphrase: options.passphrase,
+        integrity: options.integrity,
+        hashKeys: options.hashKeys,
+        strict: options.strict,
+        onError: options.onError
+      }, childOptions, {
+        [PARENT]: { namespace: namespaceFinal, children: children }
+      }));
+    };
+    
+    /**
+     * Lists the names of the child namespaces holding data
+     * @returns {string[]} Child names
+     */
+    this.children = function() {
+      return getChildNamespaces(namespaceFinal, storage).map(child => child.name);
+    };
+    
+    /**
+     * Reads the key derivation record of a passphrase protected namespace
+     * @returns {Object|null} Record with salt, iterations and check, or null
+     *   if no passphrase was set yet
+     */
+    function readKdf() {
+      try {
+        return jsonDecode(storage.getItem(createMetaKey(namespaceFinal, 'kdf')));
+      } catch (e) {
+        return null;
+      }
+    }
+    
+    /**
+     * Derives a key from a new passphrase, with a new salt
+     * @param {string} pass - The passphrase
+     * @returns {Promise<Array>} The key and the key derivation record to store
+     */
+    function createKdf(pass) {
+      const salt = randomBytes(SALT_LENGTH);
+      return deriveKey(pass, salt, passphrase.iterations).then(k => {
+        return seal(PASSPHRASE_CHECK, k, 'kdf').then(check => [k, {
+          salt: bytesToBase64(salt),
+          iterations: passphrase.iterations,
+          check: check
+        }]);
+      });
+    }
+    
+    /**
+     * Derives the key of a passphrase. The first passphrase of a namespace is
+     * stored as its key derivation record, later ones have to match it.
+     * @param {string} pass - The passphrase
+     * @returns {Promise<CryptoKey>} The key, rejected with
+     *   RegistryDecryptionError if the passphrase is wrong
+     */
+    function derivePassphraseKey(pass) {
+      if (typeof pass !== 'string' || pass === '') {
+        return Promise.reject(new Error('A passphrase must be a non-empty string'));
+      }
+      
+      const kdf = readKdf();
+      if (kdf === null) {
+        return createKdf(pass).then(([k, record]) => {
+          storage.setItem(createMetaKey(namespaceFinal, 'kdf'), jsonEncode(record));
+          return k;
+        });
+      }
+      
+      return deriveRecordedKey(pass, kdf);
+    }
+    
+    /**
+     * Throws unless the registry was created with options.passphrase
+     * @param {string} method - Name of the calling method
+     */
+    function requirePassphrase(method) {
+      if (passphrase === null) {
+        throw new RegistryError(method + '() needs a registry created with options.passphrase');
+      }
+    }
+    
+    /**
+     * Unlocks a passphrase protected registry. The first passphrase given to
+     * a namespace becomes its passphrase, see changePassphrase() to change it.
+     * @param {string} pass - The passphrase
+     * @returns {Promise<void>} Rejected with RegistryDecryptionError if the
+     *   passphrase is wrong, the registry then stays locked
+     */
+    this.unlock = function(pass) {
+      return Promise.resolve().then(() => {
+        requirePassphrase('unlock');
+        return derivePassphraseKey(pass);
+      }).then(k => {
+        // Migrations wait for the first unlock
+        cryptoKey = prepareKey(Promise.resolve(k));
+        locked = false;
+        return cryptoKey;
+      }).then(() => {});
+    };
+    
+    /**
+     * Locks a passphrase protected registry again, forgetting its key. Reads
+     * and writes reject with RegistryLockedError until unlock() is called.
+     */
+    this.lock = function() {
+      requirePassphrase('lock');
+      cryptoKey = rejectLocked();
+      locked = true;
+      if (keyIndex !== null) {
+        keyIndex.unload();
+      }
+    };
+    
+    /**
+     * Tells whether a passphrase protected registry is locked
+     * @returns {boolean} True if locked, always false without options.passphrase
+     */
+    this.isLocked = function() {
+      return locked;
+    };
+    
+    /**
+     * Changes the passphrase of the namespace, sealing every stored value
+     * again with a key derived from the new passphrase and a new salt. Values
+     * that cannot be opened or fail the integrity check are left as they
+     * are, sealed with the old key, and reported. The registry is unlocked
+     * once the current passphrase is verified.
+     * @param {string} oldPass - The current passphrase
+     * @param {string} newPass - The new passphrase
+     * @returns {Promise<Object>} Resolves with the keys sealed again in
+     *   resealed and the keys left as they are in failed. Rejected with
+     *   RegistryDecryptionError if the current passphrase is wrong, nothing
+     *   is changed then.
+     */
+    this.changePassphrase = function(oldPass, newPass) {
+      const previousKey = cryptoKey;
+      const previousLocked = locked;
+      
+      const change = Promise.resolve().then(() => {
+        requirePassphrase('changePassphrase');
+        if (typeof newPass !== 'string' || newPass === '') {
+          throw new Error('A passphrase must be a non-empty string');
+        }
+        return derivePassphraseKey(oldPass);
+      }).then(oldKey => {
+        locked = false;
+        
+        // Values are migrated with the current key before they are sealed again
+        const ready = prepareKey(Promise.resolve(oldKey)).then(k => readNames(k).then(() => k));
+        return Promise.all([ready, createKdf(newPass)]);
+      }).then(([oldKey, [newKey, record]]) => {
+        // Expired values are sealed again too, they may still be served as stale
+        const keys = storage.keys()
+          .map(storageKey => parseNamespacedKey(storageKey, namespaceFinal))
+          .map(storedKey => (storedKey !== null ? keyNameOf(storedKey) : null))
+          .filter(key => key !== null);
+        
+        // The index of hidden key names is sealed again along with them
+        const index = keyIndex !== null ? keyIndex.reseal(oldKey, newKey) : null;
+        return Promise.all([index].concat(keys.map(key => {
+          const namespacedKey = namespacedKeyOf(key);
+          const stored = readStored(namespacedKey);
+          if (!verifyEntry(key, namespacedKey, stored)) {
+            return null;
+          }
+          return Promise.resolve()
+            .then(() => decodeEntry(key, parseEnvelope(stored), oldKey))
+            .then(value => encodeEntry(key, value, newKey))
+            .then(envelope => signMigrated(key, envelope), () => null);
+        }))).then(([sealedIndex, ...envelopes]) => {
+          commitPassphrase(keys, envelopes, record, sealedIndex);
+          return [newKey, {
+            resealed: keys.filter((key, i) => envelopes[i] !== null),
+            failed: keys.filter((key, i) => envelopes[i] === null)
+          }];
+        });
+      });
+      
+      // Reads and writes wait for the new key, a failed change keeps the old state
+      cryptoKey = change.then(([newKey]) => newKey, e => {
+        cryptoKey = previousKey;
+        locked = previousLocked;
+        throw e;
+      });
+      cryptoKey.catch(() => {});
+      return change.then(([, result]) => result);
+    };
+    
+    /**
+     * Writes the values sealed by changePassphrase() along with the new key
+     * derivation record, restoring the previous items if a write fails
+     * @param {string[]} keys - Keys of the values
+     * @param {Array} envelopes - New envelopes in key order, null to keep a value
+     * @param {Object} record - Key derivation record of the new passphrase
+     * @param {string|null} sealedIndex - Index of hidden key names sealed with
+     *   the new key, null without one
+     */
+    function commitPassphrase(keys, envelopes, record, sealedIndex) {
+      const kdfKey = createMetaKey(namespaceFinal, 'kdf');
+      const indexKey = createMetaKey(namespaceFinal, 'keys');
+      const snapshot = [[kdfKey, storage.getItem(kdfKey)], [indexKey, storage.getItem(indexKey)]];
+      keys.forEach((key, i) => {
+        if (envelopes[i] !== null) {
+          const namespacedKey = namespacedKeyOf(key);
+          snapshot.push([namespacedKey, storage.getItem(namespacedKey)]);
+        }
+      });
+      
+      try {
+        keys.forEach((key, i) => {
+          if (envelopes[i] !== null) {
+            storage.setItem(namespacedKeyOf(key), jsonEncode(envelopes[i]));
+          }
+        });
+        if (sealedIndex !== null) {
+          storage.setItem(indexKey, sealedIndex);
+        }
+        storage.setItem(kdfKey, jsonEncode(record));
+      } catch (e) {
+        snapshot.forEach(([storageKey, value]) => {
+          if (value === null) {
+            storage.removeItem(storageKey);
+          } else {
+            storage.setItem(storageKey, value);
+          }
+        });
+        throw e;
+      }
+    }
+    
+    /**
+     * Rotates the secret of the namespace: values are sealed with the new
+     * secret from now on, and every live value sealed with another secret,
+     * or written with the legacy cipher, is sealed again with it. Values are
+     * written one at a time, each recording the id of its secret, so reads
+     * keep working while it runs and an interrupted rotation is resumed by
+     * calling rotateKey() again; values already sealed with the new secret
+     * are skipped. Other registries reading the namespace meanwhile need the
+     * old secret in options.previousSecrets.
+     * @param {string|CryptoKey|null} oldSecret - Secret the values are sealed
+     *   with, null if only the secret of this registry was used
+     * @param {string} newSecret - The new secret
+     * @returns {Promise<Object>} Resolves with the keys sealed again in
+     *   "rotated" and the keys that could not be opened, left as they are, in
+     *   "failed"
+     */
+    this.rotateKey = function(oldSecret, newSecret) {
+      const rotated = [];
+      const failed = [];
+      
+      return Promise.resolve().then(() => {
+        if (cryptoKey === null || passphrase !== null) {
+          throw new RegistryError('rotateKey() needs a registry created with options.secret');
+        }
+        if (typeof newSecret !== 'string' || newSecret === '') {
+          throw new Error('The new secret must be a non-empty string');
+        }
+        if (oldSecret !== null && typeof oldSecret !== 'undefined') {
+          addToKeyring(oldSecret);
+        }
+        
+        // Writes use the new secret once pending migrations are done
+        const newKey = addToKeyring(newSecret);
+        cryptoKey = cryptoKey.then(() => newKey);
+        currentKeyId = getKeyId(newSecret);
+        return cryptoKey;
+      }).then(newKey => {
+        // One value at a time, so an interruption loses nothing; the index of
+        // hidden key names is sealed again last, as it still lists them all
+        return readNames(newKey).then(() => listKeys().reduce((previous, key) => previous.then(() => {
+          return rotateEntry(key, newKey).then(done => {
+            if (done !== null) {
+              (done ? rotated : failed).push(key);
+            }
+          });
+        }), Promise.resolve())).then(() => (keyIndex !== null ? keyIndex.rewrite(newKey) : null));
+      }).then(() => ({ rotated: rotated, failed: failed }));
+    };
+    
+    /**
+     * Seals a value again with the current secret, see rotateKey()
+     * @param {string} key - The original key
+     * @param {CryptoKey} newKey - The current key
+     * @returns {Promise<boolean|null>} True if the value was sealed again,
+     *   false if it could not be opened, null if it was left alone
+     */
+    function rotateEntry(key, newKey) {
+      const namespacedKey = namespacedKeyOf(key);
+      const storedValue = storage.getItem(namespacedKey);
+      const stored = readStored(namespacedKey);
+      let envelope;
+      try {
+        envelope = parseEnvelope(stored);
+      } catch (e) {
+        return Promise.resolve(false);
+      }
+      
+      // Already rotated or removed meanwhile
+      if (envelope === null || (envelope.cipher === CIPHER_AES_GCM && envelope.keyId === currentKeyId)) {
+        return Promise.resolve(null);
+      }
+      // Failing the integrity check: reading removes it if signed, keeps it if not
+      if (!verifyEntry(key, namespacedKey, stored)) {
+        return Promise.resolve(null);
+      }
+      
+      return Promise.resolve()
+        .then(() => decodeEntry(key, envelope, newKey))
+        .then(value => encodeEntry(key, value, newKey))
+        .then(rewritten => {
+          // A value written while this one was sealed is newer, keep it
+          if (storage.getItem(namespacedKey) === storedValue) {
+            storage.setItem(namespacedKey, jsonEncode(signMigrated(key, rewritten)));
+          }
+          return true;
+        }, () => false);
+    }
+    
+    /**
+     * Removes all expired values of the current namespace, along with
+     * expiration keys that lost their value. An "expire" event is emitted for
+     * every removed value.
+     * @returns {string[]} Keys of the removed values. A Promise when key
+     *   names are hidden, rejected with RegistryLockedError while a
+     *   passphrase protected registry is locked.
+     */
+    this.purgeExpired = function() {
+      return keyIndex !== null ? withNames(purgeNamespace) : purgeNamespace();
+    };
+    
+    /**
+     * Removes the expired values, see purgeExpired()
+     * @returns {string[]} Keys of the removed values
+     */
+    function purgeNamespace() {
+      const expiredKeys = purgeExpired(namespaceFinal, storage).map(keyNameOf).filter(key => key !== null);
+      forgetNames(expiredKeys);
+      recheckUsage();
+      expiredKeys.forEach(key => notify('expire', key, null));
+      return expiredKeys;
+    }
+    
+    /**
+     * Sweeps expired values when the registry is created and every
+     * options.sweepInterval seconds. A locked registry cannot read hidden key
+     * names, it skips the sweep.
+     */
+    function sweep() {
+      const swept = self.purgeExpired();
+      if (keyIndex !== null) {
+        swept.catch(e => {
+          if (!(e instanceof RegistryLockedError)) {
+            reportError('Error sweeping expired values:', e);
+          }
+        });
+      }
+    }
+    
+    /**
+     * Adds an event handler. Events fire for changes made through this
+     * registry and for changes other tabs make to the same namespace.
+     * @param {string} type - "change", "remove", "expire" or "clear"
+     * @param {Function} handler - Called with { type, key, value, remote }
+     * @returns {Function} Removes the handler again
+     */
+    this.on = function(type, handler) {
+      if (EVENT_TYPES.indexOf(type) === -1) {
+        throw new Error('Unknown registry event: ' + type);
+      }
+      
+      // Start listening to other tabs with the first handler
+      if (stopListening === null) {
+        stopListening = listen(namespaceFinal, storage, onRemoteChange);
+      }
+      
+      return emitter.on(type, handler);
+    };
+    
+    /**
+     * Removes an event handler
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler passed to on()
+     */
+    this.off = function(type, handler) {
+      emitter.off(type, handler);
     };
+    
+    /**
+     * Watches a single key, the handler is called for every change, removal
+     * and expiration of the key and when the namespace is emptied
+     * @param {string} key - The key to watch
+     * @param {Function} handler - Called with { type, key, value, remote }
+     * @returns {Function} Stops watching
+     */
+    this.watch = function(key, handler) {
+      const filtered = event => {
+        if (event.key === key || event.type === 'clear') {
+          handler(event);
+        }
+      };
+      const unsubscribes = EVENT_TYPES.map(type => self.on(type, filtered));
+      return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    };
+    
+    /**
+     * Stops the background sweep, writes the pending access times, stops
+     * listening to other tabs and removes all event handlers
+     */
+    this.close = function() {
+      if (sweepTimer !== null) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+      }
+      if (stopListening !== null) {
+        stopListening();
+        stopListening = null;
+      }
+      emitter.clear();
+      if (accessLog !== null) {
+        accessLog.flush();
+      }
+      if (parent !== null) {
+        parent.children.delete(self);
+      }
+    };
+    
+    // Sweep once now, then periodically if asked to
+    sweep();
+    if (typeof options.sweepInterval === 'number' && options.sweepInterval > 0) {
+      sweepTimer = setInterval(sweep, options.sweepInterval * 1000);
+    }
+  }
+  
+  /**
+   * Lists the namespaces holding data in a storage
+   * @param {Object} [options] - Optional settings
+   * @param {Object} [options.storage] - Storage adapter, defaults to localStorage
+   * @returns {Object[]} Namespaces with their name (null for the default
+   *   namespace of an origin), origin (for default namespaces), encoded
+   *   namespace, and the entries and bytes stored, child registries included
+   */
+  static namespaces(options = {}) {
+    const storage = options.storage || localStorageAdapter;
+    const result = [];
+    getNamespaceStats(storage).forEach((stats, namespace) => {
+      const decoded = decodeNamespace(namespace);
+      if (decoded !== null) {
+        result.push({
+          name: decoded.name,
+          origin: decoded.origin,
+          namespace: namespace,
+          entries: stats.entries,
+          bytes: stats.bytes
+        });
+      }
+    });
+    return result;
+  }
+  
+  /**
+   * Measures the storage used on the origin: everything held by the storage,
+   * the share of each namespace, and the estimate of the browser where
+   * navigator.storage.estimate() exists
+   * @param {Object} [options] - Optional settings
+   * @param {Object} [options.storage] - Storage adapter, defaults to localStorage
+   * @param {Function} [options.onError] - Called with the error of a failed
+   *   estimate, instead of logging it
+   * @returns {Promise<Object>} Resolves with the bytes held by the storage,
+   *   the namespaces as listed by namespaces(), and the usage and quota
+   *   estimated by the browser for all its storage (null if unknown)
+   */
+  static usage(options = {}) {
+    const storage = options.storage || localStorageAdapter;
+    const result = {
+      bytes: getStorageSize(storage),
+      namespaces: Registry.namespaces({ storage: storage }),
+      usage: null,
+      quota: null
+    };
+    
+    if (typeof navigator === 'undefined' || !navigator.storage || typeof navigator.storage.estimate !== 'function') {
+      return Promise.resolve(result);
+    }
+    return navigator.storage.estimate().then(estimate => {
+      result.usage = typeof estimate.usage === 'number' ? estimate.usage : null;
+      result.quota = typeof estimate.quota === 'number' ? estimate.quota : null;
+      return result;
+    }, e => {
+      if (typeof options.onError === 'function') {
+        options.onError(e);
+      } else {
+        console.error('Error estimating storage usage:', e);
+      }
+      return result;
+    });
+  }
+  
+  /**
+   * Removes a namespace with all its values, child registries and bookkeeping
+   * @param {string|Object|null} name - Namespace name, null for the default
+   *   namespace, or an entry returned by Registry.namespaces()
+   * @param {Object} [options] - Optional settings
+   * @param {Object} [options.storage] - Storage adapter, defaults to localStorage
+   * @returns {boolean} True if the namespace held any data
+   */
+  static drop(name, options = {}) {
+    const storage = options.storage || localStorageAdapter;
+    const dropped = dropNamespace(resolveNamespace(name), trackUsage(storage));
+    broadcastCleared(dropped, storage);
+    return dropped.length > 0;
+  }
+  
+  /**
+   * Moves a namespace with all its values, child registries and bookkeeping
+   * to another name. Values keep their expiration and can still be decrypted.
+   * Sealed values are bound to their namespace and sealed again for the new
+   * name.
+   * @param {string|Object|null} from - Current name, null for the default
+   *   namespace, or an entry returned by Registry.namespaces()
+   * @param {string|null} to - New name, null for the default namespace
+   * @param {Object} [options] - Optional settings
+   * @param {Object} [options.storage] - Storage adapter, defaults to localStorage
+   * @param {string|CryptoKey} [options.secret] - Secret of the namespace,
+   *   needed to seal its values again
+   * @param {Array<string|CryptoKey>} [options.previousSecrets] - Secrets
+   *   values may still be sealed with
+   * @param {string} [options.passphrase] - Passphrase of the namespace, in
+   *   place of a secret
+   * @param {string} [options.integrity] - Integrity secret of the namespace,
+   *   its signed entries are signed again for the new name
+   * @returns {Promise<boolean>} Resolves with true if the namespace held any
+   *   data. Rejected with RegistryError if the new namespace already holds
+   *   data, or if the namespace holds sealed or signed entries and the secrets
+   *   to seal or sign them again are missing, and with
+   *   RegistryDecryptionError if a value does not open with the given
+   *   secrets. Nothing is moved then.
+   */
+  static rename(from, to, options = {}) {
+    return Promise.resolve().then(() => {
+      const storage = options.storage || localStorageAdapter;
+      const fromNamespace = resolveNamespace(from);
+      const toNamespace = resolveNamespace(to);
+      if (fromNamespace === toNamespace) {
+        return getNamespaceStats(storage).has(fromNamespace);
+      }
+      if (getNamespaceStats(storage).has(toNamespace)) {
+        throw new RegistryError('Namespace ' + (to === null || typeof to === 'undefined' ? 'default' : to) + ' already holds data');
+      }
+      
+      const move = resealing => {
+        const rewrite = createRenameRewrite(fromNamespace, toNamespace, storage, options, resealing.nameOf, resealing.resealed);
+        const renamed = renameNamespace(fromNamespace, toNamespace, trackUsage(storage), rewrite);
+        broadcastCleared(renamed, storage);
+        return renamed.length > 0;
+      };
+      const resealing = resealNamespace(fromNamespace, toNamespace, storage, options);
+      return resealing === null ? move({ resealed: new Map(), nameOf: (namespace, storedKey) => storedKey }) : resealing.then(move);
+    });
   }
 }
 
@@ -1,5 +1,18 @@
 // registry.test.js
 import Registry from './registry.js';
+import {
+  RegistryError,
+  RegistryDecryptionError,
+  RegistryVersionError,
+  RegistryLockedError,
+  RegistryCorruptEntryError,
+  RegistryIntegrityError,
+  RegistryQuotaError,
+  RegistryStorageUnavailableError
+} from './errors.js';
+import { encrypt, importSecret, sealBytes, open } from './crypto.js';
+import { encodeValue } from './codec.js';
+import { createMemoryAdapter, sessionStorageAdapter } from './adapters.js';
 
 // Mock localStorage
 const localStorageMock = (function() {
@@ -83,6 +96,25 @@ describe('Registry', () => {
       registry.set('key4', undefined);
       expect(registry.get('key4')).toBeNull();
     });
+    
+    test('should keep built-in types', () => {
+      const registry = new Registry('test');
+      registry.set('key5', { when: new Date(0), tags: new Set(['a']), count: BigInt(10) });
+      
+      const result = registry.get('key5');
+      expect(result.when).toBeInstanceOf(Date);
+      expect(result.tags).toBeInstanceOf(Set);
+      expect(result.count).toBe(BigInt(10));
+    });
+    
+    test('should keep built-in types with a secret', async () => {
+      const registry = new Registry('secure', { secret: 's3cret' });
+      await registry.set('key6', new Map([['a', 1]]));
+      
+      const result = await registry.get('key6');
+      expect(result).toBeInstanceOf(Map);
+      expect(result.get('a')).toBe(1);
+    });
   });
 
   describe('Registry.remove', () => {
@@ -139,4 +171,2313 @@ describe('Registry', () => {
       jest.useRealTimers();
     });
   });
+
+  describe('Namespace isolation', () => {
+    test('should not collide for keys ending like another namespace', () => {
+      const registry1 = new Registry('a');
+      const registry2 = new Registry('b');
+      registry1.set('x', 'value1');
+      registry2.set('x', 'value2');
+      
+      registry1.empty();
+      
+      expect(registry2.get('x')).toBe('value2');
+    });
+    
+    test('should not empty keys of other applications', () => {
+      localStorage.setItem('unrelated', 'value');
+      const registry = new Registry('test');
+      registry.set('key1', 'value1');
+      
+      registry.empty();
+      
+      expect(localStorage.getItem('unrelated')).toBe('value');
+    });
+    
+    test('should keep values written in the legacy layout', () => {
+      // Value written by the previous version: key + base64("@test"), encrypted with the key name
+      const storage = createMemoryAdapter({
+        'key1QHRlc3Q=': JSON.stringify(encrypt('legacy', 'key1')),
+        'key1QHRlc3Q=&&expires': '99999999999'
+      });
+      
+      const registry = new Registry('test', { storage: storage });
+      
+      expect(registry.get('key1')).toBe('legacy');
+      expect(registry.keys()).toEqual(['key1']);
+      expect(storage.getItem('key1QHRlc3Q=')).toBeNull();
+    });
+  });
+  
+  describe('Key enumeration', () => {
+    test('should list the keys of the namespace', () => {
+      const registry = new Registry('test');
+      registry.set('key1', 'value1');
+      registry.set('key2', 'value2', 3600);
+      
+      expect(registry.keys().sort()).toEqual(['key1', 'key2']);
+      expect(registry.size()).toBe(2);
+    });
+    
+    test('should leave out keys of other namespaces', () => {
+      const registry1 = new Registry('test1');
+      const registry2 = new Registry('test2');
+      registry1.set('key1', 'value1');
+      registry2.set('key2', 'value2');
+      
+      expect(registry1.keys()).toEqual(['key1']);
+    });
+    
+    test('should leave out expired keys', () => {
+      jest.useFakeTimers();
+      
+      const registry = new Registry('test');
+      registry.set('key1', 'value1', 1);
+      registry.set('key2', 'value2');
+      
+      jest.advanceTimersByTime(2000);
+      
+      expect(registry.keys()).toEqual(['key2']);
+      expect(registry.has('key1')).toBe(false);
+      
+      jest.useRealTimers();
+    });
+    
+    test('should check for keys', () => {
+      const registry = new Registry('test');
+      registry.set('key1', null);
+      
+      expect(registry.has('key1')).toBe(true);
+      expect(registry.has('key2')).toBe(false);
+    });
+    
+    test('should list entries and values', () => {
+      const registry = new Registry('test');
+      registry.set('key1', 'value1');
+      registry.set('key2', { nested: true });
+      
+      expect(registry.entries()).toEqual([['key1', 'value1'], ['key2', { nested: true }]]);
+      expect(registry.values()).toEqual(['value1', { nested: true }]);
+    });
+    
+    test('should list entries of a registry with a secret', async () => {
+      const registry = new Registry('secure', { secret: 's3cret' });
+      await registry.set('key1', 'value1');
+      
+      expect(await registry.entries()).toEqual([['key1', 'value1']]);
+      expect(await registry.values()).toEqual(['value1']);
+    });
+  });
+  
+  describe('Change events', () => {
+    test('should emit change and remove events for local writes', () => {
+      const registry = new Registry('test');
+      const onChange = jest.fn();
+      const onRemove = jest.fn();
+      registry.on('change', onChange);
+      registry.on('remove', onRemove);
+      
+      registry.set('key1', 'value1');
+      registry.remove('key1');
+      registry.remove('missing');
+      
+      expect(onChange).toHaveBeenCalledWith({ type: 'change', key: 'key1', value: 'value1', remote: false });
+      expect(onRemove).toHaveBeenCalledTimes(1);
+      expect(onRemove).toHaveBeenCalledWith({ type: 'remove', key: 'key1', value: null, remote: false });
+    });
+    
+    test('should emit expire and clear events', () => {
+      jest.useFakeTimers();
+      
+      const registry = new Registry('test');
+      const onExpire = jest.fn();
+      const onClear = jest.fn();
+      registry.on('expire', onExpire);
+      registry.on('clear', onClear);
+      
+      registry.set('key1', 'value1', 1);
+      jest.advanceTimersByTime(2000);
+      registry.get('key1');
+      registry.empty();
+      
+      expect(onExpire).toHaveBeenCalledWith({ type: 'expire', key: 'key1', value: null, remote: false });
+      expect(onClear).toHaveBeenCalledWith({ type: 'clear', key: null, value: null, remote: false });
+      
+      jest.useRealTimers();
+    });
+    
+    test('should reject unknown event types', () => {
+      const registry = new Registry('test');
+      expect(() => registry.on('unknown', jest.fn())).toThrow('Unknown registry event: unknown');
+    });
+    
+    test('should watch a single key', () => {
+      const registry = new Registry('test');
+      const handler = jest.fn();
+      const unwatch = registry.watch('key1', handler);
+      
+      registry.set('key1', 'value1');
+      registry.set('key2', 'value2');
+      registry.empty();
+      unwatch();
+      registry.set('key1', 'value3');
+      
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(handler.mock.calls[0][0]).toMatchObject({ type: 'change', key: 'key1', value: 'value1' });
+      expect(handler.mock.calls[1][0]).toMatchObject({ type: 'clear' });
+    });
+    
+    test('should emit events for changes made in other tabs', () => {
+      const registry = new Registry('test');
+      const other = new Registry('other');
+      const onChange = jest.fn();
+      registry.on('change', onChange);
+      
+      // Another tab writes the values, this tab only sees the storage events
+      new Registry('test').set('key1', 'value1');
+      other.set('key1', 'ignored');
+      ['registry:QHRlc3Q=:key1', 'registry:QG90aGVy:key1'].forEach(key => {
+        window.dispatchEvent(new StorageEvent('storage', { key: key, newValue: localStorage.getItem(key), storageArea: localStorage }));
+      });
+      
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange).toHaveBeenCalledWith({ type: 'change', key: 'key1', value: 'value1', remote: true });
+      registry.close();
+    });
+    
+    test('should decrypt values changed in other tabs', async () => {
+      const registry = new Registry('secure', { secret: 's3cret' });
+      const onChange = jest.fn();
+      registry.on('change', onChange);
+      
+      await new Registry('secure', { secret: 's3cret' }).set('token', 'abc123');
+      const storageKey = 'registry:QHNlY3VyZQ==:token';
+      window.dispatchEvent(new StorageEvent('storage', { key: storageKey, newValue: localStorage.getItem(storageKey), storageArea: localStorage }));
+      await new Promise(resolve => setTimeout(resolve, 10));
+      
+      expect(onChange).toHaveBeenCalledWith({ type: 'change', key: 'token', value: 'abc123', remote: true });
+      registry.close();
+    });
+    
+    test('should stop listening when closed', () => {
+      const registry = new Registry('test');
+      const onRemove = jest.fn();
+      registry.on('remove', onRemove);
+      registry.close();
+      
+      window.dispatchEvent(new StorageEvent('storage', { key: 'registry:QHRlc3Q=:key1', newValue: null, storageArea: localStorage }));
+      registry.set('key1', 'value1');
+      registry.remove('key1');
+      
+      expect(onRemove).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('TTL management', () => {
+    let now;
+    
+    beforeEach(() => {
+      now = 1000000000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    test('should report the time left', () => {
+      const registry = new Registry('test');
+      registry.set('key1', 'value1', 60);
+      registry.set('key2', 'value2');
+      
+      now += 15000;
+      
+      expect(registry.ttl('key1')).toBe(45);
+      expect(registry.ttl('key2')).toBe(Infinity);
+      expect(registry.ttl('missing')).toBeNull();
+    });
+    
+    test('should expire at an absolute time', () => {
+      const registry = new Registry('test');
+      registry.set('key1', 'value1');
+      
+      expect(registry.expireAt('key1', new Date(now + 30000))).toBe(true);
+      expect(registry.ttl('key1')).toBe(30);
+      
+      now += 30000;
+      expect(registry.get('key1')).toBeNull();
+      expect(registry.expireAt('key1', now + 30000)).toBe(false);
+    });
+    
+    test('should extend the expiration', () => {
+      const registry = new Registry('test');
+      registry.set('key1', 'value1', 10);
+      
+      now += 5000;
+      expect(registry.touch('key1', 60)).toBe(true);
+      
+      now += 30000;
+      expect(registry.get('key1')).toBe('value1');
+      expect(registry.touch('missing', 60)).toBe(false);
+    });
+    
+    test('should remove the expiration', () => {
+      const registry = new Registry('test');
+      registry.set('key1', 'value1', 10);
+      
+      expect(registry.persist('key1')).toBe(true);
+      
+      now += 60000;
+      expect(registry.get('key1')).toBe('value1');
+      expect(registry.ttl('key1')).toBe(Infinity);
+    });
+    
+    test('should push sliding expirations forward on every read', () => {
+      const registry = new Registry('test');
+      registry.set('session', 'abc', 60, { sliding: true });
+      
+      for (let i = 0; i < 5; i++) {
+        now += 45000;
+        expect(registry.get('session')).toBe('abc');
+      }
+      expect(registry.ttl('session')).toBe(60);
+      
+      now += 61000;
+      expect(registry.get('session')).toBeNull();
+    });
+    
+    test('should keep the sliding window when touched', () => {
+      const registry = new Registry('test');
+      registry.set('session', 'abc', 60, { sliding: true });
+      
+      now += 30000;
+      registry.touch('session');
+      expect(registry.ttl('session')).toBe(60);
+      
+      now += 45000;
+      registry.get('session');
+      expect(registry.ttl('session')).toBe(60);
+    });
+    
+    test('should not slide fixed expirations', () => {
+      const registry = new Registry('test');
+      registry.set('key1', 'value1', 60);
+      
+      now += 45000;
+      registry.get('key1');
+      
+      expect(registry.ttl('key1')).toBe(15);
+    });
+  });
+  
+  describe('Expiry sweeping', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+    
+    test('should purge expired values that are never read', () => {
+      jest.useFakeTimers();
+      
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage });
+      const onExpire = jest.fn();
+      registry.on('expire', onExpire);
+      registry.set('key1', 'value1', 1);
+      registry.set('key2', 'value2');
+      
+      jest.advanceTimersByTime(2000);
+      
+      expect(registry.purgeExpired()).toEqual(['key1']);
+      expect(onExpire).toHaveBeenCalledWith({ type: 'expire', key: 'key1', value: null, remote: false });
+      expect(storage.keys().filter(key => key.indexOf('key1') > -1)).toEqual([]);
+    });
+    
+    test('should sweep on construction', () => {
+      jest.useFakeTimers();
+      
+      const storage = createMemoryAdapter();
+      new Registry('test', { storage: storage }).set('key1', 'value1', 1);
+      
+      jest.advanceTimersByTime(2000);
+      new Registry('test', { storage: storage });
+      
+      expect(storage.keys().filter(key => key.indexOf('key1') > -1)).toEqual([]);
+    });
+    
+    test('should sweep in the background', () => {
+      jest.useFakeTimers();
+      
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage, sweepInterval: 60 });
+      registry.set('key1', 'value1', 30);
+      
+      jest.advanceTimersByTime(60000);
+      
+      expect(storage.keys().filter(key => key.indexOf('key1') > -1)).toEqual([]);
+      registry.close();
+    });
+    
+    test('should stop the background sweep when closed', () => {
+      jest.useFakeTimers();
+      
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage, sweepInterval: 60 });
+      registry.set('key1', 'value1', 30);
+      registry.close();
+      
+      jest.advanceTimersByTime(60000);
+      
+      expect(storage.keys().filter(key => key.indexOf('key1') > -1).length).toBe(2);
+    });
+  });
+  
+  describe('Eviction policies', () => {
+    let now;
+    
+    beforeEach(() => {
+      // Advance the clock on every call so access times are distinct
+      now = 1000000000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now++);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    /**
+     * Memory adapter that throws a quota error when holding more than max
+     * registry values
+     */
+    function createLimitedAdapter(max) {
+      const storage = createMemoryAdapter();
+      const setItem = storage.setItem;
+      storage.setItem = (key, value) => {
+        const values = storage.keys().filter(k => k.indexOf('#') === -1 && k !== key);
+        if (key.indexOf('#') === -1 && values.length >= max) {
+          const error = new Error('The quota has been exceeded.');
+          error.name = 'QuotaExceededError';
+          throw error;
+        }
+        setItem(key, value);
+      };
+      return storage;
+    }
+    
+    test('should evict the least recently used value beyond maxEntries', () => {
+      const onEvict = jest.fn();
+      const registry = new Registry('test', { storage: createMemoryAdapter(), policy: { maxEntries: 2, onEvict: onEvict } });
+      registry.set('key1', 'value1');
+      registry.set('key2', 'value2');
+      registry.get('key1');
+      registry.set('key3', 'value3');
+      
+      expect(registry.keys().sort()).toEqual(['key1', 'key3']);
+      expect(onEvict).toHaveBeenCalledWith('key2');
+    });
+    
+    test('should keep reads and writes from scanning the namespace', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage, policy: { maxEntries: 50, maxBytes: 100000 }, warnAt: 0.9 });
+      for (let i = 0; i < 20; i++) {
+        registry.set('key' + i, 'value' + i);
+      }
+      jest.spyOn(storage, 'keys');
+      jest.spyOn(storage, 'setItem');
+      
+      registry.set('key20', 'value20');
+      for (let i = 0; i < 20; i++) {
+        registry.get('key' + i);
+      }
+      
+      expect(storage.keys).not.toHaveBeenCalled();
+      expect(storage.setItem.mock.calls.map(call => call[0]).filter(key => key.endsWith('#access'))).toEqual([]);
+      
+      registry.close();
+      expect(storage.setItem.mock.calls.map(call => call[0]).filter(key => key.endsWith('#access'))).toHaveLength(1);
+      expect(Object.keys(JSON.parse(storage.getItem('registry:' + btoa('@test') + '#access')))).toHaveLength(21);
+    });
+    
+    test('should count values dropped outside of the registry', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage, policy: { maxEntries: 2 } });
+      registry.set('key1', 'value1');
+      registry.set('key2', 'value2');
+      
+      Registry.drop('test', { storage: storage });
+      registry.set('key3', 'value3');
+      registry.set('key4', 'value4');
+      
+      expect(registry.keys().sort()).toEqual(['key3', 'key4']);
+    });
+    
+    test('should not evict when overwriting within maxEntries', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage, policy: { maxEntries: 2 } });
+      registry.set('key1', 'value1');
+      registry.set('key2', 'value2');
+      jest.spyOn(storage, 'keys');
+      registry.set('key2', 'value3');
+      
+      expect(storage.keys).not.toHaveBeenCalled();
+      expect(registry.size()).toBe(2);
+    });
+    
+    test('should evict the oldest value', () => {
+      const registry = new Registry('test', { storage: createMemoryAdapter(), policy: { maxEntries: 2, evict: 'oldest' } });
+      registry.set('key1', 'value1');
+      registry.set('key2', 'value2');
+      registry.get('key1');
+      registry.set('key3', 'value3');
+      
+      expect(registry.keys().sort()).toEqual(['key2', 'key3']);
+    });
+    
+    test('should evict the value closest to expiring', () => {
+      const registry = new Registry('test', { storage: createMemoryAdapter(), policy: { maxEntries: 2, evict: 'ttl' } });
+      registry.set('key1', 'value1', 3600);
+      registry.set('key2', 'value2', 60);
+      registry.set('key3', 'value3');
+      
+      expect(registry.keys().sort()).toEqual(['key1', 'key3']);
+    });
+    
+    test('should evict values beyond maxBytes', () => {
+      const registry = new Registry('test', { storage: createMemoryAdapter(), policy: { maxBytes: 1200 } });
+      
+      // Each value takes a little over 500 bytes
+      registry.set('key1', 'x'.repeat(50));
+      registry.set('key2', 'x'.repeat(50));
+      expect(registry.size()).toBe(2);
+      
+      registry.set('key3', 'x'.repeat(50));
+      expect(registry.keys().sort()).toEqual(['key2', 'key3']);
+    });
+    
+    test('should evict and retry when the quota is exceeded', () => {
+      const onEvict = jest.fn();
+      const registry = new Registry('test', { storage: createLimitedAdapter(2), policy: { onEvict: onEvict } });
+      const onEvictEvent = jest.fn();
+      registry.on('evict', onEvictEvent);
+      registry.set('key1', 'value1');
+      registry.set('key2', 'value2');
+      registry.set('key3', 'value3');
+      
+      expect(registry.get('key3')).toBe('value3');
+      expect(registry.has('key1')).toBe(false);
+      expect(onEvict).toHaveBeenCalledWith('key1');
+      expect(onEvictEvent).toHaveBeenCalledWith({ type: 'evict', key: 'key1', value: null, remote: false });
+    });
+    
+    test('should throw quota errors without a policy', () => {
+      const registry = new Registry('test', { storage: createLimitedAdapter(1) });
+      registry.set('key1', 'value1');
+      
+      expect(() => registry.set('key2', 'value2')).toThrow('The quota has been exceeded.');
+    });
+    
+    test('should reject unknown strategies', () => {
+      expect(() => new Registry('test', { policy: { evict: 'random' } })).toThrow('Unknown eviction strategy: random');
+    });
+  });
+  
+  describe('Child registries', () => {
+    test('should keep child values apart from the parent', () => {
+      const app = new Registry('app');
+      const drafts = app.child('drafts');
+      app.set('key1', 'app value');
+      drafts.set('key1', 'draft value');
+      
+      expect(app.get('key1')).toBe('app value');
+      expect(drafts.get('key1')).toBe('draft value');
+      expect(app.keys()).toEqual(['key1']);
+      expect(new Registry('app').child('drafts').get('key1')).toBe('draft value');
+      expect(new Registry('drafts').get('key1')).toBeNull();
+    });
+    
+    test('should empty the descendants with the parent', () => {
+      const app = new Registry('app');
+      const user = app.child('user-42');
+      const drafts = user.child('drafts');
+      const settings = new Registry('settings');
+      user.set('profile', 'Ada');
+      drafts.set('draft1', 'text');
+      settings.set('theme', 'dark');
+      const onClear = jest.fn();
+      drafts.on('clear', onClear);
+      
+      user.empty();
+      
+      expect(user.get('profile')).toBeNull();
+      expect(drafts.get('draft1')).toBeNull();
+      expect(settings.get('theme')).toBe('dark');
+      expect(onClear).toHaveBeenCalledWith({ type: 'clear', key: null, value: null, remote: false });
+    });
+    
+    test('should leave the parent alone when a child is emptied', () => {
+      const app = new Registry('app');
+      app.set('key1', 'value1');
+      app.child('drafts').set('key1', 'value1');
+      
+      app.child('drafts').empty();
+      
+      expect(app.get('key1')).toBe('value1');
+    });
+    
+    test('should list child namespaces', () => {
+      const app = new Registry('app');
+      app.child('drafts').set('key1', 'value1');
+      app.child('user-42').child('cache').set('key1', 'value1');
+      
+      expect(app.children().sort()).toEqual(['drafts', 'user-42']);
+      expect(app.child('user-42').children()).toEqual(['cache']);
+    });
+    
+    test('should inherit the storage and secret of the parent', async () => {
+      const storage = createMemoryAdapter();
+      const drafts = new Registry('app', { storage: storage, secret: 's3cret' }).child('drafts');
+      
+      await drafts.set('key1', 'value1');
+      
+      expect(localStorage.length).toBe(0);
+      expect(await drafts.get('key1')).toBe('value1');
+      expect(new Registry('app', { storage: storage }).child('drafts').meta('key1').cipher).toBe('aes-gcm');
+    });
+  });
+  
+  describe('Value encoding', () => {
+    const storageKey = key => 'registry:' + btoa('@test') + ':' + key;
+    const largeValue = { items: Array.from({ length: 100 }, (_, i) => ({ id: i, name: 'item', tags: ['a', 'b'] })) };
+    
+    test('should store values compactly', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage });
+      registry.set('key1', largeValue);
+      
+      const legacySize = JSON.stringify(encrypt(largeValue, 'key1')).length;
+      expect(storage.getItem(storageKey('key1')).length).toBeLessThan(legacySize * 0.7);
+      expect(registry.get('key1')).toEqual(largeValue);
+    });
+    
+    test('should compress large values of a registry', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage, compress: true });
+      registry.set('small', 'value');
+      registry.set('large', largeValue);
+      new Registry('test', { storage: storage }).set('uncompressed', largeValue);
+      
+      expect(registry.meta('small').compression).toBeNull();
+      expect(registry.meta('large').compression).toBe('lz');
+      expect(storage.getItem(storageKey('large')).length).toBeLessThan(storage.getItem(storageKey('uncompressed')).length / 4);
+      expect(registry.get('small')).toBe('value');
+      expect(registry.get('large')).toEqual(largeValue);
+    });
+    
+    test('should compress per set() call', () => {
+      const registry = new Registry('test', { compress: true });
+      registry.set('key1', largeValue, undefined, { compress: false });
+      registry.set('key2', 'a'.repeat(100), undefined, { compress: 10 });
+      
+      expect(registry.meta('key1').compression).toBeNull();
+      expect(registry.meta('key2').compression).toBe('lz');
+      expect(registry.get('key2')).toBe('a'.repeat(100));
+    });
+    
+    test('should compress sealed values', async () => {
+      const registry = new Registry('test', { secret: 's3cret', compress: true });
+      await registry.set('key1', largeValue);
+      
+      expect(registry.meta('key1')).toMatchObject({ cipher: 'aes-gcm', encoding: 'base64', compression: 'lz' });
+      expect(await registry.get('key1')).toEqual(largeValue);
+    });
+    
+    test('should read values of the original encoding', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage });
+      const envelope = { v: 1, c: 'shift', d: encrypt({ a: 1 }, 'key1'), ct: 1, ut: 1 };
+      storage.setItem(storageKey('key1'), JSON.stringify(envelope));
+      
+      expect(registry.get('key1')).toEqual({ a: 1 });
+      expect(registry.meta('key1').encoding).toBeNull();
+    });
+    
+    test('should not read values of an unknown encoding', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage });
+      storage.setItem(storageKey('key1'), JSON.stringify({ v: 1, c: 'shift', e: 'zstd', d: 'data' }));
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      expect(registry.get('key1')).toBeNull();
+      expect(consoleError.mock.calls[0][1].message).toBe('Unknown encoding: zstd');
+      consoleError.mockRestore();
+    });
+  });
+  
+  describe('Integrity', () => {
+    const storageKey = key => 'registry:' + btoa('@test') + ':' + key;
+    let storage;
+    let registry;
+    let onIntegrity;
+    
+    beforeEach(() => {
+      storage = createMemoryAdapter();
+      registry = new Registry('test', { storage: storage, integrity: 'app-secret' });
+      onIntegrity = jest.fn();
+      registry.on('integrity', onIntegrity);
+    });
+    
+    const editEnvelope = (key, edit) => {
+      const envelope = JSON.parse(storage.getItem(storageKey(key)));
+      edit(envelope);
+      storage.setItem(storageKey(key), JSON.stringify(envelope));
+    };
+    
+    test('should sign and read back entries', () => {
+      registry.set('key1', 'value1', 3600);
+      
+      expect(typeof JSON.parse(storage.getItem(storageKey('key1'))).m).toBe('string');
+      expect(registry.get('key1')).toBe('value1');
+      expect(onIntegrity).not.toHaveBeenCalled();
+    });
+    
+    test('should reject edited values', () => {
+      registry.set('key1', 'value1');
+      registry.set('key2', 'value2');
+      editEnvelope('key1', envelope => {
+        envelope.d = JSON.parse(storage.getItem(storageKey('key2'))).d;
+      });
+      
+      expect(registry.get('key1')).toBeNull();
+      expect(onIntegrity).toHaveBeenCalledWith({ type: 'integrity', key: 'key1', value: null, remote: false });
+      expect(storage.getItem(storageKey('key1'))).toBeNull();
+    });
+    
+    test('should reject edited expirations', () => {
+      registry.set('session', 'token', 60);
+      const expires = storage.getItem(storageKey('session') + '&&expires');
+      storage.setItem(storageKey('session') + '&&expires', String(parseInt(expires, 10) + 86400 * 365));
+      
+      expect(registry.get('session')).toBeNull();
+      expect(onIntegrity).toHaveBeenCalledTimes(1);
+    });
+    
+    test('should not report edited entries as live', async () => {
+      registry.set('session', 'token', 60);
+      registry.set('other', 'value');
+      const expires = storage.getItem(storageKey('session') + '&&expires');
+      storage.setItem(storageKey('session') + '&&expires', String(parseInt(expires, 10) + 99999));
+      
+      expect(registry.has('session')).toBe(false);
+      expect(registry.ttl('session')).toBeNull();
+      expect(registry.meta('session')).toBeNull();
+      expect(registry.keys()).toEqual(['other']);
+      expect(onIntegrity).not.toHaveBeenCalled();
+      
+      const factory = jest.fn(() => 'fresh');
+      expect(await registry.getOrSet('session', factory, 60)).toBe('fresh');
+      expect(factory).toHaveBeenCalledTimes(1);
+      expect(registry.ttl('session')).toBe(60);
+    });
+    
+    test('should reject removed expirations', () => {
+      registry.set('session', 'token', 60);
+      storage.removeItem(storageKey('session') + '&&expires');
+      
+      expect(registry.get('session')).toBeNull();
+    });
+    
+    test('should reject entries copied to another key', () => {
+      registry.set('role', 'admin');
+      storage.setItem(storageKey('guestRole'), storage.getItem(storageKey('role')));
+      
+      expect(registry.get('guestRole')).toBeNull();
+      expect(registry.get('role')).toBe('admin');
+    });
+    
+    test('should reject unsigned entries and other secrets', () => {
+      new Registry('test', { storage: storage }).set('unsigned', 'value');
+      new Registry('test', { storage: storage, integrity: 'other-secret' }).set('other', 'value');
+      
+      expect(registry.get('unsigned')).toBeNull();
+      expect(registry.get('other')).toBeNull();
+      expect(onIntegrity).toHaveBeenCalledTimes(2);
+    });
+    
+    test('should keep unsigned entries for a migration', () => {
+      const unsigned = new Registry('test', { storage: storage });
+      unsigned.set('key1', 'value1', 60);
+      
+      expect(registry.get('key1')).toBeNull();
+      expect(onIntegrity).toHaveBeenCalledTimes(1);
+      expect(storage.getItem(storageKey('key1'))).not.toBeNull();
+      
+      // Read without integrity and written again with it
+      registry.set('key1', unsigned.get('key1'), unsigned.ttl('key1'));
+      expect(registry.get('key1')).toBe('value1');
+      expect(registry.ttl('key1')).toBe(60);
+    });
+    
+    test('should sign changed expirations again', () => {
+      registry.set('key1', 'value1', 60);
+      registry.set('key2', 'value2', 60);
+      registry.set('key3', 'value3', 60, { sliding: true });
+      
+      registry.touch('key1', 3600);
+      registry.persist('key2');
+      registry.get('key3');
+      
+      expect(registry.get('key1')).toBe('value1');
+      expect(registry.get('key2')).toBe('value2');
+      expect(registry.get('key3')).toBe('value3');
+      expect(onIntegrity).not.toHaveBeenCalled();
+    });
+    
+    test('should not sign tampered entries again', () => {
+      registry.set('key1', 'value1', 60);
+      editEnvelope('key1', envelope => {
+        envelope.ttl = 86400;
+      });
+      
+      registry.touch('key1', 3600);
+      
+      expect(registry.get('key1')).toBeNull();
+      expect(onIntegrity).toHaveBeenCalledTimes(1);
+    });
+    
+    test('should check stale values', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000000000000);
+      registry.set('key1', 'value1', 60, { staleWhileRevalidate: 3600 });
+      Date.now.mockReturnValue(1000000000000 + 120000);
+      editEnvelope('key1', envelope => {
+        envelope.ct = 0;
+      });
+      
+      expect(registry.getStale('key1')).toBeNull();
+      expect(onIntegrity).toHaveBeenCalledTimes(1);
+      jest.restoreAllMocks();
+    });
+    
+    test('should sign sealed entries', async () => {
+      const sealed = new Registry('test', { storage: storage, secret: 's3cret', integrity: 'app-secret' });
+      await sealed.set('key1', 'value1');
+      
+      expect(await sealed.get('key1')).toBe('value1');
+      
+      editEnvelope('key1', envelope => {
+        envelope.ut = 0;
+      });
+      expect(await sealed.get('key1')).toBeNull();
+    });
+    
+    test('should sign values rewritten by migrations', () => {
+      registry.set('key1', 1);
+      
+      const migrated = new Registry('test', {
+        storage: storage,
+        integrity: 'app-secret',
+        version: 1,
+        migrations: [store => store.set('key1', store.get('key1') + 1)]
+      });
+      
+      expect(migrated.get('key1')).toBe(2);
+    });
+    
+    test('should sign the entries of child registries', () => {
+      const drafts = registry.child('drafts');
+      drafts.set('key1', 'value1');
+      
+      expect(drafts.get('key1')).toBe('value1');
+      expect(new Registry('test', { storage: storage }).child('drafts').get('key1')).toBe('value1');
+      expect(registry.child('drafts', { integrity: 'other-secret' }).get('key1')).toBeNull();
+    });
+  });
+  
+  describe('Passphrase', () => {
+    const options = storage => ({ storage: storage, passphrase: { iterations: 1000 } });
+    const kdfKey = 'registry:' + btoa('@vault') + '#kdf';
+    let storage;
+    let registry;
+    
+    beforeEach(() => {
+      storage = createMemoryAdapter();
+      registry = new Registry('vault', options(storage));
+    });
+    
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+    
+    test('should start locked', async () => {
+      expect(registry.isLocked()).toBe(true);
+      await expect(registry.get('missing')).rejects.toBeInstanceOf(RegistryLockedError);
+      await expect(registry.set('key1', 'value1')).rejects.toBeInstanceOf(RegistryLockedError);
+      await expect(registry.getStale('key1')).rejects.toBeInstanceOf(RegistryLockedError);
+    });
+    
+    test('should read and write once unlocked', async () => {
+      await registry.unlock('correct horse');
+      await registry.set('key1', { secret: 'abc123' });
+      
+      expect(registry.isLocked()).toBe(false);
+      expect(await registry.get('key1')).toEqual({ secret: 'abc123' });
+      expect(storage.getItem(storage.keys().find(key => key.includes(':key1')))).not.toContain('abc123');
+      
+      // The salt is stored with the namespace
+      const kdf = JSON.parse(storage.getItem(kdfKey));
+      expect(typeof kdf.salt).toBe('string');
+      expect(kdf.iterations).toBe(1000);
+    });
+    
+    test('should keep the passphrase of the namespace', async () => {
+      await registry.unlock('correct horse');
+      await registry.set('key1', 'value1');
+      
+      const other = new Registry('vault', options(storage));
+      await expect(other.unlock('wrong horse')).rejects.toBeInstanceOf(RegistryDecryptionError);
+      expect(other.isLocked()).toBe(true);
+      
+      await other.unlock('correct horse');
+      expect(await other.get('key1')).toBe('value1');
+    });
+    
+    test('should reject again once locked', async () => {
+      await registry.unlock('correct horse');
+      await registry.set('key1', 'value1');
+      registry.lock();
+      
+      expect(registry.isLocked()).toBe(true);
+      await expect(registry.get('key1')).rejects.toBeInstanceOf(RegistryLockedError);
+      
+      await registry.unlock('correct horse');
+      expect(await registry.get('key1')).toBe('value1');
+    });
+    
+    test('should seal every value again when the passphrase changes', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+      
+      await registry.unlock('correct horse');
+      await registry.set('key1', 'value1', 3600);
+      await registry.set('key2', { n: 2 });
+      const salt = JSON.parse(storage.getItem(kdfKey)).salt;
+      
+      expect(await registry.changePassphrase('correct horse', 'battery staple')).toEqual({ resealed: ['key1', 'key2'], failed: [] });
+      
+      expect(JSON.parse(storage.getItem(kdfKey)).salt).not.toBe(salt);
+      expect(await registry.get('key1')).toBe('value1');
+      expect(registry.ttl('key1')).toBe(3600);
+      
+      const other = new Registry('vault', options(storage));
+      await expect(other.unlock('correct horse')).rejects.toBeInstanceOf(RegistryDecryptionError);
+      await other.unlock('battery staple');
+      expect(await other.get('key2')).toEqual({ n: 2 });
+    });
+    
+    test('should stay locked until the current passphrase is verified', async () => {
+      await registry.unlock('correct horse');
+      registry.lock();
+      
+      const change = registry.changePassphrase('wrong horse', 'battery staple');
+      expect(registry.isLocked()).toBe(true);
+      await expect(change).rejects.toBeInstanceOf(RegistryDecryptionError);
+      expect(registry.isLocked()).toBe(true);
+      
+      await registry.changePassphrase('correct horse', 'battery staple');
+      expect(registry.isLocked()).toBe(false);
+    });
+    
+    test('should report values the current passphrase does not open', async () => {
+      const other = new Registry('other', options(storage));
+      await other.unlock('other horse');
+      await other.set('key2', 'value2');
+      await registry.unlock('correct horse');
+      await registry.set('key1', 'value1');
+      storage.setItem('registry:' + btoa('@vault') + ':key2', storage.getItem('registry:' + btoa('@other') + ':key2'));
+      
+      expect(await registry.changePassphrase('correct horse', 'battery staple')).toEqual({ resealed: ['key1'], failed: ['key2'] });
+      expect(await registry.get('key1')).toBe('value1');
+    });
+    
+    test('should keep everything when the current passphrase is wrong', async () => {
+      await registry.unlock('correct horse');
+      await registry.set('key1', 'value1');
+      const stored = storage.getItem(kdfKey);
+      
+      await expect(registry.changePassphrase('wrong horse', 'battery staple')).rejects.toBeInstanceOf(RegistryDecryptionError);
+      
+      expect(storage.getItem(kdfKey)).toBe(stored);
+      expect(await registry.get('key1')).toBe('value1');
+    });
+    
+    test('should be inherited by child registries', async () => {
+      const child = registry.child('nested');
+      await expect(child.get('key1')).rejects.toBeInstanceOf(RegistryLockedError);
+      
+      await child.unlock('correct horse');
+      await child.set('key1', 'value1');
+      expect(await child.get('key1')).toBe('value1');
+    });
+    
+    test('should refuse locking registries without a passphrase', async () => {
+      const plain = new Registry('plain', { storage: storage });
+      
+      expect(plain.isLocked()).toBe(false);
+      expect(() => plain.lock()).toThrow(RegistryError);
+      await expect(plain.unlock('correct horse')).rejects.toBeInstanceOf(RegistryError);
+      expect(() => new Registry('vault', { storage: storage, secret: 's3cret', passphrase: true })).toThrow('either a secret or a passphrase');
+    });
+  });
+  
+  describe('Key rotation', () => {
+    let storage;
+    
+    beforeEach(() => {
+      storage = createMemoryAdapter();
+    });
+    
+    test('should seal every value again with the new secret', async () => {
+      const registry = new Registry('vault', { storage: storage, secret: 'old' });
+      await registry.set('key1', 'value1', 3600);
+      await registry.set('key2', { n: 2 });
+      
+      const result = await registry.rotateKey('old', 'new');
+      
+      expect(result).toEqual({ rotated: ['key1', 'key2'], failed: [] });
+      expect(registry.meta('key1').keyId).toBe(registry.meta('key2').keyId);
+      expect(await registry.get('key1')).toBe('value1');
+      expect(registry.ttl('key1')).toBe(3600);
+      
+      const reader = new Registry('vault', { storage: storage, secret: 'new' });
+      expect(await reader.get('key2')).toEqual({ n: 2 });
+      await expect(new Registry('vault', { storage: storage, secret: 'old' }).get('key2')).rejects.toBeInstanceOf(RegistryDecryptionError);
+    });
+    
+    test('should read values of both secrets during a rotation', async () => {
+      await new Registry('vault', { storage: storage, secret: 'old' }).set('key1', 'value1');
+      
+      const registry = new Registry('vault', { storage: storage, secret: 'new', previousSecrets: ['old'] });
+      await registry.set('key2', 'value2');
+      
+      expect(registry.meta('key1').keyId).not.toBe(registry.meta('key2').keyId);
+      expect(await registry.get('key1')).toBe('value1');
+      expect(await registry.get('key2')).toBe('value2');
+    });
+    
+    test('should resume an interrupted rotation', async () => {
+      const registry = new Registry('vault', { storage: storage, secret: 'old' });
+      await registry.setMany({ key1: 'value1', key2: 'value2', key3: 'value3' });
+      
+      // Storage fails after the first value was sealed again
+      const setItem = storage.setItem;
+      let writes = 0;
+      storage.setItem = function(key, value) {
+        if (++writes > 1) {
+          throw new Error('Interrupted');
+        }
+        setItem(key, value);
+      };
+      await expect(registry.rotateKey('old', 'new')).rejects.toThrow('Interrupted');
+      storage.setItem = setItem;
+      
+      // Values of both secrets are still read
+      expect(await registry.getMany(['key1', 'key2', 'key3'])).toEqual({ key1: 'value1', key2: 'value2', key3: 'value3' });
+      
+      const result = await registry.rotateKey('old', 'new');
+      expect(result.rotated).toEqual(['key2', 'key3']);
+      
+      const reader = new Registry('vault', { storage: storage, secret: 'new' });
+      expect(await reader.getMany(['key1', 'key2', 'key3'])).toEqual({ key1: 'value1', key2: 'value2', key3: 'value3' });
+    });
+    
+    test('should migrate values of the legacy cipher', async () => {
+      new Registry('vault', { storage: storage }).set('key1', { n: 1 });
+      
+      const registry = new Registry('vault', { storage: storage, secret: 'new' });
+      expect(registry.meta('key1').cipher).toBe('shift');
+      
+      expect(await registry.rotateKey(null, 'new')).toEqual({ rotated: ['key1'], failed: [] });
+      expect(registry.meta('key1').cipher).toBe('aes-gcm');
+      expect(await registry.get('key1')).toEqual({ n: 1 });
+    });
+    
+    test('should migrate values written before envelopes', async () => {
+      storage.setItem('registry:' + btoa('@vault') + ':key1', JSON.stringify(encrypt({ n: 1 }, 'key1')));
+      storage.setItem('registry:' + btoa('@vault') + ':key2', JSON.stringify(encrypt(null, 'key2')));
+      
+      const registry = new Registry('vault', { storage: storage, secret: 'new' });
+      expect(await registry.get('key1')).toEqual({ n: 1 });
+      
+      expect(await registry.rotateKey(null, 'new')).toEqual({ rotated: ['key1', 'key2'], failed: [] });
+      expect(registry.meta('key1').cipher).toBe('aes-gcm');
+      expect(await registry.getMany(['key1', 'key2'])).toEqual({ key1: { n: 1 }, key2: null });
+    });
+    
+    test('should report values no known secret opens', async () => {
+      await new Registry('vault', { storage: storage, secret: 'lost' }).set('key1', 'value1');
+      const registry = new Registry('vault', { storage: storage, secret: 'old' });
+      await registry.set('key2', 'value2');
+      
+      expect(await registry.rotateKey('old', 'new')).toEqual({ rotated: ['key2'], failed: ['key1'] });
+    });
+    
+    test('should refuse registries without a secret', async () => {
+      await expect(new Registry('plain', { storage: storage }).rotateKey(null, 'new')).rejects.toBeInstanceOf(RegistryError);
+      await expect(new Registry('vault', { storage: storage, secret: 'old' }).rotateKey('old', '')).rejects.toThrow('non-empty string');
+      expect(() => new Registry('plain', { storage: storage, previousSecrets: ['old'] })).toThrow('options.secret');
+    });
+  });
+  
+  describe('Hidden keys', () => {
+    const options = { secret: 's3cret', hashKeys: 'key-secret' };
+    let storage;
+    let registry;
+    
+    beforeEach(() => {
+      storage = createMemoryAdapter();
+      registry = new Registry('app', Object.assign({ storage: storage }, options));
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    const storedText = () => storage.keys().concat(storage.keys().map(key => storage.getItem(key))).join(' ');
+    
+    test('should store values under hashed keys', async () => {
+      await registry.set('user-token', 'abc123', 3600);
+      await registry.set('settings', { theme: 'dark' });
+      
+      expect(storedText()).not.toContain('user-token');
+      expect(storedText()).not.toContain('settings');
+      expect(storage.keys()).toContain('registry:' + btoa('@app') + '#keys');
+      expect(await registry.get('user-token')).toBe('abc123');
+      expect(registry.has('settings')).toBe(true);
+      expect(registry.ttl('user-token')).toBe(3600);
+    });
+    
+    test('should need a secret or a passphrase', () => {
+      expect(() => new Registry('app', { storage: storage, hashKeys: 'key-secret' })).toThrow('options.hashKeys needs options.secret or options.passphrase');
+    });
+    
+    test('should list keys through the index', async () => {
+      await registry.set('key1', 'value1');
+      await registry.set('key2', 'value2');
+      registry.remove('key1');
+      
+      expect(await registry.keys()).toEqual(['key2']);
+      expect(await registry.entries()).toEqual([['key2', 'value2']]);
+      expect(await registry.size()).toBe(1);
+      expect(Object.keys((await registry.usage()).keys)).toEqual(['key2']);
+      
+      const other = new Registry('app', Object.assign({ storage: storage }, options));
+      expect(await other.keys()).toEqual(['key2']);
+    });
+    
+    test('should seal the index with the secret', async () => {
+      await registry.setMany({ key1: 'value1', key2: 'value2' });
+      
+      const index = JSON.parse(storage.getItem('registry:' + btoa('@app') + '#keys'));
+      const opened = await open(index.d, await importSecret('s3cret'), 'registry:' + btoa('@app') + '#keys');
+      expect(Object.values(opened).sort()).toEqual(['key1', 'key2']);
+    });
+    
+    test('should empty the namespace and its index', async () => {
+      await registry.set('key1', 'value1');
+      registry.empty();
+      
+      expect(await registry.keys()).toEqual([]);
+      expect(storage.keys().filter(key => key.endsWith('#keys'))).toEqual([]);
+    });
+    
+    test('should sweep expired values by name', async () => {
+      let now = 1000000000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const onExpire = jest.fn();
+      registry.on('expire', onExpire);
+      await registry.set('key1', 'value1', 1);
+      await registry.set('key2', 'value2');
+      
+      now += 2000;
+      
+      expect(await registry.purgeExpired()).toEqual(['key1']);
+      expect(onExpire).toHaveBeenCalledWith(expect.objectContaining({ key: 'key1' }));
+      expect(await registry.keys()).toEqual(['key2']);
+    });
+    
+    test('should evict by name', async () => {
+      const onEvict = jest.fn();
+      const limited = new Registry('limited', Object.assign({ storage: storage, policy: { maxEntries: 2, evict: 'oldest', onEvict: onEvict } }, options));
+      await limited.set('key1', 'value1');
+      await limited.set('key2', 'value2');
+      await limited.set('key3', 'value3');
+      
+      expect(onEvict).toHaveBeenCalledWith('key1');
+      expect((await limited.keys()).sort()).toEqual(['key2', 'key3']);
+    });
+    
+    test('should not list keys without the right secret', async () => {
+      await registry.set('key1', 'value1');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      const other = new Registry('app', { storage: storage, secret: 'other', hashKeys: 'key-secret' });
+      expect(await other.keys()).toEqual([]);
+      expect(console.error).toHaveBeenCalledWith('Error reading key index:', expect.any(RegistryDecryptionError));
+      await expect(other.set('key2', 'value2')).rejects.toBeInstanceOf(RegistryDecryptionError);
+      expect(await registry.keys()).toEqual(['key1']);
+      
+      const otherNames = new Registry('app', { storage: storage, secret: 's3cret', hashKeys: 'other' });
+      expect(await otherNames.keys()).toEqual([]);
+    });
+    
+    test('should keep the index readable when the secret changes', async () => {
+      await registry.set('key1', 'value1');
+      
+      const rotating = new Registry('app', Object.assign({ storage: storage }, options));
+      expect(await rotating.rotateKey(null, 'n3w')).toEqual({ rotated: ['key1'], failed: [] });
+      
+      const rotated = new Registry('app', { storage: storage, secret: 'n3w', hashKeys: 'key-secret' });
+      expect(await rotated.keys()).toEqual(['key1']);
+      expect(await rotated.get('key1')).toBe('value1');
+    });
+    
+    test('should hide key names of passphrase protected registries', async () => {
+      const passphraseOptions = { storage: storage, passphrase: { iterations: 1000 }, hashKeys: 'key-secret' };
+      const vault = new Registry('vault', passphraseOptions);
+      await expect(vault.keys()).rejects.toBeInstanceOf(RegistryLockedError);
+      
+      await vault.unlock('correct horse');
+      await vault.set('user-token', 'abc123');
+      expect(storedText()).not.toContain('user-token');
+      expect(await vault.changePassphrase('correct horse', 'battery staple')).toEqual({ resealed: ['user-token'], failed: [] });
+      
+      vault.lock();
+      await expect(vault.keys()).rejects.toBeInstanceOf(RegistryLockedError);
+      
+      const reopened = new Registry('vault', passphraseOptions);
+      await reopened.unlock('battery staple');
+      expect(await reopened.keys()).toEqual(['user-token']);
+      expect(await reopened.get('user-token')).toBe('abc123');
+    });
+    
+    test('should move values written under plain keys', async () => {
+      const plainStorage = createMemoryAdapter();
+      const plainText = () => plainStorage.keys().concat(plainStorage.keys().map(key => plainStorage.getItem(key))).join(' ');
+      const before = new Registry('app', { storage: plainStorage, secret: 's3cret', integrity: 'sign-secret', policy: { maxEntries: 10 } });
+      await before.set('user-token', 'abc123', 3600);
+      await before.set('settings', { theme: 'dark' });
+      
+      const hidden = new Registry('app', Object.assign({ storage: plainStorage, integrity: 'sign-secret', policy: { maxEntries: 10 } }, options));
+      expect((await hidden.keys()).sort()).toEqual(['settings', 'user-token']);
+      expect(plainText()).not.toContain('user-token');
+      expect(await hidden.get('user-token')).toBe('abc123');
+      expect(hidden.ttl('user-token')).toBe(3600);
+      expect(await hidden.get('settings')).toEqual({ theme: 'dark' });
+      
+      // Only once: plain keys written later are not moved
+      await new Registry('app', { storage: plainStorage, secret: 's3cret' }).set('later', 'value');
+      await new Registry('app', Object.assign({ storage: plainStorage }, options)).keys();
+      expect(await new Registry('app', { storage: plainStorage, secret: 's3cret' }).get('later')).toBe('value');
+    });
+    
+    test('should hand names to migrations', async () => {
+      await registry.set('name', 'Ada');
+      
+      const migrated = new Registry('app', Object.assign({ storage: storage, version: 1, migrations: [
+        store => {
+          store.set('user', { name: store.get('name') });
+          store.remove('name');
+        }
+      ] }, options));
+      
+      expect(await migrated.keys()).toEqual(['user']);
+      expect(await migrated.get('user')).toEqual({ name: 'Ada' });
+      expect(storage.keys().join(' ')).not.toContain(':user');
+    });
+    
+    test('should be inherited by child registries', async () => {
+      await registry.child('nested').set('user-token', 'abc123');
+      
+      expect(storedText()).not.toContain('user-token');
+      expect(await registry.child('nested').keys()).toEqual(['user-token']);
+    });
+  });
+  
+  describe('Strict mode', () => {
+    const storageKey = key => 'registry:' + btoa('@test') + ':' + key;
+    let storage;
+    
+    beforeEach(() => {
+      storage = createMemoryAdapter();
+    });
+    
+    test('should throw on values that are not valid JSON', () => {
+      const registry = new Registry('test', { storage: storage, strict: true });
+      storage.setItem(storageKey('key1'), '{broken');
+      
+      expect(() => registry.get('key1')).toThrow(RegistryCorruptEntryError);
+      expect(() => registry.meta('key1')).toThrow(RegistryCorruptEntryError);
+    });
+    
+    test('should throw on values that cannot be decoded', () => {
+      const registry = new Registry('test', { storage: storage, strict: true });
+      storage.setItem(storageKey('key1'), JSON.stringify({ v: 1, c: 'shift', e: 'zstd', d: 'data' }));
+      storage.setItem(storageKey('key2'), JSON.stringify({ v: 1, c: 'shift', e: 'base64', d: '!!' }));
+      
+      let error = null;
+      try {
+        registry.get('key1');
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(RegistryCorruptEntryError);
+      expect(error.key).toBe('key1');
+      expect(error.cause.message).toBe('Unknown encoding: zstd');
+      expect(() => registry.get('key2')).toThrow(RegistryCorruptEntryError);
+    });
+    
+    test('should throw when an entry fails the integrity check', () => {
+      const registry = new Registry('test', { storage: storage, integrity: 'sign-secret', strict: true });
+      registry.set('key1', 'value1');
+      const envelope = JSON.parse(storage.getItem(storageKey('key1')));
+      envelope.ct = 1;
+      storage.setItem(storageKey('key1'), JSON.stringify(envelope));
+      
+      expect(() => registry.get('key1')).toThrow(RegistryIntegrityError);
+      expect(storage.getItem(storageKey('key1'))).toBeNull();
+    });
+    
+    test('should throw a quota error when a value does not fit', () => {
+      const registry = new Registry('test', { storage: storage, strict: true });
+      const lenient = new Registry('test', { storage: storage });
+      storage.setItem = () => {
+        const error = new Error('The quota has been exceeded.');
+        error.name = 'QuotaExceededError';
+        throw error;
+      };
+      
+      expect(() => registry.set('key1', 'value1')).toThrow(RegistryQuotaError);
+      expect(() => lenient.set('key1', 'value1')).toThrow('The quota has been exceeded.');
+    });
+    
+    test('should throw when the storage is not available', () => {
+      const registry = new Registry('test', { storage: storage, strict: true });
+      storage.getItem = () => {
+        throw new Error('The operation is insecure.');
+      };
+      
+      expect(() => registry.get('key1')).toThrow(RegistryStorageUnavailableError);
+      expect(() => registry.get('key1')).toThrow('Storage is not available: The operation is insecure.');
+    });
+    
+    test('should reject with a secret', async () => {
+      const registry = new Registry('test', { storage: storage, secret: 's3cret', strict: true });
+      storage.setItem(storageKey('key1'), '{broken');
+      storage.setItem(storageKey('key2'), JSON.stringify({ v: 1, c: 'aes-gcm', e: 'zstd', d: 'data' }));
+      
+      await expect(registry.get('key1')).rejects.toBeInstanceOf(RegistryCorruptEntryError);
+      await expect(registry.get('key2')).rejects.toBeInstanceOf(RegistryCorruptEntryError);
+    });
+    
+    test('should hand typed errors to onError instead of logging them', () => {
+      const onError = jest.fn();
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const registry = new Registry('test', { storage: storage, onError: onError });
+      storage.setItem(storageKey('key1'), '{broken');
+      registry.on('change', () => {
+        throw new Error('handler failed');
+      });
+      
+      expect(registry.get('key1')).toBeNull();
+      registry.set('key2', 'value2');
+      
+      expect(onError).toHaveBeenCalledTimes(2);
+      expect(onError.mock.calls[0][0]).toBeInstanceOf(RegistryCorruptEntryError);
+      expect(onError.mock.calls[1][0].message).toBe('handler failed');
+      expect(consoleError).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+    
+    test('should hand errors of migrations to onError', () => {
+      const onError = jest.fn();
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      new Registry('test', { storage: storage }).set('key1', 'value1');
+      storage.setItem(storageKey('key2'), '{broken');
+      
+      const migrated = new Registry('test', { storage: storage, version: 1, migrations: [store => store.set('key1', 'value2')], onError: onError });
+      
+      expect(migrated.get('key1')).toBe('value2');
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0]).toBeInstanceOf(RegistryCorruptEntryError);
+      expect(onError.mock.calls[0][0].key).toBe('key2');
+      expect(consoleError).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+    
+    test('should be inherited by child registries', () => {
+      const child = new Registry('test', { storage: storage, strict: true }).child('nested');
+      child.set('key1', 'value1');
+      const namespacedKey = storage.keys().find(key => key.indexOf(':key1') !== -1);
+      storage.setItem(namespacedKey, '{broken');
+      
+      expect(() => child.get('key1')).toThrow(RegistryCorruptEntryError);
+    });
+  });
+  
+  describe('Namespace administration', () => {
+    test('should list the namespaces of the origin', () => {
+      const settings = new Registry('settings');
+      settings.set('theme', 'dark');
+      settings.set('lang', 'en', 3600);
+      settings.child('user-42').set('key1', 'value1');
+      new Registry().set('key1', 'value1');
+      localStorage.setItem('unrelated', 'value');
+      
+      const namespaces = Registry.namespaces();
+      
+      expect(namespaces.map(ns => [ns.name, ns.origin, ns.entries])).toEqual([
+        ['settings', null, 3],
+        [null, window.location.origin, 1]
+      ]);
+      expect(namespaces[0].namespace).toBe(btoa('@settings'));
+      expect(namespaces[0].bytes).toBeGreaterThan(namespaces[1].bytes);
+    });
+    
+    test('should list the namespaces of a storage adapter', () => {
+      const storage = createMemoryAdapter();
+      new Registry('cache', { storage: storage }).set('key1', 'value1');
+      
+      expect(Registry.namespaces({ storage: storage }).map(ns => ns.name)).toEqual(['cache']);
+      expect(Registry.namespaces()).toEqual([]);
+    });
+    
+    test('should drop a namespace', () => {
+      const legacy = new Registry('legacy');
+      legacy.set('key1', 'value1');
+      legacy.child('drafts').set('key1', 'value1');
+      new Registry('current').set('key1', 'value1');
+      
+      expect(Registry.drop('legacy')).toBe(true);
+      expect(Registry.drop('missing')).toBe(false);
+      
+      expect(legacy.get('key1')).toBeNull();
+      expect(legacy.child('drafts').get('key1')).toBeNull();
+      expect(new Registry('current').get('key1')).toBe('value1');
+    });
+    
+    test('should drop namespaces listed by namespaces()', () => {
+      new Registry().set('key1', 'value1');
+      
+      Registry.namespaces().forEach(ns => Registry.drop(ns));
+      
+      expect(localStorage.length).toBe(0);
+    });
+    
+    test('should rename a namespace', async () => {
+      const old = new Registry('v1', { secret: 's3cret' });
+      await old.set('key1', 'value1', 3600);
+      await old.child('drafts').set('key2', 'value2');
+      
+      await expect(Registry.rename('v1', 'v2')).rejects.toThrow('pass options.secret');
+      await expect(Registry.rename('v1', 'v2', { secret: 'wrong' })).rejects.toBeInstanceOf(RegistryDecryptionError);
+      expect(await old.get('key1')).toBe('value1');
+      
+      expect(await Registry.rename('v1', 'v2', { secret: 's3cret' })).toBe(true);
+      
+      const renamed = new Registry('v2', { secret: 's3cret' });
+      expect(await renamed.get('key1')).toBe('value1');
+      expect(renamed.ttl('key1')).toBeGreaterThan(3500);
+      expect(await renamed.child('drafts').get('key2')).toBe('value2');
+      expect(Registry.namespaces().map(ns => ns.name)).toEqual(['v2']);
+    });
+    
+    test('should sign entries again when renaming a namespace', async () => {
+      const old = new Registry('v1', { integrity: 'app-secret' });
+      old.set('key1', 'value1', 3600);
+      old.child('drafts').set('key2', 'value2');
+      
+      await expect(Registry.rename('v1', 'v2')).rejects.toThrow('pass options.integrity');
+      expect(old.get('key1')).toBe('value1');
+      
+      expect(await Registry.rename('v1', 'v2', { integrity: 'app-secret' })).toBe(true);
+      
+      const renamed = new Registry('v2', { integrity: 'app-secret' });
+      expect(renamed.get('key1')).toBe('value1');
+      expect(renamed.ttl('key1')).toBeGreaterThan(3500);
+      expect(renamed.child('drafts').get('key2')).toBe('value2');
+    });
+    
+    test('should seal the index of hidden key names again when renaming a namespace', async () => {
+      const options = { secret: 's3cret', integrity: 'app-secret', hashKeys: 'key-secret' };
+      const old = new Registry('v1', options);
+      await old.set('key1', 'value1', 3600);
+      await old.child('drafts').set('key2', 'value2');
+      
+      await expect(Registry.rename('v1', 'v2', { integrity: 'app-secret' })).rejects.toThrow('pass options.secret or options.passphrase');
+      await expect(Registry.rename('v1', 'v2', { secret: 'other', integrity: 'app-secret' })).rejects.toBeInstanceOf(RegistryDecryptionError);
+      expect(await old.keys()).toEqual(['key1']);
+      
+      expect(await Registry.rename('v1', 'v2', { secret: 's3cret', integrity: 'app-secret' })).toBe(true);
+      
+      const renamed = new Registry('v2', options);
+      expect(await renamed.keys()).toEqual(['key1']);
+      expect(await renamed.get('key1')).toBe('value1');
+      expect(renamed.ttl('key1')).toBeGreaterThan(3500);
+      expect(await renamed.child('drafts').keys()).toEqual(['key2']);
+      expect(await renamed.child('drafts').get('key2')).toBe('value2');
+    });
+    
+    test('should seal values again when renaming a passphrase protected namespace', async () => {
+      const options = { passphrase: { iterations: 1000 }, integrity: 'app-secret' };
+      const old = new Registry('v1', options);
+      await old.unlock('correct horse');
+      await old.set('key1', 'value1');
+      
+      await expect(Registry.rename('v1', 'v2', { passphrase: 'wrong horse', integrity: 'app-secret' })).rejects.toThrow('Wrong passphrase');
+      expect(await Registry.rename('v1', 'v2', { passphrase: 'correct horse', integrity: 'app-secret' })).toBe(true);
+      
+      const renamed = new Registry('v2', options);
+      await renamed.unlock('correct horse');
+      expect(await renamed.get('key1')).toBe('value1');
+    });
+    
+    test('should not rename onto a namespace holding data', async () => {
+      new Registry('v1').set('key1', 'value1');
+      new Registry('v2').set('key1', 'value2');
+      
+      await expect(Registry.rename('v1', 'v2')).rejects.toBeInstanceOf(RegistryError);
+      expect(new Registry('v1').get('key1')).toBe('value1');
+      expect(new Registry('v2').get('key1')).toBe('value2');
+    });
+  });
+  
+  describe('Usage', () => {
+    afterEach(() => {
+      delete navigator.storage;
+    });
+    
+    test('should measure the namespace per key', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('usage', { storage: storage });
+      registry.set('key1', 'value1', 3600);
+      registry.set('key2', 'value2');
+      new Registry('other', { storage: storage }).set('key1', 'value1');
+      
+      const usage = registry.usage();
+      const prefix = 'registry:' + btoa('@usage') + ':';
+      const expirationKey = prefix + 'key1&&expires';
+      
+      expect(usage.entries).toBe(2);
+      expect(usage.budget).toBeNull();
+      expect(usage.keys.key1.expiration).toBe((expirationKey.length + storage.getItem(expirationKey).length) * 2);
+      expect(usage.keys.key2).toEqual({
+        bytes: (prefix.length + 4 + storage.getItem(prefix + 'key2').length) * 2,
+        value: (prefix.length + 4 + storage.getItem(prefix + 'key2').length) * 2,
+        expiration: 0
+      });
+      expect(usage.bytes).toBe(usage.keys.key1.bytes + usage.keys.key2.bytes);
+    });
+    
+    test('should report the budget of the policy', () => {
+      expect(new Registry('usage', { policy: { maxBytes: 1000 } }).usage().budget).toBe(1000);
+      expect(new Registry('usage', { warnAt: 0.5 }).usage().budget).toBe(5 * 1024 * 1024);
+    });
+    
+    test('should emit a quota event when crossing the warning threshold', () => {
+      const registry = new Registry('usage', { budget: 4000, warnAt: 0.5 });
+      const onQuota = jest.fn();
+      registry.on('quota', onQuota);
+      
+      registry.set('key1', 'x');
+      expect(onQuota).not.toHaveBeenCalled();
+      
+      registry.set('key2', 'x'.repeat(1000));
+      registry.set('key3', 'x');
+      expect(onQuota).toHaveBeenCalledTimes(1);
+      expect(onQuota.mock.calls[0][0]).toMatchObject({ type: 'quota', key: 'key2', remote: false });
+      expect(onQuota.mock.calls[0][0].value.budget).toBe(4000);
+      expect(onQuota.mock.calls[0][0].value.ratio).toBeGreaterThanOrEqual(0.5);
+      
+      // Warns again once usage went back below the threshold
+      registry.remove('key2');
+      registry.set('key4', 'x');
+      registry.set('key2', 'x'.repeat(1000));
+      expect(onQuota).toHaveBeenCalledTimes(2);
+    });
+    
+    test('should warn again after removals brought usage below the threshold', () => {
+      let now = 1000000000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const registry = new Registry('usage', { storage: createMemoryAdapter(), budget: 1000, warnAt: 0.5 });
+      const onQuota = jest.fn();
+      registry.on('quota', onQuota);
+      
+      registry.set('key1', 'x'.repeat(300));
+      expect(onQuota).toHaveBeenCalledTimes(1);
+      
+      // Removing the value re-arms the warning
+      registry.remove('key1');
+      registry.set('key1', 'x'.repeat(300));
+      expect(onQuota).toHaveBeenCalledTimes(2);
+      
+      registry.empty();
+      registry.set('key1', 'x'.repeat(300), 1);
+      expect(onQuota).toHaveBeenCalledTimes(3);
+      
+      now += 2000;
+      registry.purgeExpired();
+      registry.set('key1', 'x'.repeat(300));
+      expect(onQuota).toHaveBeenCalledTimes(4);
+      
+      jest.restoreAllMocks();
+    });
+    
+    test('should warn again after evictions brought usage below the threshold', () => {
+      const registry = new Registry('usage', { storage: createMemoryAdapter(), warnAt: 0.5, policy: { maxBytes: 1000, evict: 'oldest' } });
+      const onQuota = jest.fn();
+      registry.on('quota', onQuota);
+      
+      registry.set('key1', 'x'.repeat(300));
+      registry.set('key2', 'x'.repeat(300));
+      expect(registry.keys()).toEqual(['key2']);
+      expect(onQuota).toHaveBeenCalledTimes(2);
+      expect(onQuota.mock.calls[1][0]).toMatchObject({ type: 'quota', key: 'key2' });
+    });
+    
+    test('should reject an invalid threshold', () => {
+      expect(() => new Registry('usage', { warnAt: 2 })).toThrow('warnAt must be between 0 and 1');
+    });
+    
+    test('should measure the origin', async () => {
+      new Registry('usage').set('key1', 'value1');
+      localStorage.setItem('other', 'value');
+      
+      const usage = await Registry.usage();
+      
+      expect(usage.namespaces.map(ns => ns.name)).toEqual(['usage']);
+      expect(usage.bytes).toBe(usage.namespaces[0].bytes + ('othervalue').length * 2);
+      expect(usage.usage).toBeNull();
+      expect(usage.quota).toBeNull();
+    });
+    
+    test('should include the estimate of the browser', async () => {
+      navigator.storage = { estimate: jest.fn(() => Promise.resolve({ usage: 2048, quota: 1048576 })) };
+      
+      const usage = await Registry.usage();
+      
+      expect(usage.usage).toBe(2048);
+      expect(usage.quota).toBe(1048576);
+    });
+  });
+  
+  describe('Storage adapters', () => {
+    test('should store values in the given adapter', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage });
+      registry.set('key1', 'value1');
+      
+      expect(registry.get('key1')).toBe('value1');
+      expect(new Registry('test', { storage: storage }).get('key1')).toBe('value1');
+      expect(localStorage.length).toBe(0);
+    });
+    
+    test('should isolate registries using different adapters', () => {
+      const registry1 = new Registry('test', { storage: createMemoryAdapter() });
+      const registry2 = new Registry('test', { storage: createMemoryAdapter() });
+      registry1.set('key1', 'value1');
+      
+      expect(registry2.get('key1')).toBeNull();
+    });
+    
+    test('should empty only the given adapter', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage });
+      const localRegistry = new Registry('test');
+      registry.set('key1', 'value1');
+      localRegistry.set('key1', 'local');
+      
+      registry.empty();
+      
+      expect(registry.get('key1')).toBeNull();
+      expect(localRegistry.get('key1')).toBe('local');
+    });
+    
+    test('should expire values in the given adapter', () => {
+      jest.useFakeTimers();
+      
+      const registry = new Registry('test', { storage: createMemoryAdapter() });
+      registry.set('key1', 'value1', 1);
+      
+      jest.advanceTimersByTime(2000);
+      
+      expect(registry.get('key1')).toBeNull();
+      
+      jest.useRealTimers();
+    });
+    
+    test('should support sessionStorage', () => {
+      sessionStorage.clear();
+      const registry = new Registry('test', { storage: sessionStorageAdapter });
+      registry.set('key1', 'value1');
+      
+      expect(registry.get('key1')).toBe('value1');
+      expect(new Registry('test').get('key1')).toBeNull();
+    });
+  });
+  
+  describe('Read-modify-write helpers', () => {
+    test('should update a value with a function', async () => {
+      const registry = new Registry('test');
+      registry.set('key1', 'value');
+      
+      await expect(registry.update('key1', value => value + '!')).resolves.toBe('value!');
+      expect(registry.get('key1')).toBe('value!');
+    });
+    
+    test('should pass null for missing values', async () => {
+      const registry = new Registry('test');
+      const fn = jest.fn(() => 'created');
+      
+      await registry.update('key1', fn);
+      
+      expect(fn).toHaveBeenCalledWith(null);
+      expect(registry.get('key1')).toBe('created');
+    });
+    
+    test('should keep the expiration', async () => {
+      const registry = new Registry('test');
+      registry.set('key1', 1, 60);
+      const expiresAt = registry.meta('key1').expiresAt;
+      
+      await registry.increment('key1');
+      
+      expect(registry.meta('key1').expiresAt).toBe(expiresAt);
+      expect(registry.meta('key1').ttl).toBe(60);
+    });
+    
+    test('should run concurrent updates one after the other', async () => {
+      const registry = new Registry('test');
+      
+      await Promise.all([
+        registry.update('counter', value => new Promise(resolve => setTimeout(() => resolve((value || 0) + 1), 10))),
+        registry.update('counter', value => (value || 0) + 1),
+        registry.increment('counter', 5)
+      ]);
+      
+      expect(registry.get('counter')).toBe(7);
+    });
+    
+    test('should increment numbers', async () => {
+      const registry = new Registry('test');
+      
+      await expect(registry.increment('count')).resolves.toBe(1);
+      await expect(registry.increment('count', 2)).resolves.toBe(3);
+      await expect(registry.increment('count', -4)).resolves.toBe(-1);
+    });
+    
+    test('should push items to arrays', async () => {
+      const registry = new Registry('test');
+      
+      await registry.push('list', 'a');
+      await expect(registry.push('list', ['b'])).resolves.toEqual(['a', ['b']]);
+    });
+    
+    test('should deeply merge objects', async () => {
+      const registry = new Registry('test');
+      registry.set('settings', { theme: 'dark', editor: { tabs: 2, wrap: true } });
+      
+      await registry.merge('settings', { editor: { tabs: 4 } });
+      
+      expect(registry.get('settings')).toEqual({ theme: 'dark', editor: { tabs: 4, wrap: true } });
+    });
+    
+    test('should reject values of the wrong type and keep them', async () => {
+      const registry = new Registry('test');
+      registry.set('key1', 'text');
+      
+      await expect(registry.increment('key1')).rejects.toThrow(TypeError);
+      await expect(registry.push('key1', 1)).rejects.toThrow('Cannot push to key1, it is not an array');
+      await expect(registry.merge('key1', {})).rejects.toThrow(TypeError);
+      expect(registry.get('key1')).toBe('text');
+    });
+    
+    test('should update sealed values', async () => {
+      const registry = new Registry('secure', { secret: 's3cret' });
+      await registry.set('count', 1);
+      
+      await expect(registry.increment('count')).resolves.toBe(2);
+      expect(await registry.get('count')).toBe(2);
+    });
+  });
+  
+  describe('getOrSet', () => {
+    let now;
+    
+    beforeEach(() => {
+      now = 1000000000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    test('should return stored values without calling the factory', async () => {
+      const registry = new Registry('test');
+      registry.set('user', { name: 'Ada' });
+      const factory = jest.fn();
+      
+      await expect(registry.getOrSet('user', factory, 60)).resolves.toEqual({ name: 'Ada' });
+      expect(factory).not.toHaveBeenCalled();
+    });
+    
+    test('should store the value of the factory with the TTL', async () => {
+      const registry = new Registry('test');
+      const factory = jest.fn(key => Promise.resolve('fetched ' + key));
+      
+      await expect(registry.getOrSet('user', factory, 60)).resolves.toBe('fetched user');
+      expect(registry.get('user')).toBe('fetched user');
+      expect(registry.ttl('user')).toBe(60);
+      
+      await registry.getOrSet('user', factory, 60);
+      expect(factory).toHaveBeenCalledTimes(1);
+    });
+    
+    test('should share one factory call between concurrent calls', async () => {
+      const registry = new Registry('test');
+      let resolve;
+      const factory = jest.fn(() => new Promise(r => {
+        resolve = r;
+      }));
+      
+      const first = registry.getOrSet('user', factory, 60);
+      const second = registry.getOrSet('user', factory, 60);
+      await Promise.resolve();
+      resolve('value');
+      
+      await expect(Promise.all([first, second])).resolves.toEqual(['value', 'value']);
+      expect(factory).toHaveBeenCalledTimes(1);
+    });
+    
+    test('should not store anything when the factory fails', async () => {
+      const registry = new Registry('test');
+      
+      await expect(registry.getOrSet('user', () => Promise.reject(new Error('offline')), 60)).rejects.toThrow('offline');
+      expect(registry.has('user')).toBe(false);
+      await expect(registry.getOrSet('user', () => 'retried', 60)).resolves.toBe('retried');
+    });
+    
+    test('should call the factory again once the value expired', async () => {
+      const registry = new Registry('test');
+      await registry.getOrSet('user', () => 'old', 60);
+      now += 61000;
+      
+      await expect(registry.getOrSet('user', () => 'new', 60)).resolves.toBe('new');
+    });
+    
+    test('should serve stale values while refreshing them', async () => {
+      const registry = new Registry('test');
+      await registry.getOrSet('user', () => 'old', 60, { staleWhileRevalidate: 300 });
+      now += 120000;
+      
+      expect(registry.get('user')).toBeNull();
+      let resolve;
+      const factory = jest.fn(() => new Promise(r => {
+        resolve = r;
+      }));
+      
+      await expect(registry.getOrSet('user', factory, 60, { staleWhileRevalidate: 300 })).resolves.toBe('old');
+      await expect(registry.getOrSet('user', factory, 60, { staleWhileRevalidate: 300 })).resolves.toBe('old');
+      expect(factory).toHaveBeenCalledTimes(1);
+      
+      resolve('new');
+      await new Promise(r => setTimeout(r, 0));
+      expect(registry.get('user')).toBe('new');
+    });
+    
+    test('should not serve values past the stale window', async () => {
+      const registry = new Registry('test');
+      await registry.getOrSet('user', () => 'old', 60, { staleWhileRevalidate: 300 });
+      now += 400000;
+      
+      await expect(registry.getOrSet('user', () => 'new', 60, { staleWhileRevalidate: 300 })).resolves.toBe('new');
+    });
+    
+    test('should read stale values with getStale', () => {
+      const registry = new Registry('test');
+      registry.set('user', 'old', 60, { staleWhileRevalidate: 300 });
+      expect(registry.getStale('user')).toBe('old');
+      
+      now += 120000;
+      expect(registry.get('user')).toBeNull();
+      expect(registry.getStale('user')).toBe('old');
+      
+      now += 300000;
+      expect(registry.getStale('user')).toBeNull();
+    });
+    
+    test('should serve stale sealed values', async () => {
+      const registry = new Registry('secure', { secret: 's3cret' });
+      await registry.getOrSet('token', () => 'old', 60, { staleWhileRevalidate: 300 });
+      now += 120000;
+      
+      await expect(registry.getOrSet('token', () => 'new', 60, { staleWhileRevalidate: 300 })).resolves.toBe('old');
+      await new Promise(r => setTimeout(r, 10));
+      expect(await registry.get('token')).toBe('new');
+    });
+  });
+  
+  describe('Transactions', () => {
+    // Records the channels and messages of BroadcastChannel
+    class RecordingChannel {
+      constructor(name) {
+        this.name = name;
+        RecordingChannel.channels.push(this);
+      }
+      
+      postMessage(data) {
+        RecordingChannel.messages.push(data);
+      }
+      
+      close() {}
+    }
+    
+    beforeEach(() => {
+      RecordingChannel.channels = [];
+      RecordingChannel.messages = [];
+    });
+    
+    afterEach(() => {
+      delete global.BroadcastChannel;
+    });
+    
+    test('should write staged values when the callback returns', () => {
+      const registry = new Registry('test');
+      registry.set('stale', 'value');
+      
+      const result = registry.transaction(tx => {
+        tx.set('token', 'abc123', 60);
+        tx.set('profile', { name: 'Ada' });
+        tx.remove('stale');
+        
+        expect(registry.get('token')).toBeNull();
+        expect(tx.get('token')).toBe('abc123');
+        expect(tx.get('stale')).toBeNull();
+        return 'done';
+      });
+      
+      expect(result).toBe('done');
+      expect(registry.get('token')).toBe('abc123');
+      expect(registry.ttl('token')).toBe(60);
+      expect(registry.get('profile')).toEqual({ name: 'Ada' });
+      expect(registry.has('stale')).toBe(false);
+    });
+    
+    test('should write nothing when the callback throws', () => {
+      const registry = new Registry('test');
+      
+      expect(() => registry.transaction(tx => {
+        tx.set('token', 'abc123');
+        throw new Error('aborted');
+      })).toThrow('aborted');
+      
+      expect(registry.size()).toBe(0);
+    });
+    
+    test('should restore previous values when a write fails', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage });
+      registry.set('token', 'old', 60);
+      registry.set('profile', 'old profile');
+      const onChange = jest.fn();
+      registry.on('change', onChange);
+      
+      const setItem = storage.setItem;
+      storage.setItem = (key, value) => {
+        if (key.endsWith(':profile')) {
+          throw new Error('QuotaExceededError');
+        }
+        setItem(key, value);
+      };
+      
+      expect(() => registry.setMany({ token: 'new', profile: 'new profile' }, 120)).toThrow('QuotaExceededError');
+      
+      storage.setItem = setItem;
+      expect(registry.get('token')).toBe('old');
+      expect(registry.ttl('token')).toBe(60);
+      expect(registry.get('profile')).toBe('old profile');
+      expect(onChange).not.toHaveBeenCalled();
+    });
+    
+    test('should restore values evicted by a failed transaction', () => {
+      const storage = createMemoryAdapter();
+      const onEvict = jest.fn();
+      const registry = new Registry('test', { storage: storage, policy: { maxEntries: 2, onEvict: onEvict } });
+      registry.set('x', 'value x');
+      registry.set('y', 'value y', 60);
+      const onEvictEvent = jest.fn();
+      registry.on('evict', onEvictEvent);
+      
+      const setItem = storage.setItem;
+      storage.setItem = (key, value) => {
+        if (key.endsWith(':c')) {
+          throw new Error('write failed');
+        }
+        setItem(key, value);
+      };
+      
+      expect(() => registry.transaction(tx => {
+        tx.set('b', 1);
+        tx.set('c', 2);
+      })).toThrow('write failed');
+      
+      storage.setItem = setItem;
+      expect(registry.keys().sort()).toEqual(['x', 'y']);
+      expect(registry.get('x')).toBe('value x');
+      expect(registry.ttl('y')).toBe(60);
+      expect(onEvict).not.toHaveBeenCalled();
+      expect(onEvictEvent).not.toHaveBeenCalled();
+      
+      registry.transaction(tx => {
+        tx.set('b', 1);
+        tx.set('c', 2);
+      });
+      expect(registry.keys().sort()).toEqual(['b', 'c']);
+      expect(onEvict.mock.calls.map(call => call[0]).sort()).toEqual(['x', 'y']);
+    });
+    
+    test('should tell other tabs about all changes in one message', () => {
+      global.BroadcastChannel = RecordingChannel;
+      const registry = new Registry('test');
+      registry.set('stale', 'value');
+      RecordingChannel.messages = [];
+      const onChange = jest.fn();
+      registry.on('change', onChange);
+      
+      registry.transaction(tx => {
+        tx.set('key1', 'value1');
+        tx.set('key2', 'value2');
+        tx.remove('stale');
+        tx.remove('missing');
+      });
+      
+      expect(onChange).toHaveBeenCalledTimes(2);
+      expect(RecordingChannel.messages).toEqual([expect.objectContaining({
+        type: 'batch',
+        changes: [
+          { type: 'change', key: 'key1' },
+          { type: 'change', key: 'key2' },
+          { type: 'remove', key: 'stale' }
+        ]
+      })]);
+      registry.close();
+    });
+    
+    test('should emit events for batches of other tabs', () => {
+      global.BroadcastChannel = RecordingChannel;
+      const registry = new Registry('test');
+      const onChange = jest.fn();
+      const onRemove = jest.fn();
+      registry.on('change', onChange);
+      registry.on('remove', onRemove);
+      registry.set('key1', 'value1');
+      
+      RecordingChannel.channels[0].onmessage({ data: {
+        tab: 'other',
+        type: 'batch',
+        changes: [{ type: 'change', key: 'key1' }, { type: 'remove', key: 'key2' }]
+      } });
+      
+      expect(onChange).toHaveBeenLastCalledWith({ type: 'change', key: 'key1', value: 'value1', remote: true });
+      expect(onRemove).toHaveBeenCalledWith({ type: 'remove', key: 'key2', value: null, remote: true });
+      registry.close();
+    });
+    
+    test('should get, set and remove many values', () => {
+      const registry = new Registry('test');
+      
+      registry.setMany({ key1: 'value1', key2: 'value2' });
+      registry.setMany([['key3', 'value3']], 60);
+      
+      expect(registry.getMany(['key1', 'key3', 'missing'])).toEqual({ key1: 'value1', key3: 'value3', missing: null });
+      expect(registry.ttl('key3')).toBe(60);
+      
+      registry.removeMany(['key1', 'key2']);
+      expect(registry.keys()).toEqual(['key3']);
+    });
+    
+    test('should seal staged values with the secret', async () => {
+      const registry = new Registry('secure', { secret: 's3cret' });
+      
+      await registry.transaction(tx => {
+        tx.set('token', 'abc123');
+        tx.set('user', 'ada');
+      });
+      
+      expect(await registry.getMany(['token', 'user'])).toEqual({ token: 'abc123', user: 'ada' });
+      await expect(registry.transaction(() => {
+        throw new Error('aborted');
+      })).rejects.toThrow('aborted');
+    });
+  });
+  
+  describe('Entry metadata', () => {
+    let now;
+    
+    beforeEach(() => {
+      now = 1000000000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    test('should describe how and when a value was written', () => {
+      const registry = new Registry('test');
+      registry.set('key1', 'value1', 60);
+      
+      expect(registry.meta('key1')).toEqual({
+        format: 1,
+        cipher: 'shift',
+        keyId: null,
+        encoding: 'base64',
+        compression: null,
+        createdAt: now,
+        updatedAt: now,
+        expiresAt: now + 60000,
+        ttl: 60
+      });
+    });
+    
+    test('should keep the creation time when a value is replaced', () => {
+      const registry = new Registry('test');
+      registry.set('key1', 'value1');
+      const createdAt = now;
+      now += 5000;
+      registry.set('key1', 'value2');
+      
+      expect(registry.meta('key1').createdAt).toBe(createdAt);
+      expect(registry.meta('key1').updatedAt).toBe(now);
+      expect(registry.meta('key1').expiresAt).toBeNull();
+    });
+    
+    test('should return null for missing values', () => {
+      expect(new Registry('test').meta('missing')).toBeNull();
+    });
+    
+    test('should read values stored before envelopes as format 0', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage });
+      storage.setItem('registry:' + btoa('@test') + ':key1', JSON.stringify(encrypt('legacy', 'key1')));
+      
+      expect(registry.get('key1')).toBe('legacy');
+      expect(registry.meta('key1')).toEqual({
+        format: 0,
+        cipher: null,
+        keyId: null,
+        encoding: null,
+        compression: null,
+        createdAt: null,
+        updatedAt: null,
+        expiresAt: null,
+        ttl: null
+      });
+    });
+    
+    test('should read values with the cipher that wrote them', async () => {
+      const storage = createMemoryAdapter();
+      new Registry('test', { storage: storage }).set('key1', 'obfuscated');
+      
+      const registry = new Registry('test', { storage: storage, secret: 's3cret' });
+      await registry.set('key2', 'sealed');
+      
+      expect(await registry.get('key1')).toBe('obfuscated');
+      expect(await registry.get('key2')).toBe('sealed');
+      expect(registry.meta('key2').cipher).toBe('aes-gcm');
+    });
+    
+    test('should not read values of a newer format', () => {
+      const storage = createMemoryAdapter();
+      const registry = new Registry('test', { storage: storage });
+      storage.setItem('registry:' + btoa('@test') + ':key1', JSON.stringify({ v: 99, d: 'data' }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      expect(registry.get('key1')).toBeNull();
+      expect(registry.meta('key1')).toBeNull();
+    });
+  });
+  
+  describe('Schema versions', () => {
+    const splitName = store => {
+      store.keys().forEach(key => {
+        const parts = store.get(key).name.split(' ');
+        store.set(key, { firstName: parts[0], lastName: parts[1] });
+      });
+    };
+    
+    test('should start new namespaces at the current version', () => {
+      const migrate = jest.fn();
+      new Registry('users', { version: 2, migrations: [migrate, migrate] });
+      
+      expect(migrate).not.toHaveBeenCalled();
+      expect(localStorage.getItem('registry:' + btoa('@users') + '#version')).toBe('2');
+    });
+    
+    test('should migrate values written before versioning', () => {
+      new Registry('users').set('ada', { name: 'Ada Lovelace' });
+      
+      const registry = new Registry('users', { version: 1, migrations: [splitName] });
+      
+      expect(registry.get('ada')).toEqual({ firstName: 'Ada', lastName: 'Lovelace' });
+    });
+    
+    test('should run each migration only once', () => {
+      new Registry('users', { version: 1 }).set('ada', { name: 'Ada Lovelace' });
+      const migrate = jest.fn(splitName);
+      
+      new Registry('users', { version: 2, migrations: [null, migrate] });
+      const registry = new Registry('users', { version: 2, migrations: [null, migrate] });
+      
+      expect(migrate).toHaveBeenCalledTimes(1);
+      expect(registry.get('ada')).toEqual({ firstName: 'Ada', lastName: 'Lovelace' });
+    });
+    
+    test('should keep the old values when a migration fails', () => {
+      new Registry('users', { version: 1 }).set('ada', { name: 'Ada Lovelace' });
+      
+      expect(() => new Registry('users', { version: 2, migrations: [null, () => {
+        throw new Error('broken');
+      }] })).toThrow('broken');
+      
+      expect(new Registry('users', { version: 1 }).get('ada')).toEqual({ name: 'Ada Lovelace' });
+    });
+    
+    test('should throw on downgrades by default', () => {
+      new Registry('users', { version: 3 }).set('ada', 'value');
+      
+      expect(() => new Registry('users', { version: 2 })).toThrow(RegistryVersionError);
+      try {
+        new Registry('users', { version: 2 });
+      } catch (e) {
+        expect(e.storedVersion).toBe(3);
+        expect(e.version).toBe(2);
+      }
+    });
+    
+    test('should ignore or empty on downgrades when configured', () => {
+      new Registry('users', { version: 3 }).set('ada', 'value');
+      
+      expect(new Registry('users', { version: 2, downgrade: 'ignore' }).get('ada')).toBe('value');
+      
+      const registry = new Registry('users', { version: 2, downgrade: 'empty' });
+      expect(registry.get('ada')).toBeNull();
+      expect(new Registry('users', { version: 2 }).size()).toBe(0);
+    });
+    
+    test('should reject invalid options', () => {
+      expect(() => new Registry('users', { version: 1.5 })).toThrow('Invalid schema version: 1.5');
+      expect(() => new Registry('users', { version: 1, downgrade: 'panic' })).toThrow('Unknown downgrade strategy: panic');
+    });
+    
+    test('should migrate sealed values before they are read', async () => {
+      await new Registry('secure', { secret: 's3cret' }).set('ada', { name: 'Ada Lovelace' });
+      
+      const registry = new Registry('secure', { secret: 's3cret', version: 1, migrations: [splitName] });
+      
+      expect(await registry.get('ada')).toEqual({ firstName: 'Ada', lastName: 'Lovelace' });
+    });
+    
+    test('should keep working when a migration of sealed values fails', async () => {
+      await new Registry('secure', { secret: 's3cret' }).set('ada', { name: 'Ada Lovelace' });
+      
+      const registry = new Registry('secure', { secret: 's3cret', version: 1, migrations: [() => {
+        throw new Error('broken');
+      }] });
+      
+      await expect(registry.get('ada')).rejects.toThrow('broken');
+      expect(await registry.get('ada')).toEqual({ name: 'Ada Lovelace' });
+      await registry.set('grace', 'Grace Hopper');
+      expect(await registry.get('grace')).toBe('Grace Hopper');
+    });
+    
+    test('should migrate sealed values again on the next unlock', async () => {
+      const options = { storage: createMemoryAdapter(), passphrase: { iterations: 1000 } };
+      const old = new Registry('vault', options);
+      await old.unlock('correct horse');
+      await old.set('ada', { name: 'Ada Lovelace' });
+      
+      let fail = true;
+      const registry = new Registry('vault', Object.assign({}, options, { version: 1, migrations: [store => {
+        if (fail) {
+          throw new Error('broken');
+        }
+        splitName(store);
+      }] }));
+      await expect(registry.unlock('correct horse')).rejects.toThrow('broken');
+      expect(await registry.get('ada')).toEqual({ name: 'Ada Lovelace' });
+      
+      fail = false;
+      await registry.unlock('correct horse');
+      expect(await registry.get('ada')).toEqual({ firstName: 'Ada', lastName: 'Lovelace' });
+    });
+  });
+  
+  describe('Secret-based encryption', () => {
+    test('should seal values with the secret', async () => {
+      const registry = new Registry('secure', { secret: 's3cret' });
+      await registry.set('token', 'abc123');
+      
+      // The stored value should not be readable with the legacy cipher
+      const stored = Object.values(localStorage).join('');
+      expect(stored).not.toContain('abc123');
+      expect(await registry.get('token')).toBe('abc123');
+    });
+    
+    test('should resolve null for missing keys', async () => {
+      const registry = new Registry('secure', { secret: 's3cret' });
+      expect(await registry.get('missing')).toBeNull();
+    });
+    
+    test('should reject values read with a different secret', async () => {
+      await new Registry('secure', { secret: 'right' }).set('token', 'abc123');
+      
+      const registry = new Registry('secure', { secret: 'wrong' });
+      await expect(registry.get('token')).rejects.toBeInstanceOf(RegistryDecryptionError);
+    });
+    
+    test('should reject values copied between a parent and a child', async () => {
+      const registry = new Registry('secure', { secret: 's3cret' });
+      const drafts = registry.child('drafts');
+      await registry.set('token', 'abc123');
+      await drafts.set('token', 'draft');
+      
+      const parentKey = 'registry:' + btoa('@secure') + ':token';
+      const childKey = Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)).find(key => key !== parentKey && key.endsWith(':token'));
+      localStorage.setItem(childKey, localStorage.getItem(parentKey));
+      await expect(drafts.get('token')).rejects.toBeInstanceOf(RegistryDecryptionError);
+    });
+    
+    test('should open values sealed for their key only', async () => {
+      const registry = new Registry('secure', { secret: 's3cret' });
+      await registry.set('token', 'placeholder');
+      
+      const storageKey = 'registry:' + btoa('@secure') + ':token';
+      const stored = JSON.parse(localStorage.getItem(storageKey));
+      stored.d = await sealBytes(encodeValue('abc123').bytes, await importSecret('s3cret'), 'token');
+      localStorage.setItem(storageKey, JSON.stringify(stored));
+      expect(await registry.get('token')).toBe('abc123');
+    });
+    
+    test('should respect expiration time', async () => {
+      jest.useFakeTimers();
+      
+      const registry = new Registry('secure', { secret: 's3cret' });
+      await registry.set('token', 'abc123', 1);
+      
+      jest.advanceTimersByTime(2000);
+      
+      expect(await registry.get('token')).toBeNull();
+      
+      jest.useRealTimers();
+    });
+  });
 });
@@ -0,0 +1,249 @@
+import { jsonEncode, jsonDecode, bytesToBase64, base64ToBytes } from './utils.js';
+
+/**
+ * Tagged JSON serialization.
+ *
+ * Values JSON cannot represent are stored as { "$type": name, "value": data }
+ * and turned back into the original type when read. Plain objects that happen
+ * to have a "$type" key are wrapped as { "$type": "Object", "value": ... } so
+ * they are not mistaken for tagged values. Everything else is plain JSON, so
+ * values written before tagging existed read back unchanged.
+ */
+
+const TYPE_KEY = '$type';
+
+const TYPED_ARRAYS = [
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array',
+  'BigInt64Array', 'BigUint64Array', 'DataView'
+];
+
+// Types registered with registerType(), checked before the built-in ones
+const customTypes = [];
+
+/**
+ * Returns the bytes of an ArrayBuffer view
+ * @param {ArrayBufferView} view - Typed array or DataView
+ * @returns {Uint8Array} Bytes of the view
+ */
+function getViewBytes(view) {
+  return new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+}
+
+/**
+ * Copies bytes into a new ArrayBuffer
+ * @param {Uint8Array} bytes - Bytes to copy
+ * @returns {ArrayBuffer} New buffer
+ */
+function toArrayBuffer(bytes) {
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+/**
+ * Built-in tagged types. Each has a test, a serialize function returning
+ * JSON-compatible data, and a deserialize function.
+ */
+const builtinTypes = [
+  {
+    name: 'BigInt',
+    test: value => typeof value === 'bigint',
+    serialize: value => value.toString(),
+    deserialize: data => BigInt(data)
+  },
+  {
+    name: 'Date',
+    test: value => Object.prototype.toString.call(value) === '[object Date]',
+    serialize: value => (isNaN(value.getTime()) ? null : value.toISOString()),
+    deserialize: data => new Date(data === null ? NaN : data)
+  },
+  {
+    name: 'RegExp',
+    test: value => Object.prototype.toString.call(value) === '[object RegExp]',
+    serialize: value => ({ source: value.source, flags: value.flags }),
+    deserialize: data => new RegExp(data.source, data.flags)
+  },
+  {
+    name: 'Map',
+    test: value => Object.prototype.toString.call(value) === '[object Map]',
+    serialize: value => Array.from(value.entries()),
+    deserialize: data => new Map(data)
+  },
+  {
+    name: 'Set',
+    test: value => Object.prototype.toString.call(value) === '[object Set]',
+    serialize: value => Array.from(value.values()),
+    deserialize: data => new Set(data)
+  },
+  {
+    name: 'ArrayBuffer',
+    test: value => Object.prototype.toString.call(value) === '[object ArrayBuffer]',
+    serialize: value => bytesToBase64(new Uint8Array(value)),
+    deserialize: data => toArrayBuffer(base64ToBytes(data))
+  }
+].concat(TYPED_ARRAYS.map(name => ({
+  name: name,
+  test: value => ArrayBuffer.isView(value) && Object.prototype.toString.call(value) === '[object ' + name + ']',
+  serialize: value => bytesToBase64(getViewBytes(value)),
+  deserialize: data => new globalThis[name](toArrayBuffer(base64ToBytes(data)))
+})));
+
+/**
+ * Registers a custom type, so values of it are stored tagged and come back
+ * as the same type
+ * @param {string} name - Unique name stored with the value
+ * @param {Object} definition - How to recognize and convert the type
+ * @param {Function} [definition.type] - Class of the values, used for instanceof checks
+ * @param {Function} [definition.test] - Returns true for values of the type, instead of type
+ * @param {Function} [definition.serialize] - Converts a value to serializable data,
+ *   defaults to copying its own properties
+ * @param {Function} [definition.deserialize] - Converts data back to a value,
+ *   defaults to assigning the properties to an instance of type
+ */
+export function registerType(name, definition) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('A type name is required');
+  }
+  if (typeof definition.test !== 'function' && typeof definition.type !== 'function') {
+    throw new Error('Type ' + name + ' needs a type or a test function');
+  }
+  if (typeof definition.type !== 'function' && typeof definition.deserialize !== 'function') {
+    throw new Error('Type ' + name + ' needs a deserialize function');
+  }
+
+  const type = definition.type;
+  const entry = {
+    name: name,
+    test: definition.test || (value => value instanceof type),
+    serialize: definition.serialize || (value => Object.assign({}, value)),
+    deserialize: definition.deserialize || (data => Object.assign(Object.create(type.prototype), data))
+  };
+
+  // Registering a name again replaces the previous definition
+  const index = customTypes.findIndex(t => t.name === name);
+  if (index === -1) {
+    customTypes.push(entry);
+  } else {
+    customTypes[index] = entry;
+  }
+}
+
+/**
+ * Removes a custom type registered with registerType()
+ * @param {string} name - Name of the type
+ */
+export function unregisterType(name) {
+  const index = customTypes.findIndex(t => t.name === name);
+  if (index > -1) {
+    customTypes.splice(index, 1);
+  }
+}
+
+/**
+ * Finds the tagged type of a value
+ * @param {any} value - The value
+ * @returns {Object|undefined} Type definition
+ */
+function findType(value) {
+  return customTypes.find(t => t.test(value)) || builtinTypes.find(t => t.test(value));
+}
+
+/**
+ * Converts a value into JSON-compatible data, tagging special types
+ * @param {any} value - The value
+ * @param {Array} ancestors - Objects being converted, to detect cycles
+ * @returns {any} JSON-compatible data
+ */
+function toData(value, ancestors) {
+  if (value === null || (typeof value !== 'object' && typeof value !== 'function' && typeof value !== 'bigint')) {
+    return value;
+  }
+
+  const type = findType(value);
+  if (type) {
+    return { [TYPE_KEY]: type.name, value: toData(type.serialize(value), ancestors) };
+  }
+
+  if (ancestors.indexOf(value) > -1) {
+    throw new TypeError('Converting circular structure to JSON');
+  }
+  ancestors.push(value);
+
+  let data;
+  if (Array.isArray(value)) {
+    data = value.map(item => toData(item, ancestors));
+  } else if (typeof value.toJSON === 'function') {
+    data = toData(value.toJSON(), ancestors);
+  } else {
+    data = {};
+    Object.keys(value).forEach(key => {
+      if (value[key] !== undefined && typeof value[key] !== 'function') {
+        data[key] = toData(value[key], ancestors);
+      }
+    });
+    if (Object.prototype.hasOwnProperty.call(data, TYPE_KEY)) {
+      data = { [TYPE_KEY]: 'Object', value: data };
+    }
+  }
+
+  ancestors.pop();
+  return data;
+}
+
+/**
+ * Converts data produced by toData back into values
+ * @param {any} data - JSON-compatible data
+ * @returns {any} The value
+ */
+function fromData(data) {
+  if (data === null || typeof data !== 'object') {
+    return data;
+  }
+
+  if (Array.isArray(data)) {
+    return data.map(fromData);
+  }
+
+  const typeName = data[TYPE_KEY];
+  if (typeof typeName === 'string' && Object.keys(data).length === 2 && 'value' in data) {
+    if (typeName === 'Object') {
+      return fromObject(data.value);
+    }
+    const type = customTypes.find(t => t.name === typeName) || builtinTypes.find(t => t.name === typeName);
+    if (type) {
+      return type.deserialize(fromData(data.value));
+    }
+  }
+
+  return fromObject(data);
+}
+
+/**
+ * Converts the properties of a plain object back into values
+ * @param {Object} data - Plain object
+ * @returns {Object} New object
+ */
+function fromObject(data) {
+  const result = {};
+  Object.keys(data).forEach(key => {
+    result[key] = fromData(data[key]);
+  });
+  return result;
+}
+
+/**
+ * Serializes a value to a JSON string, keeping built-in and registered types
+ * @param {any} value - The value
+ * @returns {string} JSON string
+ */
+export function serialize(value) {
+  return jsonEncode(toData(value, []));
+}
+
+/**
+ * Parses a JSON string written by serialize(), or plain JSON
+ * @param {string} json - JSON string
+ * @returns {any} The value
+ */
+export function deserialize(json) {
+  return fromData(jsonDecode(json));
+}
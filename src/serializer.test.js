@@ -0,0 +1,147 @@
+// serializer.test.js
+import { serialize, deserialize, registerType, unregisterType } from './serializer.js';
+
+/**
+ * Serializes and parses a value again
+ */
+function roundTrip(value) {
+  return deserialize(serialize(value));
+}
+
+describe('Serializer', () => {
+  describe('plain JSON values', () => {
+    test('should write plain JSON for JSON values', () => {
+      const value = { name: 'Test', list: [1, 'two', null, true], nested: { deep: 1.5 } };
+      
+      expect(serialize(value)).toBe(JSON.stringify(value));
+      expect(roundTrip(value)).toEqual(value);
+    });
+    
+    test('should read plain JSON written before tagging', () => {
+      expect(deserialize('{"a":[1,2],"b":"c"}')).toEqual({ a: [1, 2], b: 'c' });
+    });
+    
+    test('should drop undefined properties and functions like JSON', () => {
+      expect(roundTrip({ a: undefined, b: () => 1, c: 1 })).toEqual({ c: 1 });
+      expect(roundTrip([undefined])).toEqual([null]);
+    });
+    
+    test('should throw on circular structures', () => {
+      const value = { a: 1 };
+      value.self = value;
+      
+      expect(() => serialize(value)).toThrow(TypeError);
+    });
+    
+    test('should allow the same object twice', () => {
+      const shared = { a: 1 };
+      
+      expect(roundTrip({ x: shared, y: shared })).toEqual({ x: { a: 1 }, y: { a: 1 } });
+    });
+  });
+  
+  describe('built-in types', () => {
+    test('should round-trip dates', () => {
+      const date = new Date('2024-01-02T03:04:05.678Z');
+      const result = roundTrip({ date: date });
+      
+      expect(result.date).toBeInstanceOf(Date);
+      expect(result.date.getTime()).toBe(date.getTime());
+      expect(isNaN(roundTrip(new Date(NaN)).getTime())).toBe(true);
+    });
+    
+    test('should round-trip maps and sets', () => {
+      const map = new Map([['a', 1], [{ key: true }, new Set([1, 2])]]);
+      const result = roundTrip(map);
+      
+      expect(result).toBeInstanceOf(Map);
+      expect(result.get('a')).toBe(1);
+      const entries = Array.from(result.entries());
+      expect(entries[1][0]).toEqual({ key: true });
+      expect(entries[1][1]).toBeInstanceOf(Set);
+      expect(Array.from(entries[1][1])).toEqual([1, 2]);
+    });
+    
+    test('should round-trip bigints', () => {
+      expect(roundTrip({ big: BigInt('12345678901234567890') }).big).toBe(BigInt('12345678901234567890'));
+    });
+    
+    test('should round-trip regular expressions', () => {
+      const result = roundTrip(/ab+c/gi);
+      
+      expect(result).toBeInstanceOf(RegExp);
+      expect(result.source).toBe('ab+c');
+      expect(result.flags).toBe('gi');
+    });
+    
+    test('should round-trip typed arrays and buffers', () => {
+      const bytes = new Uint8Array([0, 127, 128, 255]);
+      const floats = new Float64Array([1.5, -2.25]);
+      const view = new Uint8Array([9, 1, 2, 3, 9]).subarray(1, 4);
+      
+      const result = roundTrip({ bytes: bytes, floats: floats, view: view, buffer: bytes.buffer });
+      
+      expect(result.bytes).toBeInstanceOf(Uint8Array);
+      expect(Array.from(result.bytes)).toEqual([0, 127, 128, 255]);
+      expect(result.floats).toBeInstanceOf(Float64Array);
+      expect(Array.from(result.floats)).toEqual([1.5, -2.25]);
+      expect(Array.from(result.view)).toEqual([1, 2, 3]);
+      expect(result.buffer).toBeInstanceOf(ArrayBuffer);
+      expect(result.buffer.byteLength).toBe(4);
+    });
+    
+    test('should not mistake objects with a $type key for tagged values', () => {
+      const value = { $type: 'Date', value: 'not a date' };
+      
+      expect(roundTrip(value)).toEqual(value);
+    });
+    
+    test('should keep tagged objects with unknown types as plain objects', () => {
+      expect(deserialize('{"$type":"Unknown","value":1}')).toEqual({ $type: 'Unknown', value: 1 });
+    });
+  });
+  
+  describe('registerType', () => {
+    class Point {
+      constructor(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+      
+      length() {
+        return Math.sqrt(this.x * this.x + this.y * this.y);
+      }
+    }
+    
+    afterEach(() => {
+      unregisterType('Point');
+      unregisterType('Money');
+    });
+    
+    test('should round-trip instances of a registered class', () => {
+      registerType('Point', { type: Point });
+      
+      const result = roundTrip({ at: new Point(3, 4) });
+      
+      expect(result.at).toBeInstanceOf(Point);
+      expect(result.at.length()).toBe(5);
+    });
+    
+    test('should use custom serialize and deserialize functions', () => {
+      registerType('Money', {
+        test: value => value && value.currency !== undefined,
+        serialize: value => value.amount + ' ' + value.currency,
+        deserialize: data => ({ amount: Number(data.split(' ')[0]), currency: data.split(' ')[1] })
+      });
+      
+      expect(serialize({ amount: 5, currency: 'EUR' })).toBe('{"$type":"Money","value":"5 EUR"}');
+      expect(roundTrip({ amount: 5, currency: 'EUR' })).toEqual({ amount: 5, currency: 'EUR' });
+    });
+    
+    test('should reject incomplete definitions', () => {
+      expect(() => registerType('', { type: Point })).toThrow('A type name is required');
+      expect(() => registerType('Point', {})).toThrow('Type Point needs a type or a test function');
+      expect(() => registerType('Point', { test: () => true })).toThrow('Type Point needs a deserialize function');
+    });
+  });
+});
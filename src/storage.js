@@ -1,58 +1,210 @@
 import { jsonEncode, jsonDecode } from './utils.js';
-import { createExpirationKey } from './namespace.js';
+import {
+  createExpirationKey,
+  createNamespacedKey,
+  createMetaKey,
+  getNamespacePrefix,
+  getDescendantPrefix,
+  getKeyNamespace,
+  getRootNamespace,
+  isNamespaceTreeKey,
+  renameStorageKey,
+  parseChildNamespace,
+  isExpirationKey,
+  parseExpirationKey,
+  parseNamespacedKey,
+  parseLegacyKey
+} from './namespace.js';
+import { localStorageAdapter } from './adapters.js';
+
+// Separates the expiration timestamp from the sliding window, "<expires>~<window>"
+const SLIDING_SEPARATOR = "~";
+
+// Precedes the seconds an expired value is kept to be served stale, "<expires>+<stale>"
+const STALE_SEPARATOR = "+";
+
+/**
+ * Converts a relative expiration time into an absolute timestamp
+ * @param {number} expires - Expiration time in seconds from now
+ * @returns {number} Expiration timestamp in seconds since the epoch
+ */
+export function getExpirationTime(expires) {
+  return Math.floor(Date.now() / 1000) + expires;
+}
+
+/**
+ * Checks if an expiration timestamp has passed
+ * @param {number} expires - Expiration timestamp in seconds since the epoch
+ * @returns {boolean} True if the timestamp has passed
+ */
+export function hasExpired(expires) {
+  const now = Math.floor(Date.now() / 1000);
+  return now >= expires;
+}
 
 /**
  * Checks if a value has expired
  * @param {string} namespacedKey - The namespaced key to check
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
  * @returns {boolean} True if expired, false otherwise
  */
-export function isExpired(namespacedKey) {
+export function isExpired(namespacedKey, storage = localStorageAdapter) {
   const expirationKey = createExpirationKey(namespacedKey);
-  const expiresValue = localStorage.getItem(expirationKey);
+  const expiresValue = storage.getItem(expirationKey);
   
   if (expiresValue === null) {
     return false;
   }
   
   const expires = parseInt(expiresValue, 10);
-  const now = Math.floor(Date.now() / 1000);
   
-  return now >= expires;
+  return hasExpired(expires);
 }
 
 /**
- * Sets a value in localStorage with optional expiration
+ * Reads the expiration timestamp of a value
+ * @param {string} namespacedKey - The namespaced key
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {number|null} Expiration timestamp in seconds since the epoch, or
+ *   null if the value does not expire
+ */
+export function getExpiration(namespacedKey, storage = localStorageAdapter) {
+  const expiresValue = storage.getItem(createExpirationKey(namespacedKey));
+  if (expiresValue === null) {
+    return null;
+  }
+  
+  const expires = parseInt(expiresValue, 10);
+  return isNaN(expires) ? null : expires;
+}
+
+/**
+ * Reads the sliding window of a value, the number of seconds its expiration
+ * is pushed forward on every read
+ * @param {string} namespacedKey - The namespaced key
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {number|null} Sliding window in seconds, or null if the expiration is fixed
+ */
+export function getSlidingWindow(namespacedKey, storage = localStorageAdapter) {
+  const expiresValue = storage.getItem(createExpirationKey(namespacedKey));
+  if (expiresValue === null || expiresValue.indexOf(SLIDING_SEPARATOR) === -1) {
+    return null;
+  }
+  
+  const slidingWindow = parseInt(expiresValue.split(SLIDING_SEPARATOR)[1], 10);
+  return isNaN(slidingWindow) ? null : slidingWindow;
+}
+
+/**
+ * Reads the stale window of a value, the number of seconds it is kept after
+ * expiring so it can be served while a fresh value is fetched
+ * @param {string} namespacedKey - The namespaced key
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {number|null} Stale window in seconds, or null if expired values are removed
+ */
+export function getStaleWindow(namespacedKey, storage = localStorageAdapter) {
+  const expiresValue = storage.getItem(createExpirationKey(namespacedKey));
+  if (expiresValue === null || expiresValue.indexOf(STALE_SEPARATOR) === -1) {
+    return null;
+  }
+  
+  const staleWindow = parseInt(expiresValue.split(STALE_SEPARATOR)[1], 10);
+  return isNaN(staleWindow) ? null : staleWindow;
+}
+
+/**
+ * Checks if a value has expired but is still within its stale window
+ * @param {string} namespacedKey - The namespaced key
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {boolean} True if the value is expired and may still be served stale
+ */
+export function isStale(namespacedKey, storage = localStorageAdapter) {
+  if (!isExpired(namespacedKey, storage)) {
+    return false;
+  }
+  
+  const staleWindow = getStaleWindow(namespacedKey, storage);
+  return staleWindow !== null && !hasExpired(getExpiration(namespacedKey, storage) + staleWindow);
+}
+
+/**
+ * Sets the expiration timestamp of a value
+ * @param {string} namespacedKey - The namespaced key
+ * @param {number} expiresAt - Expiration timestamp in seconds since the epoch
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @param {number} [slidingWindow] - Seconds to push the expiration forward on every read
+ * @param {number} [staleWindow] - Seconds to keep the value after it expired
+ */
+export function setExpiration(namespacedKey, expiresAt, storage = localStorageAdapter, slidingWindow, staleWindow) {
+  let expiresValue = expiresAt.toString();
+  if (typeof slidingWindow === 'number') {
+    expiresValue += SLIDING_SEPARATOR + slidingWindow;
+  }
+  if (typeof staleWindow === 'number') {
+    expiresValue += STALE_SEPARATOR + staleWindow;
+  }
+  storage.setItem(createExpirationKey(namespacedKey), expiresValue);
+}
+
+/**
+ * Removes the expiration of a value, it is then kept until removed
+ * @param {string} namespacedKey - The namespaced key
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ */
+export function removeExpiration(namespacedKey, storage = localStorageAdapter) {
+  storage.removeItem(createExpirationKey(namespacedKey));
+}
+
+/**
+ * Sets a value in storage with optional expiration
  * @param {string} namespacedKey - The namespaced key
  * @param {any} value - The value to store
  * @param {number} [expires] - Optional expiration time in seconds
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @param {boolean} [sliding] - Push the expiration forward by expires on every read
+ * @param {number} [staleWindow] - Seconds to keep the value after it expired
  */
-export function setValue(namespacedKey, value, expires) {
+export function setValue(namespacedKey, value, expires, storage = localStorageAdapter, sliding = false, staleWindow) {
   // Store the value
-  localStorage.setItem(namespacedKey, jsonEncode(value));
+  storage.setItem(namespacedKey, jsonEncode(value));
   
   // Set expiration if provided
   if (typeof expires === 'number') {
-    const expirationKey = createExpirationKey(namespacedKey);
-    const expirationTime = Math.floor(Date.now() / 1000) + expires;
-    localStorage.setItem(expirationKey, expirationTime.toString());
+    const expirationTime = getExpirationTime(expires);
+    setExpiration(namespacedKey, expirationTime, storage, sliding ? expires : undefined, staleWindow);
   }
 }
 
 /**
- * Gets a value from localStorage, checking for expiration
+ * Logs a stored value that is not valid JSON
+ * @param {Error} error - The parse error
+ * @returns {null} Null, read like a missing value
+ */
+function logParseError(error) {
+  console.error('Error parsing stored value:', error);
+  return null;
+}
+
+/**
+ * Gets a value from storage, checking for expiration
  * @param {string} namespacedKey - The namespaced key
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @param {Function} [onError] - Called with the error of a value that is not
+ *   valid JSON, instead of logging it. Its result is returned.
  * @returns {any} The stored value or null if expired/not found
  */
-export function getValue(namespacedKey) {
+export function getValue(namespacedKey, storage = localStorageAdapter, onError = logParseError) {
   // Check if the value has expired
-  if (isExpired(namespacedKey)) {
-    // Remove expired value and its expiration timestamp
-    removeValue(namespacedKey);
+  if (isExpired(namespacedKey, storage)) {
+    // Remove expired value and its expiration timestamp, unless it may still be served stale
+    if (!isStale(namespacedKey, storage)) {
+      removeValue(namespacedKey, storage);
+    }
     return null;
   }
   
   // Get the value
-  const value = localStorage.getItem(namespacedKey);
+  const value = storage.getItem(namespacedKey);
   if (value === null) {
     return null;
   }
@@ -60,34 +212,350 @@ export function getValue(namespacedKey) {
   try {
     return jsonDecode(value);
   } catch (e) {
-    console.error('Error parsing stored value:', e);
+    return onError(e);
+  }
+}
+
+/**
+ * Gets an expired value that is still within its stale window
+ * @param {string} namespacedKey - The namespaced key
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @param {Function} [onError] - Called with the error of a value that is not
+ *   valid JSON, instead of logging it. Its result is returned.
+ * @returns {any} The stored value, or null if it is live, missing or past its stale window
+ */
+export function getStaleValue(namespacedKey, storage = localStorageAdapter, onError = logParseError) {
+  if (!isStale(namespacedKey, storage)) {
     return null;
   }
+  
+  try {
+    return jsonDecode(storage.getItem(namespacedKey));
+  } catch (e) {
+    return onError(e);
+  }
+}
+
+/**
+ * Checks if a live (present and not expired) value exists
+ * @param {string} namespacedKey - The namespaced key
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {boolean} True if the value exists and has not expired
+ */
+export function hasValue(namespacedKey, storage = localStorageAdapter) {
+  return storage.getItem(namespacedKey) !== null && !isExpired(namespacedKey, storage);
+}
+
+/**
+ * Lists the original keys of all live values in a namespace
+ * @param {string} namespace - The namespace
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {string[]} Keys without namespace, expired values left out
+ */
+export function getNamespaceKeys(namespace, storage = localStorageAdapter) {
+  const result = [];
+  const keys = storage.keys();
+  for (let i = 0; i < keys.length; i++) {
+    const key = parseNamespacedKey(keys[i], namespace);
+    if (key !== null && !isExpired(createNamespacedKey(key, namespace), storage)) {
+      result.push(key);
+    }
+  }
+  return result;
+}
+
+/**
+ * Measures the storage used by each value of a namespace, split into the
+ * value and its expiration. Sizes count the storage key and the stored
+ * string at two bytes per character, as browsers store strings in UTF-16.
+ * @param {string} namespace - The namespace
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {Object} Map of original key to an object with the value and
+ *   expiration bytes, expiration is 0 for values that do not expire
+ */
+export function getEntryUsage(namespace, storage = localStorageAdapter) {
+  const namespacePrefix = getNamespacePrefix(namespace);
+  const usage = {};
+  const keys = storage.keys();
+  
+  for (let i = 0; i < keys.length; i++) {
+    const storageKey = keys[i];
+    if (!storageKey.startsWith(namespacePrefix)) {
+      continue;
+    }
+    
+    const expiration = isExpirationKey(storageKey);
+    const key = parseNamespacedKey(expiration ? parseExpirationKey(storageKey) : storageKey, namespace);
+    const value = storage.getItem(storageKey) || "";
+    if (!usage[key]) {
+      usage[key] = { value: 0, expiration: 0 };
+    }
+    usage[key][expiration ? 'expiration' : 'value'] += (storageKey.length + value.length) * 2;
+  }
+  
+  return usage;
+}
+
+/**
+ * Measures the storage used by each value of a namespace, including its
+ * expiration key and timestamp if any, see getEntryUsage()
+ * @param {string} namespace - The namespace
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {Object} Map of original key to size in bytes
+ */
+export function getEntrySizes(namespace, storage = localStorageAdapter) {
+  const usage = getEntryUsage(namespace, storage);
+  const sizes = {};
+  Object.keys(usage).forEach(key => {
+    sizes[key] = usage[key].value + usage[key].expiration;
+  });
+  return sizes;
+}
+
+/**
+ * Measures everything held by a storage, values written by other code
+ * included, at two bytes per character
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {number} Size in bytes
+ */
+export function getStorageSize(storage = localStorageAdapter) {
+  const keys = storage.keys();
+  let bytes = 0;
+  for (let i = 0; i < keys.length; i++) {
+    bytes += (keys[i].length + (storage.getItem(keys[i]) || "").length) * 2;
+  }
+  return bytes;
 }
 
 /**
- * Removes a value and its expiration from localStorage
+ * Removes a value and its expiration from storage
  * @param {string} namespacedKey - The namespaced key
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
  */
-export function removeValue(namespacedKey) {
+export function removeValue(namespacedKey, storage = localStorageAdapter) {
   // Remove the value
-  localStorage.removeItem(namespacedKey);
+  storage.removeItem(namespacedKey);
   
   // Remove the expiration
   const expirationKey = createExpirationKey(namespacedKey);
-  localStorage.removeItem(expirationKey);
+  storage.removeItem(expirationKey);
 }
 
 /**
- * Removes all values with a specific namespace prefix
- * @param {string} namespacePrefix - The namespace prefix
+ * Removes all values of a namespace
+ * @param {string} namespace - The namespace
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
  */
-export function emptyNamespace(namespacePrefix) {
-  const keys = Object.keys(localStorage);
+export function emptyNamespace(namespace, storage = localStorageAdapter) {
+  const namespacePrefix = getNamespacePrefix(namespace);
+  const keys = storage.keys();
   for (let i = 0; i < keys.length; i++) {
     const key = keys[i];
-    if (key.indexOf(namespacePrefix) > -1) {
-      localStorage.removeItem(key);
+    if (key.startsWith(namespacePrefix)) {
+      storage.removeItem(key);
     }
   }
 }
+
+/**
+ * Lists the direct child namespaces of a namespace that hold any data
+ * @param {string} namespace - The namespace
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {Object[]} Children with their name and namespace
+ */
+export function getChildNamespaces(namespace, storage = localStorageAdapter) {
+  const children = new Map();
+  const keys = storage.keys();
+  for (let i = 0; i < keys.length; i++) {
+    const child = parseChildNamespace(keys[i], namespace);
+    if (child !== null && !children.has(child.namespace)) {
+      children.set(child.namespace, child);
+    }
+  }
+  return Array.from(children.values());
+}
+
+/**
+ * Removes everything stored by the descendants of a namespace, values and
+ * bookkeeping alike
+ * @param {string} namespace - The namespace
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {string[]} Descendant namespaces that held data
+ */
+export function emptyDescendants(namespace, storage = localStorageAdapter) {
+  const descendantPrefix = getDescendantPrefix(namespace);
+  const namespaces = new Set();
+  const keys = storage.keys();
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    if (key.startsWith(descendantPrefix)) {
+      namespaces.add(getKeyNamespace(key));
+      storage.removeItem(key);
+    }
+  }
+  return Array.from(namespaces);
+}
+
+/**
+ * Counts the values and bytes stored by each top-level namespace, including
+ * the values of its descendants. Sizes count storage keys and values at two
+ * bytes per character, like getEntrySizes().
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {Map} Map of namespace to an object with entries and bytes
+ */
+export function getNamespaceStats(storage = localStorageAdapter) {
+  const stats = new Map();
+  const keys = storage.keys();
+  for (let i = 0; i < keys.length; i++) {
+    const storageKey = keys[i];
+    const namespace = getKeyNamespace(storageKey);
+    if (namespace === null) {
+      continue;
+    }
+    
+    const rootNamespace = getRootNamespace(namespace);
+    if (!stats.has(rootNamespace)) {
+      stats.set(rootNamespace, { entries: 0, bytes: 0 });
+    }
+    const stat = stats.get(rootNamespace);
+    const value = storage.getItem(storageKey) || "";
+    stat.bytes += (storageKey.length + value.length) * 2;
+    if (storageKey.startsWith(getNamespacePrefix(namespace)) && !isExpirationKey(storageKey)) {
+      stat.entries++;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Removes everything stored by a namespace and its descendants, values and
+ * bookkeeping alike. Values still written in the legacy layout, by versions
+ * of an app whose registry was never opened since, are removed too.
+ * @param {string} namespace - The namespace
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {string[]} Namespaces that held data
+ */
+export function dropNamespace(namespace, storage = localStorageAdapter) {
+  const namespaces = new Set();
+  const keys = storage.keys();
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    if (isNamespaceTreeKey(key, namespace)) {
+      namespaces.add(getKeyNamespace(key));
+      storage.removeItem(key);
+    } else if (parseLegacyKey(isExpirationKey(key) ? parseExpirationKey(key) : key, namespace) !== null) {
+      namespaces.add(namespace);
+      storage.removeItem(key);
+    }
+  }
+  return Array.from(namespaces);
+}
+
+/**
+ * Moves everything stored by a namespace and its descendants to another
+ * namespace. All items are copied before the old ones are removed, and the
+ * copies are removed again if a write fails.
+ * @param {string} from - Current namespace
+ * @param {string} to - New namespace, must not hold any data
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @param {Function} [rewrite] - Called with each storage key and its value,
+ *   returns the value to store under the new name. Throwing cancels the move.
+ * @returns {string[]} Namespaces that held data, before the move
+ */
+export function renameNamespace(from, to, storage = localStorageAdapter, rewrite) {
+  const keys = storage.keys().filter(key => isNamespaceTreeKey(key, from));
+  const written = [];
+  
+  try {
+    keys.forEach(key => {
+      const renamedKey = renameStorageKey(key, from, to);
+      const value = storage.getItem(key);
+      storage.setItem(renamedKey, typeof rewrite === 'function' ? rewrite(key, value) : value);
+      written.push(renamedKey);
+    });
+  } catch (e) {
+    written.forEach(key => storage.removeItem(key));
+    throw e;
+  }
+  
+  const namespaces = new Set();
+  keys.forEach(key => {
+    namespaces.add(getKeyNamespace(key));
+    storage.removeItem(key);
+  });
+  return Array.from(namespaces);
+}
+
+/**
+ * Removes the expired values of a namespace together with their expiration
+ * keys, and expiration keys left behind without a value or holding something
+ * other than a timestamp. Values still within their stale window are kept.
+ * @param {string} namespace - The namespace
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ * @returns {string[]} Original keys of the expired values that were removed
+ */
+export function purgeExpired(namespace, storage = localStorageAdapter) {
+  const namespacePrefix = getNamespacePrefix(namespace);
+  const expiredKeys = [];
+  const keys = storage.keys();
+  
+  for (let i = 0; i < keys.length; i++) {
+    const expirationKey = keys[i];
+    if (!expirationKey.startsWith(namespacePrefix) || !isExpirationKey(expirationKey)) {
+      continue;
+    }
+    
+    const namespacedKey = parseExpirationKey(expirationKey);
+    const expiresValue = storage.getItem(expirationKey);
+    
+    // Orphaned or unreadable expiration keys, the value (if any) is kept
+    if (storage.getItem(namespacedKey) === null || isNaN(parseInt(expiresValue, 10))) {
+      storage.removeItem(expirationKey);
+      continue;
+    }
+    
+    if (isExpired(namespacedKey, storage) && !isStale(namespacedKey, storage)) {
+      removeValue(namespacedKey, storage);
+      expiredKeys.push(parseNamespacedKey(namespacedKey, namespace));
+    }
+  }
+  
+  return expiredKeys;
+}
+
+/**
+ * Moves the values of a namespace written in the legacy "key + namespace"
+ * layout to the current layout. Runs once per namespace and storage, a meta
+ * key records that the namespace has been migrated.
+ * @param {string} namespace - The namespace
+ * @param {Object} [storage] - Storage adapter, defaults to localStorage
+ */
+export function migrateLegacyKeys(namespace, storage = localStorageAdapter) {
+  const layoutKey = createMetaKey(namespace, 'layout');
+  if (storage.getItem(layoutKey) !== null) {
+    return;
+  }
+  
+  const keys = storage.keys();
+  for (let i = 0; i < keys.length; i++) {
+    const legacyKey = keys[i];
+    const key = parseLegacyKey(legacyKey, namespace);
+    if (key === null) {
+      continue;
+    }
+    
+    // Values stay as they are, they are encrypted with the key name only
+    const namespacedKey = createNamespacedKey(key, namespace);
+    storage.setItem(namespacedKey, storage.getItem(legacyKey));
+    storage.removeItem(legacyKey);
+    
+    const legacyExpirationKey = createExpirationKey(legacyKey);
+    const expiresValue = storage.getItem(legacyExpirationKey);
+    if (expiresValue !== null) {
+      storage.setItem(createExpirationKey(namespacedKey), expiresValue);
+      storage.removeItem(legacyExpirationKey);
+    }
+  }
+  
+  storage.setItem(layoutKey, '2');
+}
@@ -2,18 +2,45 @@
 import * as storage from './storage.js';
 import * as namespace from './namespace.js';
 import * as utils from './utils.js';
+import { createMemoryAdapter, localStorageAdapter } from './adapters.js';
 
 // Destructure the imported functions for easier access
-const { isExpired, setValue, getValue, removeValue, emptyNamespace } = storage;
+const {
+  isExpired,
+  setValue,
+  getValue,
+  hasValue,
+  removeValue,
+  emptyNamespace,
+  purgeExpired,
+  emptyDescendants,
+  getChildNamespaces,
+  getNamespaceStats,
+  getEntryUsage,
+  getEntrySizes,
+  getStorageSize,
+  dropNamespace,
+  renameNamespace,
+  migrateLegacyKeys,
+  getExpiration,
+  getSlidingWindow,
+  getStaleWindow,
+  getStaleValue,
+  isStale,
+  setExpiration,
+  removeExpiration
+} = storage;
 
 // Mock dependencies
 jest.mock('./namespace.js', () => ({
+  ...jest.requireActual('./namespace.js'),
   createExpirationKey: jest.fn(key => `${key}&&expires`)
 }));
 
 jest.mock('./utils.js', () => ({
   jsonEncode: jest.fn(value => JSON.stringify(value)),
-  jsonDecode: jest.fn(value => JSON.parse(value))
+  jsonDecode: jest.fn(value => JSON.parse(value)),
+  base64decode: jest.fn(str => Buffer.from(str, 'base64').toString())
 }));
 
 // Create mock localStorage implementation using Jest's built-in mock functions
@@ -91,6 +118,89 @@ describe('Storage', () => {
     });
   });
   
+  describe('setExpiration', () => {
+    test('should store the expiration timestamp', () => {
+      setExpiration('testKey', 1000003600);
+      
+      expect(mockLocalStorage.setItem).toHaveBeenCalledWith('testKey&&expires', '1000003600');
+      expect(getExpiration('testKey')).toBe(1000003600);
+      expect(getSlidingWindow('testKey')).toBeNull();
+    });
+    
+    test('should store the sliding window next to the timestamp', () => {
+      setExpiration('testKey', 1000003600, localStorageAdapter, 3600);
+      
+      expect(mockLocalStorage.setItem).toHaveBeenCalledWith('testKey&&expires', '1000003600~3600');
+      expect(getExpiration('testKey')).toBe(1000003600);
+      expect(getSlidingWindow('testKey')).toBe(3600);
+      expect(isExpired('testKey')).toBe(false);
+    });
+    
+    test('should remove the expiration', () => {
+      setExpiration('testKey', 1000003600);
+      removeExpiration('testKey');
+      
+      expect(getExpiration('testKey')).toBeNull();
+    });
+  });
+  
+  describe('Stale values', () => {
+    // Now is 1000000000 seconds, the value expired 100 seconds ago
+    beforeEach(() => {
+      setValue('testKey', 'value');
+      setExpiration('testKey', 999999900, localStorageAdapter, undefined, 300);
+    });
+    
+    test('should store the stale window next to the timestamp', () => {
+      expect(mockLocalStorage.store['testKey&&expires']).toBe('999999900+300');
+      expect(getStaleWindow('testKey')).toBe(300);
+      expect(getExpiration('testKey')).toBe(999999900);
+    });
+    
+    test('should store sliding and stale windows together', () => {
+      setExpiration('testKey', 1000003600, localStorageAdapter, 3600, 300);
+      
+      expect(getSlidingWindow('testKey')).toBe(3600);
+      expect(getStaleWindow('testKey')).toBe(300);
+    });
+    
+    test('should keep expired values within the stale window', () => {
+      expect(isExpired('testKey')).toBe(true);
+      expect(isStale('testKey')).toBe(true);
+      expect(getValue('testKey')).toBeNull();
+      expect(hasValue('testKey')).toBe(false);
+      expect(getStaleValue('testKey')).toBe('value');
+    });
+    
+    test('should remove values past the stale window', () => {
+      setExpiration('testKey', 999999900, localStorageAdapter, undefined, 50);
+      
+      expect(isStale('testKey')).toBe(false);
+      expect(getStaleValue('testKey')).toBeNull();
+      expect(getValue('testKey')).toBeNull();
+      expect(mockLocalStorage.store.testKey).toBeUndefined();
+    });
+    
+    test('should not return live values as stale', () => {
+      setExpiration('testKey', 1000003600, localStorageAdapter, undefined, 300);
+      
+      expect(isStale('testKey')).toBe(false);
+      expect(getStaleValue('testKey')).toBeNull();
+    });
+    
+    test('should not purge values within the stale window', () => {
+      const adapter = createMemoryAdapter({
+        'registry:namespace1:key1': '"a"',
+        'registry:namespace1:key1&&expires': '999999900+300',
+        'registry:namespace1:key2': '"b"',
+        'registry:namespace1:key2&&expires': '999999900+50'
+      });
+      
+      expect(purgeExpired('namespace1', adapter)).toEqual(['key2']);
+      expect(adapter.getItem('registry:namespace1:key1')).toBe('"a"');
+    });
+  });
+  
   describe('setValue', () => {
     test('should store value without expiration', () => {
       // Mock jsonEncode to return a specific value
@@ -184,6 +294,34 @@ describe('Storage', () => {
       
       expect(result).toBeNull();
     });
+    
+    test('should hand parse errors to onError', () => {
+      mockLocalStorage.setItem('testKey', 'invalid-json');
+      utils.jsonDecode.mockImplementationOnce(() => { throw new Error('Invalid JSON'); });
+      const onError = jest.fn(() => 'fallback');
+      
+      expect(getValue('testKey', undefined, onError)).toBe('fallback');
+      expect(onError.mock.calls[0][0].message).toBe('Invalid JSON');
+    });
+  });
+  
+  describe('hasValue', () => {
+    test('should return true for stored values', () => {
+      mockLocalStorage.setItem('testKey', '"testValue"');
+      
+      expect(hasValue('testKey')).toBe(true);
+    });
+    
+    test('should return false for missing values', () => {
+      expect(hasValue('testKey')).toBe(false);
+    });
+    
+    test('should return false for expired values', () => {
+      mockLocalStorage.setItem('testKey', '"testValue"');
+      mockLocalStorage.setItem('testKey&&expires', '999999999');
+      
+      expect(hasValue('testKey')).toBe(false);
+    });
   });
   
   describe('removeValue', () => {
@@ -200,51 +338,233 @@ describe('Storage', () => {
   });
   
   describe('emptyNamespace', () => {
-    test('should remove all keys containing the namespace', () => {
-      // // Setup localStorage with test keys
-      // const mockKeys = ['key1namespace1', 'key2namespace1', 'key1namespace2', 'otherKey'];
-      // mockKeys.forEach(key => {
-      //   mockLocalStorage.store[key] = 'some-value';
-      // });
+    test('should remove all keys of the namespace', () => {
+      const adapter = createMemoryAdapter({
+        'registry:namespace1:key1': '1',
+        'registry:namespace1:key1&&expires': '2',
+        'registry:namespace12:key1': '3',
+        'key1namespace1': '4',
+        'otherKey': '5'
+      });
       
-      // // Mock Object.keys for localStorage
-      // const originalObjectKeys = Object.keys;
-      // Object.keys = jest.fn(() => mockKeys);
+      emptyNamespace('namespace1', adapter);
       
-      // // Call the function
-      // emptyNamespace('namespace1');
+      expect(adapter.keys()).toEqual(['registry:namespace12:key1', 'key1namespace1', 'otherKey']);
+    });
+    
+    test('should do nothing if no keys match the namespace', () => {
+      const adapter = createMemoryAdapter({ 'registry:namespace1:key1': '1', 'otherKey': '2' });
       
-      // // Verify removeItem was called for the right keys
-      // expect(mockLocalStorage.removeItem).toHaveBeenCalledTimes(2);
-      // expect(mockLocalStorage.removeItem).toHaveBeenCalledWith('key1namespace1');
-      // expect(mockLocalStorage.removeItem).toHaveBeenCalledWith('key2namespace1');
-      // expect(mockLocalStorage.removeItem).not.toHaveBeenCalledWith('key1namespace2');
-      // expect(mockLocalStorage.removeItem).not.toHaveBeenCalledWith('otherKey');
-      // expect(localStorage.removeItem).not.toHaveBeenCalledWith('otherKey');
+      emptyNamespace('nonExistentNamespace', adapter);
       
-      // // Restore original Object.keys
-      // Object.keys = originalObjectKeys;
+      expect(adapter.keys()).toEqual(['registry:namespace1:key1', 'otherKey']);
+    });
+  });
+  
+  describe('child namespaces', () => {
+    const createTree = () => createMemoryAdapter({
+      'registry:app:key': '"a"',
+      'registry:app#layout': '2',
+      'registry:app.dXNlcg==:key': '"b"',
+      'registry:app.dXNlcg==:key&&expires': '1000003600',
+      'registry:app.dXNlcg==.ZHJhZnRz:key': '"c"',
+      'registry:app.dXNlcg==.ZHJhZnRz#layout': '2',
+      'registry:app.c2V0dGluZ3M=#layout': '2',
+      'registry:application:key': '"d"'
     });
     
-    test('should do nothing if no keys match the namespace', () => {
-      // // Setup localStorage with test keys
-      // const mockKeys = ['key1namespace1', 'key2namespace1', 'key1namespace2', 'otherKey'];
-      // mockKeys.forEach(key => {
-      //   mockLocalStorage.store[key] = 'some-value';
-      // });
+    test('should list direct children holding data', () => {
+      expect(getChildNamespaces('app', createTree())).toEqual([
+        { name: 'user', namespace: 'app.dXNlcg==' },
+        { name: 'settings', namespace: 'app.c2V0dGluZ3M=' }
+      ]);
+      expect(getChildNamespaces('app.dXNlcg==', createTree())).toEqual([
+        { name: 'drafts', namespace: 'app.dXNlcg==.ZHJhZnRz' }
+      ]);
+    });
+    
+    test('should remove everything below a namespace', () => {
+      const adapter = createTree();
+      
+      expect(emptyDescendants('app', adapter)).toEqual(['app.dXNlcg==', 'app.dXNlcg==.ZHJhZnRz', 'app.c2V0dGluZ3M=']);
+      expect(adapter.keys()).toEqual(['registry:app:key', 'registry:app#layout', 'registry:application:key']);
+    });
+  });
+  
+  describe('namespace administration', () => {
+    const createOrigin = () => createMemoryAdapter({
+      'registry:app:key': '"a"',
+      'registry:app:key&&expires': '1000003600',
+      'registry:app#layout': '2',
+      'registry:app.dXNlcg==:key': '"b"',
+      'registry:cache:key': '"c"',
+      'unrelated': 'x'
+    });
+    
+    test('should count entries and bytes per top-level namespace', () => {
+      const stats = getNamespaceStats(createOrigin());
+      
+      expect(Array.from(stats.keys())).toEqual(['app', 'cache']);
+      expect(stats.get('app')).toEqual({
+        entries: 2,
+        bytes: ('registry:app:key"a"registry:app:key&&expires1000003600registry:app#layout2registry:app.dXNlcg==:key"b"').length * 2
+      });
+      expect(stats.get('cache')).toEqual({ entries: 1, bytes: ('registry:cache:key"c"').length * 2 });
+    });
+    
+    test('should drop a namespace with its descendants', () => {
+      const adapter = createOrigin();
+      
+      expect(dropNamespace('app', adapter)).toEqual(['app', 'app.dXNlcg==']);
+      expect(adapter.keys()).toEqual(['registry:cache:key', 'unrelated']);
+    });
+    
+    test('should drop values of a namespace in the legacy layout', () => {
+      const adapter = createMemoryAdapter({
+        'keyQHRlc3Q=': '"a"',
+        'keyQHRlc3Q=&&expires': '1000003600',
+        'keyQHRlc3QX': '"b"',
+        'unrelated': '"c"'
+      });
+      
+      expect(dropNamespace('QHRlc3Q=', adapter)).toEqual(['QHRlc3Q=']);
+      expect(adapter.keys()).toEqual(['keyQHRlc3QX', 'unrelated']);
+    });
+    
+    test('should move a namespace with its descendants', () => {
+      const adapter = createOrigin();
+      
+      expect(renameNamespace('app', 'web', adapter)).toEqual(['app', 'app.dXNlcg==']);
+      expect(adapter.keys().sort()).toEqual([
+        'registry:cache:key',
+        'registry:web#layout',
+        'registry:web.dXNlcg==:key',
+        'registry:web:key',
+        'registry:web:key&&expires',
+        'unrelated'
+      ]);
+      expect(adapter.getItem('registry:web:key&&expires')).toBe('1000003600');
+    });
+    
+    test('should remove the copies when a move fails', () => {
+      const adapter = createOrigin();
+      const setItem = adapter.setItem;
+      let writes = 0;
+      adapter.setItem = (key, value) => {
+        if (++writes === 3) {
+          throw new Error('QuotaExceededError');
+        }
+        setItem(key, value);
+      };
+      
+      expect(() => renameNamespace('app', 'web', adapter)).toThrow('QuotaExceededError');
+      expect(adapter.keys()).toEqual(createOrigin().keys());
+    });
+  });
+  
+  describe('usage', () => {
+    const createUsageStore = () => createMemoryAdapter({
+      'registry:ns:a': '"1"',
+      'registry:ns:a&&expires': '1000003600',
+      'registry:ns:b': '"22"',
+      'registry:ns#layout': '2',
+      'other': 'x'
+    });
+    
+    test('should split the bytes of each value and its expiration', () => {
+      expect(getEntryUsage('ns', createUsageStore())).toEqual({
+        a: { value: ('registry:ns:a"1"').length * 2, expiration: ('registry:ns:a&&expires1000003600').length * 2 },
+        b: { value: ('registry:ns:b"22"').length * 2, expiration: 0 }
+      });
+    });
+    
+    test('should sum the bytes of each value with its expiration', () => {
+      expect(getEntrySizes('ns', createUsageStore())).toEqual({
+        a: ('registry:ns:a"1"registry:ns:a&&expires1000003600').length * 2,
+        b: ('registry:ns:b"22"').length * 2
+      });
+    });
+    
+    test('should measure the whole storage', () => {
+      expect(getStorageSize(createUsageStore())).toBe(
+        ('registry:ns:a"1"registry:ns:a&&expires1000003600registry:ns:b"22"registry:ns#layout2otherx').length * 2
+      );
+    });
+  });
+  
+  describe('purgeExpired', () => {
+    test('should remove expired values and their expiration keys', () => {
+      const adapter = createMemoryAdapter({
+        'registry:namespace1:key1': '"a"',
+        'registry:namespace1:key1&&expires': '999999999',
+        'registry:namespace1:key2': '"b"',
+        'registry:namespace1:key2&&expires': '1000003600',
+        'registry:namespace1:key3': '"c"'
+      });
       
-      // // Mock Object.keys for localStorage
-      // const originalObjectKeys = Object.keys;
-      // Object.keys = jest.fn(() => mockKeys);
+      const result = purgeExpired('namespace1', adapter);
+      
+      expect(result).toEqual(['key1']);
+      expect(adapter.keys()).toEqual([
+        'registry:namespace1:key2',
+        'registry:namespace1:key2&&expires',
+        'registry:namespace1:key3'
+      ]);
+    });
+    
+    test('should remove orphaned and unreadable expiration keys', () => {
+      const adapter = createMemoryAdapter({
+        'registry:namespace1:key1&&expires': '1000003600',
+        'registry:namespace1:key2': '"b"',
+        'registry:namespace1:key2&&expires': 'garbage'
+      });
       
-      // // Call the function
-      // emptyNamespace('nonExistentNamespace');
+      const result = purgeExpired('namespace1', adapter);
+      
+      expect(result).toEqual([]);
+      expect(adapter.keys()).toEqual(['registry:namespace1:key2']);
+    });
+    
+    test('should not touch other namespaces', () => {
+      const adapter = createMemoryAdapter({
+        'registry:namespace2:key1': '"a"',
+        'registry:namespace2:key1&&expires': '999999999'
+      });
+      
+      purgeExpired('namespace1', adapter);
+      
+      expect(adapter.keys().length).toBe(2);
+    });
+  });
+  
+  describe('migrateLegacyKeys', () => {
+    test('should move legacy keys and their expiration to the current layout', () => {
+      const adapter = createMemoryAdapter({
+        'key1namespace1': '"a"',
+        'key1namespace1&&expires': '1000000003600',
+        'key2namespace1': '"b"',
+        'key1namespace2': '"c"'
+      });
+      
+      migrateLegacyKeys('namespace1', adapter);
+      
+      expect(adapter.getItem('registry:namespace1:key1')).toBe('"a"');
+      expect(adapter.getItem('registry:namespace1:key1&&expires')).toBe('1000000003600');
+      expect(adapter.getItem('registry:namespace1:key2')).toBe('"b"');
+      expect(adapter.getItem('key1namespace1')).toBeNull();
+      expect(adapter.getItem('key1namespace1&&expires')).toBeNull();
+      expect(adapter.getItem('key1namespace2')).toBe('"c"');
+    });
+    
+    test('should only run once per namespace', () => {
+      const adapter = createMemoryAdapter({ 'key1namespace1': '"a"' });
+      migrateLegacyKeys('namespace1', adapter);
       
-      // // Verify removeItem was not called
-      // expect(mockLocalStorage.removeItem).toHaveBeenCalledTimes(0);
+      adapter.setItem('key2namespace1', '"b"');
+      migrateLegacyKeys('namespace1', adapter);
       
-      // // Restore original Object.keys
-      // Object.keys = originalObjectKeys;
+      expect(adapter.getItem('registry:namespace1:key2')).toBeNull();
+      expect(adapter.getItem('key2namespace1')).toBe('"b"');
     });
   });
 });
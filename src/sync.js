@@ -0,0 +1,81 @@
+import { parseNamespacedKey } from './namespace.js';
+
+// Identifies this page, so it can ignore its own broadcasts
+const TAB_ID = Math.random().toString(36).slice(2);
+
+/**
+ * Returns the BroadcastChannel name of a namespace
+ * @param {string} namespace - The namespace
+ * @returns {string} Channel name
+ */
+function getChannelName(namespace) {
+  return 'registry:' + namespace;
+}
+
+/**
+ * Checks if changes to a storage adapter are visible to other tabs
+ * @param {Object} storage - Storage adapter
+ * @returns {boolean} True if the adapter is shared between tabs
+ */
+export function isShared(storage) {
+  return typeof storage.subscribe === 'function';
+}
+
+/**
+ * Tells the other tabs about a change in a namespace. Only BroadcastChannel
+ * carries these messages, without it other tabs rely on "storage" events.
+ * @param {string} namespace - The namespace
+ * @param {Object} storage - Storage adapter
+ * @param {Object} message - Message with type and key, or a "batch" message
+ *   with the changes of a transaction
+ */
+export function broadcast(namespace, storage, message) {
+  if (!isShared(storage) || typeof BroadcastChannel !== 'function') {
+    return;
+  }
+
+  // A short lived channel, messages posted before close() are still delivered
+  const channel = new BroadcastChannel(getChannelName(namespace));
+  channel.postMessage(Object.assign({ tab: TAB_ID }, message));
+  channel.close();
+}
+
+/**
+ * Listens to changes other tabs make to a namespace. Uses BroadcastChannel
+ * where available and falls back to the adapter's "storage" events, whose raw
+ * storage keys are decoded here and filtered to the namespace.
+ * @param {string} namespace - The namespace
+ * @param {Object} storage - Storage adapter
+ * @param {Function} listener - Called with messages of the form { type, key }
+ *   or { type: "batch", changes: [{ type, key }] }
+ * @returns {Function} Stops listening
+ */
+export function listen(namespace, storage, listener) {
+  if (!isShared(storage)) {
+    return () => {};
+  }
+
+  if (typeof BroadcastChannel === 'function') {
+    const channel = new BroadcastChannel(getChannelName(namespace));
+    channel.onmessage = event => {
+      if (event.data && event.data.tab !== TAB_ID) {
+        listener(event.data);
+      }
+    };
+    return () => channel.close();
+  }
+
+  return storage.subscribe((storageKey, newValue) => {
+    // Another tab cleared the whole storage
+    if (storageKey === null) {
+      listener({ type: 'clear', key: null });
+      return;
+    }
+
+    const key = parseNamespacedKey(storageKey, namespace);
+    if (key === null) {
+      return;
+    }
+    listener({ type: newValue === null ? 'remove' : 'change', key: key });
+  });
+}
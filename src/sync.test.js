@@ -0,0 +1,126 @@
+// sync.test.js
+import { broadcast, listen, isShared } from './sync.js';
+import { createMemoryAdapter, localStorageAdapter } from './adapters.js';
+
+// Minimal BroadcastChannel delivering messages synchronously
+class FakeBroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.closed = false;
+    FakeBroadcastChannel.channels.push(this);
+  }
+  
+  postMessage(data) {
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name && !channel.closed && channel.onmessage)
+      .forEach(channel => channel.onmessage({ data: data }));
+  }
+  
+  close() {
+    this.closed = true;
+  }
+}
+FakeBroadcastChannel.channels = [];
+
+describe('Sync', () => {
+  afterEach(() => {
+    delete global.BroadcastChannel;
+    FakeBroadcastChannel.channels = [];
+  });
+  
+  describe('isShared', () => {
+    test('should only treat adapters with subscribe as shared', () => {
+      expect(isShared(localStorageAdapter)).toBe(true);
+      expect(isShared(createMemoryAdapter())).toBe(false);
+    });
+  });
+  
+  describe('with BroadcastChannel', () => {
+    beforeEach(() => {
+      global.BroadcastChannel = FakeBroadcastChannel;
+    });
+    
+    test('should deliver messages from other tabs', () => {
+      const listener = jest.fn();
+      const stop = listen('ns1', localStorageAdapter, listener);
+      
+      // A message posted by another tab carries another tab id
+      new FakeBroadcastChannel('registry:ns1').postMessage({ tab: 'other', type: 'change', key: 'key1' });
+      
+      expect(listener).toHaveBeenCalledWith({ tab: 'other', type: 'change', key: 'key1' });
+      stop();
+    });
+    
+    test('should ignore messages of its own tab', () => {
+      const listener = jest.fn();
+      const stop = listen('ns1', localStorageAdapter, listener);
+      
+      broadcast('ns1', localStorageAdapter, { type: 'change', key: 'key1' });
+      
+      expect(listener).not.toHaveBeenCalled();
+      stop();
+    });
+    
+    test('should not broadcast changes to unshared storage', () => {
+      broadcast('ns1', createMemoryAdapter(), { type: 'change', key: 'key1' });
+      
+      expect(FakeBroadcastChannel.channels).toEqual([]);
+    });
+    
+    test('should close the channel when stopped', () => {
+      const stop = listen('ns1', localStorageAdapter, jest.fn());
+      stop();
+      
+      expect(FakeBroadcastChannel.channels[0].closed).toBe(true);
+    });
+  });
+  
+  describe('with storage events', () => {
+    function dispatchStorageEvent(key, newValue) {
+      window.dispatchEvent(new StorageEvent('storage', { key: key, newValue: newValue, storageArea: localStorage }));
+    }
+    
+    test('should decode keys of the namespace', () => {
+      const listener = jest.fn();
+      const stop = listen('ns1', localStorageAdapter, listener);
+      
+      dispatchStorageEvent('registry:ns1:a%26b', '"value"');
+      dispatchStorageEvent('registry:ns1:key2', null);
+      
+      expect(listener).toHaveBeenCalledWith({ type: 'change', key: 'a&b' });
+      expect(listener).toHaveBeenCalledWith({ type: 'remove', key: 'key2' });
+      stop();
+    });
+    
+    test('should ignore other namespaces and expiration keys', () => {
+      const listener = jest.fn();
+      const stop = listen('ns1', localStorageAdapter, listener);
+      
+      dispatchStorageEvent('registry:ns2:key1', '"value"');
+      dispatchStorageEvent('registry:ns1:key1&&expires', '123');
+      dispatchStorageEvent('unrelated', '1');
+      
+      expect(listener).not.toHaveBeenCalled();
+      stop();
+    });
+    
+    test('should report a cleared storage', () => {
+      const listener = jest.fn();
+      const stop = listen('ns1', localStorageAdapter, listener);
+      
+      dispatchStorageEvent(null, null);
+      
+      expect(listener).toHaveBeenCalledWith({ type: 'clear', key: null });
+      stop();
+    });
+    
+    test('should stop listening', () => {
+      const listener = jest.fn();
+      listen('ns1', localStorageAdapter, listener)();
+      
+      dispatchStorageEvent('registry:ns1:key1', '"value"');
+      
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -79,6 +79,33 @@ export function base64decode(str) {
   throw new Error('Base64 decoding not supported in this environment');
 }
 
+/**
+ * Converts a byte array to a base64 string
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 string
+ */
+export function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return base64encode(binary);
+}
+
+/**
+ * Converts a base64 string to a byte array
+ * @param {string} str - Base64 string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function base64ToBytes(str) {
+  const binary = base64decode(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
 /**
  * JSON stringify wrapper
  * @param {any} data - Data to stringify
@@ -96,3 +123,74 @@ export function jsonEncode(data) {
 export function jsonDecode(json) {
   return JSON.parse(json);
 }
+
+/**
+ * Checks if an error was raised because the storage quota is exceeded.
+ * Browsers report this with different names and codes.
+ * @param {any} error - The error to check
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaError(error) {
+  if (!error) {
+    return false;
+  }
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014;
+}
+
+/**
+ * Checks if a value is a plain object, as created by an object literal
+ * @param {any} value - The value to check
+ * @returns {boolean} True for plain objects
+ */
+export function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Deeply merges plain objects into a new object. Nested plain objects are
+ * merged, everything else, arrays included, replaces the target value.
+ * @param {Object} target - Object to merge into, left unchanged
+ * @param {Object} source - Object with the properties to merge
+ * @returns {Object} Merged object
+ */
+export function deepMerge(target, source) {
+  const result = Object.assign({}, target);
+  Object.keys(source).forEach(key => {
+    result[key] = isPlainObject(result[key]) && isPlainObject(source[key])
+      ? deepMerge(result[key], source[key])
+      : source[key];
+  });
+  return result;
+}
+
+/**
+ * Calls next with a value, or with its result once it resolves if it is a
+ * Promise. Lets code run synchronously unless one of its steps is async.
+ * @param {any} value - Value or Promise
+ * @param {Function} next - Called with the value
+ * @returns {any} Result of next, a Promise if value was one
+ */
+export function chain(value, next) {
+  if (value !== null && typeof value === 'object' && typeof value.then === 'function') {
+    return value.then(next);
+  }
+  return next(value);
+}
+
+/**
+ * Waits for a list of values if any of them is a Promise
+ * @param {any[]} values - Values or Promises
+ * @returns {any[]|Promise<any[]>} The values, a Promise if any was one
+ */
+export function chainAll(values) {
+  return values.some(value => value !== null && typeof value === 'object' && typeof value.then === 'function')
+    ? Promise.all(values)
+    : values;
+}
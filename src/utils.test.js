@@ -1,5 +1,5 @@
 // utils.test.js
-import { getRootUrl, base64encode, base64decode, jsonEncode, jsonDecode } from './utils.js';
+import { getRootUrl, base64encode, base64decode, jsonEncode, jsonDecode, isQuotaError, isPlainObject, deepMerge } from './utils.js';
 
 // Mock console
 global.console = {
@@ -155,4 +155,38 @@ describe('Utils', () => {
       expect(jsonDecode(jsonEncode(null))).toBe(null);
     });
   });
+
+  describe('isQuotaError', () => {
+    test('should detect quota errors of different browsers', () => {
+      expect(isQuotaError({ name: 'QuotaExceededError' })).toBe(true);
+      expect(isQuotaError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' })).toBe(true);
+      expect(isQuotaError({ code: 22 })).toBe(true);
+      expect(isQuotaError({ code: 1014 })).toBe(true);
+    });
+    
+    test('should ignore other errors', () => {
+      expect(isQuotaError(new Error('failed'))).toBe(false);
+      expect(isQuotaError(null)).toBe(false);
+    });
+  });
+
+  describe('isPlainObject', () => {
+    test('should only accept plain objects', () => {
+      expect(isPlainObject({})).toBe(true);
+      expect(isPlainObject(Object.create(null))).toBe(true);
+      expect(isPlainObject([])).toBe(false);
+      expect(isPlainObject(new Date())).toBe(false);
+      expect(isPlainObject(null)).toBe(false);
+    });
+  });
+
+  describe('deepMerge', () => {
+    test('should merge nested objects and replace other values', () => {
+      const target = { a: 1, nested: { b: 2, c: 3 }, list: [1, 2] };
+      const result = deepMerge(target, { nested: { c: 4, d: 5 }, list: [3] });
+      
+      expect(result).toEqual({ a: 1, nested: { b: 2, c: 4, d: 5 }, list: [3] });
+      expect(target).toEqual({ a: 1, nested: { b: 2, c: 3 }, list: [1, 2] });
+    });
+  });
 });